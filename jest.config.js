@@ -0,0 +1,9 @@
+// Sources are native ES modules, so tests run untransformed under Node's VM
+// modules; see the test script
+export default {
+    testEnvironment: 'node',
+    transform: {},
+    // Simulation is several times slower inside Jest's module sandbox
+    testTimeout: 60000,
+    testMatch: ['<rootDir>/tests/**/*.test.js']
+};
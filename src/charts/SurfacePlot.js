@@ -0,0 +1,396 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+
+// Extent of the spot and second axes, and of the value axis, in scene units
+const WIDTH = 2;
+const HEIGHT = 1.2;
+
+// Viridis colour stops from the lowest to the highest value
+const RAMP = [
+    [0.267, 0.005, 0.329],
+    [0.229, 0.322, 0.546],
+    [0.128, 0.567, 0.551],
+    [0.369, 0.789, 0.383],
+    [0.993, 0.906, 0.144]
+];
+
+const THEMES = {
+    light: { background: 0xffffff, text: '#333333', lines: 0x888888, grid: 0x222222 },
+    dark: { background: 0x2d2d2d, text: '#dddddd', lines: 0x777777, grid: 0xeeeeee }
+};
+
+/**
+ * @param {number} t - Position on the ramp in [0, 1]
+ * @returns {number[]} RGB colour
+ */
+function rampColor(t) {
+    const scaled = Math.min(Math.max(t, 0), 1) * (RAMP.length - 1);
+    const k = Math.min(Math.floor(scaled), RAMP.length - 2);
+    const f = scaled - k;
+    return RAMP[k].map((c, i) => c + f * (RAMP[k + 1][i] - c));
+}
+
+/**
+ * @param {number} value - Axis value
+ * @returns {string} Value with a precision to suit its size
+ */
+function formatTick(value) {
+    const size = Math.abs(value);
+    return size >= 100 ? value.toFixed(0) : size >= 1 ? value.toFixed(2) : value.toPrecision(3);
+}
+
+/**
+ * Text that always faces the camera
+ * @param {string} text - Label
+ * @param {string} color - CSS colour
+ * @returns {THREE.Sprite} Label one scene unit wide
+ */
+function textSprite(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = '32px sans-serif';
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        transparent: true
+    }));
+    sprite.scale.set(1, 0.125, 1);
+    return sprite;
+}
+
+/**
+ * Interactive 3D surface of values on a rectangular grid, drawn with
+ * three.js: a shaded mesh coloured by height with its grid lines, labelled
+ * axes, and optional vertical marker planes such as barrier levels. Drag to
+ * rotate, scroll to zoom; hovering shows the nearest grid value and a click
+ * reports the grid point to `onSelect`. Cells without a value leave a hole.
+ *
+ * The scene is only redrawn when the view or the data change.
+ */
+export class SurfacePlot {
+    /**
+     * @param {HTMLElement} container - Element the canvas fills
+     * @param {object} [options]
+     * @param {boolean} [options.dark=false] - Dark background
+     * @param {Function} [options.onSelect] - Called with (column, row) of a clicked grid point
+     */
+    constructor(container, { dark = false, onSelect = () => {} } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.theme = dark ? THEMES.dark : THEMES.light;
+        this.data = null;
+
+        this.scene = new THREE.Scene();
+        this.scene.add(new THREE.AmbientLight(0xffffff, 1.2));
+        const light = new THREE.DirectionalLight(0xffffff, 1.5);
+        light.position.set(1, -2, 3);
+        this.scene.add(light);
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this.camera = new THREE.PerspectiveCamera(40, 1, 0.1, 100);
+        this.camera.up.set(0, 0, 1);
+        this.camera.position.set(2.4, -3.2, 2.4);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setPixelRatio(window.devicePixelRatio || 1);
+        this.renderer.setClearColor(this.theme.background);
+        container.appendChild(this.renderer.domElement);
+
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.target.set(0, 0, HEIGHT / 2);
+        this.controls.update();
+        this.controls.addEventListener('change', () => this.render());
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'surface-tooltip';
+        container.appendChild(this.tooltip);
+
+        this.raycaster = new THREE.Raycaster();
+        this.renderer.domElement.addEventListener('pointermove', event => this.hover(event));
+        this.renderer.domElement.addEventListener('pointerleave', () => {
+            this.tooltip.style.display = 'none';
+        });
+        this.renderer.domElement.addEventListener('click', event => {
+            const point = this.pick(event);
+            if (point) {
+                this.onSelect(point.column, point.row);
+            }
+        });
+
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(container);
+        this.resize();
+    }
+
+    resize() {
+        const width = this.container.clientWidth || 600;
+        const height = this.container.clientHeight || 450;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.render();
+    }
+
+    /**
+     * @param {boolean} dark - Whether to draw on a dark background
+     */
+    setTheme(dark) {
+        this.theme = dark ? THEMES.dark : THEMES.light;
+        this.renderer.setClearColor(this.theme.background);
+        if (this.data) {
+            this.setData(this.data);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Draws a surface
+     * @param {object} data
+     * @param {number[]} data.xs - Column coordinates, e.g. spots
+     * @param {number[]} data.ys - Row coordinates, e.g. volatilities
+     * @param {(number|null)[][]} data.z - Values, one row per y and one column per x
+     * @param {string[]} data.labels - Titles of the x, y and z axes
+     * @param {{x: number, label: string}[]} [data.markers] - Levels on the x axis to mark
+     */
+    setData(data) {
+        this.data = data;
+        this.clear();
+
+        const { xs, ys, z, labels, markers = [] } = data;
+        const finite = z.flat().filter(value => value !== null && isFinite(value));
+        if (finite.length === 0) {
+            this.render();
+            return;
+        }
+        let zMin = Math.min(...finite);
+        let zMax = Math.max(...finite);
+        if (zMax - zMin < 1e-12) {
+            zMin -= 0.5;
+            zMax += 0.5;
+        }
+
+        const scaleX = x => WIDTH * ((x - xs[0]) / (xs[xs.length - 1] - xs[0]) - 0.5);
+        const scaleY = y => WIDTH * ((y - ys[0]) / (ys[ys.length - 1] - ys[0]) - 0.5);
+        const scaleZ = value => HEIGHT * (value - zMin) / (zMax - zMin);
+        this.scales = { scaleX, scaleY, zMin, zMax };
+
+        this.group.add(this.buildMesh(xs, ys, z, scaleX, scaleY, scaleZ));
+        this.group.add(this.buildAxes(xs, ys, labels, zMin, zMax, scaleX, scaleY));
+        markers
+            .filter(marker => marker.x >= xs[0] && marker.x <= xs[xs.length - 1])
+            .forEach(marker => this.group.add(this.buildMarker(scaleX(marker.x), marker.label)));
+
+        this.render();
+    }
+
+    /**
+     * Shaded surface with vertex colours by height, plus its grid lines.
+     * A triangle is drawn only where all its corners have values.
+     */
+    buildMesh(xs, ys, z, scaleX, scaleY, scaleZ) {
+        const columns = xs.length;
+        const positions = [];
+        const colors = [];
+        const valid = [];
+        ys.forEach((y, row) => {
+            xs.forEach((x, column) => {
+                const value = z[row][column];
+                const ok = value !== null && isFinite(value);
+                valid.push(ok);
+                const height = ok ? scaleZ(value) : 0;
+                positions.push(scaleX(x), scaleY(y), height);
+                colors.push(...rampColor(height / HEIGHT));
+            });
+        });
+
+        const indices = [];
+        const lines = [];
+        const vertex = (row, column) => row * columns + column;
+        for (let row = 0; row < ys.length; row++) {
+            for (let column = 0; column < columns; column++) {
+                const a = vertex(row, column);
+                if (column + 1 < columns && valid[a] && valid[a + 1]) {
+                    lines.push(a, a + 1);
+                }
+                if (row + 1 < ys.length && valid[a] && valid[a + columns]) {
+                    lines.push(a, a + columns);
+                }
+                if (row + 1 < ys.length && column + 1 < columns) {
+                    const [b, c, d] = [a + 1, a + columns, a + columns + 1];
+                    if (valid[a] && valid[b] && valid[d]) indices.push(a, b, d);
+                    if (valid[a] && valid[d] && valid[c]) indices.push(a, d, c);
+                }
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        const surface = new THREE.Group();
+        this.mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide
+        }));
+        surface.add(this.mesh);
+
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', geometry.getAttribute('position'));
+        lineGeometry.setIndex(lines);
+        surface.add(new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({
+            color: this.theme.grid,
+            transparent: true,
+            opacity: 0.25
+        })));
+        return surface;
+    }
+
+    /**
+     * Box edges along the three axes with end ticks and titles
+     */
+    buildAxes(xs, ys, labels, zMin, zMax, scaleX, scaleY) {
+        const half = WIDTH / 2;
+        const corners = [
+            [-half, -half, 0, half, -half, 0],
+            [-half, -half, 0, -half, half, 0],
+            [-half, half, 0, -half, half, HEIGHT],
+            [half, -half, 0, half, half, 0],
+            [-half, half, 0, half, half, 0]
+        ];
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(corners.flat(), 3));
+        const axes = new THREE.Group();
+        axes.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: this.theme.lines })));
+
+        const label = (text, x, y, z) => {
+            const sprite = textSprite(text, this.theme.text);
+            sprite.position.set(x, y, z);
+            axes.add(sprite);
+        };
+        const [first, last] = [xs[0], xs[xs.length - 1]];
+        label(formatTick(first), scaleX(first), -half - 0.15, 0);
+        label(formatTick(last), scaleX(last), -half - 0.15, 0);
+        label(labels[0], 0, -half - 0.35, 0);
+        label(formatTick(ys[0]), -half - 0.25, scaleY(ys[0]), 0);
+        label(formatTick(ys[ys.length - 1]), -half - 0.25, scaleY(ys[ys.length - 1]), 0);
+        label(labels[1], -half - 0.55, 0, 0);
+        label(formatTick(zMin), -half - 0.25, half, 0.05);
+        label(formatTick(zMax), -half - 0.25, half, HEIGHT);
+        label(labels[2], -half, half, HEIGHT + 0.2);
+        return axes;
+    }
+
+    /**
+     * Translucent vertical plane at a level of the x axis
+     */
+    buildMarker(x, text) {
+        const marker = new THREE.Group();
+        const plane = new THREE.Mesh(
+            new THREE.PlaneGeometry(HEIGHT, WIDTH),
+            new THREE.MeshBasicMaterial({
+                color: 0xd62728,
+                transparent: true,
+                opacity: 0.15,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        // Turning the x-y plane about y stands its width up along z
+        plane.rotation.y = Math.PI / 2;
+        plane.position.set(x, 0, HEIGHT / 2);
+        marker.add(plane);
+
+        const sprite = textSprite(text, '#d62728');
+        sprite.position.set(x, WIDTH / 2 + 0.1, HEIGHT + 0.05);
+        marker.add(sprite);
+        return marker;
+    }
+
+    /**
+     * Grid point under the pointer
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {{column: number, row: number}|null} Nearest grid point on the surface
+     */
+    pick(event) {
+        if (!this.mesh || !this.data) {
+            return null;
+        }
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const [hit] = this.raycaster.intersectObject(this.mesh);
+        if (!hit) {
+            return null;
+        }
+
+        const { xs, ys } = this.data;
+        const nearest = (values, scale, coordinate) => values.reduce((best, value, k) =>
+            (Math.abs(scale(value) - coordinate) < Math.abs(scale(values[best]) - coordinate) ? k : best), 0);
+        return {
+            column: nearest(xs, this.scales.scaleX, hit.point.x),
+            row: nearest(ys, this.scales.scaleY, hit.point.y)
+        };
+    }
+
+    hover(event) {
+        const point = this.pick(event);
+        if (!point) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
+        const { xs, ys, z, labels } = this.data;
+        const value = z[point.row][point.column];
+        const rect = this.container.getBoundingClientRect();
+        this.tooltip.innerHTML = `${labels[0]} ${formatTick(xs[point.column])}<br>` +
+            `${labels[1]} ${formatTick(ys[point.row])}<br>` +
+            `${labels[2]} ${value === null ? '—' : value.toFixed(4)}`;
+        this.tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+        this.tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+        this.tooltip.style.display = 'block';
+    }
+
+    render() {
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Removes the drawn surface and frees its GPU resources
+     */
+    clear() {
+        this.group.traverse(object => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                if (object.material.map) {
+                    object.material.map.dispose();
+                }
+                object.material.dispose();
+            }
+        });
+        this.group.clear();
+        this.mesh = null;
+    }
+
+    dispose() {
+        this.clear();
+        this.resizeObserver.disconnect();
+        this.controls.dispose();
+        this.renderer.dispose();
+        this.container.innerHTML = '';
+    }
+}
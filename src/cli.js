@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { priceTrades, tradeFromRecord, resultSummary, resultRecord } from './headless.js';
+import { parseCsv, formatCsv } from './utils/csv.js';
+
+const USAGE = `Usage: node src/cli.js <trades.json|trades.csv> [--output <file>] [--format json|csv]
+
+Prices every trade in the file and writes prices, confidence intervals,
+Greeks, closed-form checks and risk metrics. Trades take the same parameters
+as the pricing worker; in CSV, dotted headers such as heston.kappa fill
+nested objects and JSON cells hold lists. Results go to stdout unless
+--output is given; the format follows the output extension, JSON by default.`;
+
+/**
+ * @param {string[]} args - Command-line arguments after the script
+ * @returns {{input: string, output: string|null, format: string}|{help: true}|null}
+ *     Options, a request for help, or null when no input file is given
+ */
+function parseArgs(args) {
+    const options = { input: null, output: null, format: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--output' || arg === '-o') {
+            options.output = args[++i];
+        } else if (arg === '--format' || arg === '-f') {
+            options.format = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            return { help: true };
+        } else if (!options.input) {
+            options.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    if (!options.input) {
+        return null;
+    }
+
+    options.format = options.format ||
+        (options.output && extname(options.output).toLowerCase() === '.csv' ? 'csv' : 'json');
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error(`Invalid output format: ${options.format}`);
+    }
+    return options;
+}
+
+/**
+ * Reads trades from a JSON array (or an object with a `trades` array) or
+ * from CSV with one trade per line
+ * @param {string} file - Path to the trades file
+ * @returns {object[]} Pricing parameters per trade
+ */
+function readTrades(file) {
+    const text = readFileSync(file, 'utf8');
+    if (extname(file).toLowerCase() === '.csv') {
+        return parseCsv(text).map(tradeFromRecord);
+    }
+    const data = JSON.parse(text);
+    const trades = Array.isArray(data) ? data : data.trades;
+    if (!Array.isArray(trades)) {
+        throw new Error('JSON trades file needs an array of trades');
+    }
+    return trades;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options && options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    const trades = readTrades(options.input);
+    const priced = await priceTrades(trades, {
+        onTrade: (entry, index) => {
+            const status = entry.error ? `failed: ${entry.error}` : entry.result.price.toFixed(4);
+            console.error(`[${index + 1}/${trades.length}] ${entry.id} ${entry.trade.optionType} ${status}`);
+        }
+    });
+
+    const output = options.format === 'csv'
+        ? formatCsv(priced.map(resultRecord))
+        : JSON.stringify(priced.map(({ id, trade, result, error }) => (error
+            ? { id, trade, error }
+            : { id, trade, result: resultSummary(result) })), null, 2) + '\n';
+
+    if (options.output) {
+        writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    if (priced.some(entry => entry.error)) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
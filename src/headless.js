@@ -0,0 +1,169 @@
+import { PricingPool } from './workers/pricingPool.js';
+import { InlineWorker } from './workers/inlineWorker.js';
+
+/**
+ * Headless pricing for batch runs outside the browser. A trade is the same
+ * `params` object the page sends to the PricingPool, and it is priced by
+ * the same pool on an in-process worker, so a seed gives the same result as
+ * on the page.
+ */
+
+const GREEKS = ['delta', 'gamma', 'theta', 'vega', 'rho'];
+
+// Parameters a trade may leave out; the market data and contract terms are required
+export const TRADE_DEFAULTS = {
+    dividendYield: 0,
+    steps: 252,
+    simulations: 10000,
+    qmcReplications: 16,
+    riskLevels: [0.95, 0.99],
+    seed: null
+};
+
+/**
+ * Prices one trade
+ * @param {object} params - Pricing parameters, including optionType
+ * @returns {Promise<object>} Result of PricingPool.price()
+ */
+export function priceTrade(params) {
+    if (!params.optionType) {
+        return Promise.reject(new Error('Trade has no optionType'));
+    }
+    const pool = new PricingPool({ size: 1, workerFactory: () => new InlineWorker() });
+    return pool.price({ ...TRADE_DEFAULTS, ...params });
+}
+
+/**
+ * Prices trades one after another. A trade that fails is reported with its
+ * error and the batch carries on.
+ * @param {object[]} trades - Pricing parameters per trade, optionally with an `id`
+ * @param {object} [options]
+ * @param {Function} [options.onTrade] - Called with each priced trade and its index
+ * @returns {Promise<{id: *, trade: object, result?: object, error?: string}[]>} Priced trades
+ */
+export async function priceTrades(trades, { onTrade = () => {} } = {}) {
+    const priced = [];
+    for (const [index, trade] of trades.entries()) {
+        const id = trade.id === undefined ? index + 1 : trade.id;
+        let entry;
+        try {
+            entry = { id, trade, result: await priceTrade(trade) };
+        } catch (error) {
+            entry = { id, trade, error: error.message };
+        }
+        priced.push(entry);
+        onTrade(entry, index);
+    }
+    return priced;
+}
+
+/**
+ * Converts a CSV cell: numbers, booleans and null, JSON arrays or objects
+ * such as fixing dates, and anything else as text
+ * @param {string} text - Cell text
+ * @returns {*} Parameter value
+ */
+function parseCell(text) {
+    const value = text.trim();
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value === 'null') {
+        return null;
+    }
+    if (value.startsWith('[') || value.startsWith('{')) {
+        return JSON.parse(value);
+    }
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+}
+
+/**
+ * Builds a trade from a CSV record. Dotted headers such as `heston.kappa`
+ * or `averagingWindow.start` fill nested objects, and empty cells are left
+ * out so the defaults apply.
+ * @param {object} record - Record from parseCsv()
+ * @returns {object} Pricing parameters
+ */
+export function tradeFromRecord(record) {
+    const trade = {};
+    Object.entries(record).forEach(([key, text]) => {
+        if (text.trim() === '') {
+            return;
+        }
+        const names = key.split('.');
+        let target = trade;
+        names.slice(0, -1).forEach(name => {
+            target[name] = target[name] || {};
+            target = target[name];
+        });
+        target[names[names.length - 1]] = parseCell(text);
+    });
+    return trade;
+}
+
+/**
+ * Result without its per-path arrays, for JSON output
+ * @param {object} result - Result of priceTrade()
+ * @returns {object} Price, Greeks, validation and risk metrics
+ */
+export function resultSummary(result) {
+    const { payoffs, paths, convergence, ...summary } = result;
+    return summary;
+}
+
+/**
+ * Flattens a priced trade into one row. Per-asset Greeks are joined with
+ * semicolons, and risk measures get one column per confidence level.
+ * @param {object} entry - Entry from priceTrades()
+ * @returns {object} Column values
+ */
+export function resultRecord({ id, trade, result, error }) {
+    const record = { id, optionType: trade.optionType };
+    if (error) {
+        record.error = error;
+        return record;
+    }
+
+    const format = value => (Array.isArray(value) ? value.join(';') : value);
+    Object.assign(record, {
+        price: result.price,
+        stderr: result.confidence.stderr,
+        ciLower: result.confidence.lower,
+        ciUpper: result.confidence.upper,
+        simulations: result.simulations,
+        seed: result.seed
+    });
+    GREEKS.forEach(name => {
+        record[name] = format(result.greeks[name]);
+        record[`${name}Stderr`] = format(result.greeks.standardErrors[name]);
+    });
+
+    if (result.controlVariate) {
+        record.varianceReduction = result.controlVariate.varianceReduction;
+    }
+    if (result.validation) {
+        record.closedFormMethod = result.validation.method;
+        record.closedFormPrice = result.validation.analytical;
+        record.closedFormZ = result.validation.errorInStdErrs;
+    }
+    if (result.upperBound) {
+        record.upperBound = result.upperBound.price;
+    }
+
+    const risk = result.riskMetrics;
+    const percent = level => Math.round(level * 1000) / 10;
+    risk.position.levels.forEach(({ level, valueAtRisk, expectedShortfall }) => {
+        record[`var${percent(level)}`] = valueAtRisk.value;
+        record[`es${percent(level)}`] = expectedShortfall.value;
+    });
+    if (risk.hedged) {
+        risk.hedged.levels.forEach(({ level, valueAtRisk, expectedShortfall }) => {
+            record[`hedgedVar${percent(level)}`] = valueAtRisk.value;
+            record[`hedgedEs${percent(level)}`] = expectedShortfall.value;
+        });
+    }
+    record.probabilityOfProfit = risk.position.probabilityOfProfit.value;
+
+    return record;
+}
@@ -1,6 +1,10 @@
-import { AsianOption } from './models/AsianOption.js';
-import { BarrierOption } from './models/BarrierOption.js';
-import { LookbackOption } from './models/LookbackOption.js';
+import { createOption } from './models/productFactory.js';
+import { PORTFOLIO_PRODUCTS, STRATEGIES, strategyPositions } from './models/Portfolio.js';
+import { SurfacePlot } from './charts/SurfacePlot.js';
+import { PricingPool } from './workers/pricingPool.js';
+import { MIN_REPRICING_STEPS } from './models/MonteCarloSimulation.js';
+import { isValidCorrelationMatrix } from './utils/matrixOperations.js';
+import { parseVolatilitySurface } from './utils/volatilitySurface.js';
 import * as d3 from 'd3';
 import Plotly from 'plotly.js-dist';
 
@@ -10,15 +14,34 @@ const spot = document.getElementById('spot');
 const strike = document.getElementById('strike');
 const volatility = document.getElementById('volatility');
 const riskFreeRate = document.getElementById('riskFreeRate');
+const dividendYield = document.getElementById('dividendYield');
 const maturity = document.getElementById('maturity');
 const steps = document.getElementById('steps');
 const simulations = document.getElementById('simulations');
+const accuracyMode = document.getElementById('accuracyMode');
 const useAntithetic = document.getElementById('useAntithetic');
 const useStratified = document.getElementById('useStratified');
+const useQuasiRandom = document.getElementById('useQuasiRandom');
+const scramble = document.getElementById('scramble');
+const useBrownianBridge = document.getElementById('useBrownianBridge');
+const qmcReplications = document.getElementById('qmcReplications');
 const jumpDiffusion = document.getElementById('jumpDiffusion');
+const model = document.getElementById('model');
+const volatilitySurface = document.getElementById('volatilitySurface');
+const dividendSchedule = document.getElementById('dividendSchedule');
+const zeroCurve = document.getElementById('zeroCurve');
+const curveInterpolation = document.getElementById('curveInterpolation');
+const seed = document.getElementById('seed');
+const greeksMethod = document.getElementById('greeksMethod');
+const useControlVariate = document.getElementById('useControlVariate');
+const riskLevels = document.getElementById('riskLevels');
 const calculateButton = document.getElementById('calculateButton');
+const cancelButton = document.getElementById('cancelButton');
 const darkModeToggle = document.getElementById('darkModeToggle');
 
+// Workers shared by every calculation, one per core
+const pricingPool = new PricingPool();
+
 // Theme handling
 let isDarkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
 document.documentElement.setAttribute('data-theme', isDarkMode ? 'dark' : 'light');
@@ -63,6 +86,9 @@ function initializeCharts() {
         yaxis: { title: 'Frequency' },
         template: isDarkMode ? 'plotly_dark' : 'plotly_white'
     }, chartConfig);
+
+    // Convergence of the running estimate
+    plotConvergence([]);
 }
 
 function updateChartTheme() {
@@ -70,32 +96,226 @@ function updateChartTheme() {
     
     Plotly.update('pathChart', {}, { template });
     Plotly.update('payoffHistogram', {}, { template });
+    Plotly.update('convergenceChart', {}, { template });
+    if (surfacePlot) {
+        surfacePlot.setTheme(isDarkMode);
+        renderSlices();
+    }
+    if (volSurfacePlot) {
+        volSurfacePlot.setTheme(isDarkMode);
+    }
 }
 
-// Create option instance based on type
-function createOption(params) {
-    const [baseType, subType] = params.optionType.split('-');
-    
-    switch(baseType) {
-        case 'asian':
-            return new AsianOption({
-                ...params,
-                type: subType
-            });
-        case 'barrier':
-            return new BarrierOption({
-                ...params,
-                type: subType.endsWith('call') ? 'call' : 'put',
-                barrierType: subType.replace(/(call|put)$/, '')
-            });
-        case 'lookback':
-            return new LookbackOption({
-                ...params,
-                lookbackType: subType
-            });
-        default:
-            throw new Error('Invalid option type');
+const MULTI_ASSET_TYPES = ['basket', 'rainbow', 'spread'];
+
+function isMultiAsset(type) {
+    return MULTI_ASSET_TYPES.includes(type.split('-')[0]);
+}
+
+// Formats a Greek that is either a number or one number per asset
+function formatGreek(value) {
+    return Array.isArray(value)
+        ? value.map(v => v.toFixed(4)).join(' / ')
+        : value.toFixed(4);
+}
+
+// Builds the per-asset parameter table and correlation matrix editor
+function renderMultiAssetEditor(container, assetCount) {
+    const previous = container.querySelector('table') ? readMultiAssetParams(container) : null;
+    const value = (key, i, fallback) => (previous && i < previous[key].length ? previous[key][i] : fallback);
+
+    let assetRows = '';
+    for (let i = 0; i < assetCount; i++) {
+        assetRows += `
+            <tr>
+                <td>${i + 1}</td>
+                <td><input type="number" class="asset-spot" value="${value('spots', i, spot.value)}"></td>
+                <td><input type="number" class="asset-vol" value="${value('volatilities', i, volatility.value)}" step="0.01"></td>
+                <td><input type="number" class="asset-div" value="${value('dividendYields', i, dividendYield.value)}" step="0.01"></td>
+                <td><input type="number" class="asset-weight" value="${value('weights', i, (1 / assetCount).toFixed(4))}" step="0.01"></td>
+            </tr>
+        `;
+    }
+
+    let correlationRows = '';
+    for (let i = 0; i < assetCount; i++) {
+        correlationRows += '<tr>';
+        for (let j = 0; j < assetCount; j++) {
+            const rho = i === j ? 1 : (previous && i < previous.spots.length && j < previous.spots.length
+                ? previous.correlation[i][j]
+                : 0.5);
+            correlationRows += `<td><input type="number" class="corr-cell" data-row="${i}" data-col="${j}"
+                value="${rho}" step="0.05" min="-1" max="1" ${i === j ? 'readonly' : ''}></td>`;
+        }
+        correlationRows += '</tr>';
+    }
+
+    container.querySelector('.asset-table-container').innerHTML = `
+        <table class="asset-table">
+            <thead><tr><th>#</th><th>Spot</th><th>Vol</th><th>Div</th><th>Weight</th></tr></thead>
+            <tbody>${assetRows}</tbody>
+        </table>
+        <label>Correlation Matrix:</label>
+        <table class="correlation-table"><tbody>${correlationRows}</tbody></table>
+        <p class="correlation-status"></p>
+    `;
+
+    // Keep the matrix symmetric while editing
+    container.querySelectorAll('.corr-cell').forEach(cell => {
+        cell.addEventListener('input', () => {
+            const mirror = container.querySelector(
+                `.corr-cell[data-row="${cell.dataset.col}"][data-col="${cell.dataset.row}"]`
+            );
+            mirror.value = cell.value;
+            validateCorrelationEditor(container);
+        });
+    });
+    validateCorrelationEditor(container);
+}
+
+function readMultiAssetParams(container) {
+    const read = selector => Array.from(container.querySelectorAll(selector)).map(input => parseFloat(input.value));
+    const spots = read('.asset-spot');
+    const cells = read('.corr-cell');
+    const n = spots.length;
+    const correlation = Array.from({ length: n }, (_, i) => cells.slice(i * n, (i + 1) * n));
+
+    return {
+        spots,
+        volatilities: read('.asset-vol'),
+        dividendYields: read('.asset-div'),
+        weights: read('.asset-weight'),
+        correlation
+    };
+}
+
+function validateCorrelationEditor(container) {
+    const { correlation } = readMultiAssetParams(container);
+    const valid = isValidCorrelationMatrix(correlation);
+    const status = container.querySelector('.correlation-status');
+    status.textContent = valid ? 'Valid correlation matrix' : 'Not a valid correlation matrix (must be positive definite)';
+    status.className = `correlation-status ${valid ? 'valid' : 'invalid'}`;
+    return valid;
+}
+
+// Parses "time:value" pairs separated by commas, e.g. "0.5:0.04, 1:0.045"
+function parseSchedule(text) {
+    return text.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry !== '')
+        .map(entry => {
+            const [time, value] = entry.split(':').map(part => part.trim());
+            if (value === undefined || isNaN(parseFloat(time)) || isNaN(parseFloat(value))) {
+                throw new Error(`Invalid schedule entry "${entry}", expected time:value`);
+            }
+            return { time: parseFloat(time), value };
+        });
+}
+
+// Discrete dividends: "0.25:1.5" is a cash amount, "0.75:2%" a proportional one
+function parseDividends(text) {
+    return parseSchedule(text).map(({ time, value }) => value.endsWith('%')
+        ? { time, amount: parseFloat(value) / 100, type: 'proportional' }
+        : { time, amount: parseFloat(value), type: 'cash' });
+}
+
+// Zero curve pillars as "time:rate"; empty means a flat curve at the risk-free rate
+function parseZeroCurve(text, interpolation) {
+    const pillars = parseSchedule(text);
+    if (pillars.length === 0) {
+        return null;
+    }
+    return {
+        times: pillars.map(pillar => pillar.time),
+        rates: pillars.map(pillar => parseFloat(pillar.value)),
+        interpolation
+    };
+}
+
+// Comma-separated numbers, e.g. fixing dates or realised fixings
+function parseNumberList(text) {
+    return text.split(',')
+        .map(value => value.trim())
+        .filter(value => value !== '')
+        .map(value => {
+            const number = parseFloat(value);
+            if (isNaN(number)) {
+                throw new Error(`Invalid number: ${value}`);
+            }
+            return number;
+        });
+}
+
+// Barrier levels, rebate and monitoring schedule
+function readBarrierParams(optionType) {
+    const params = {
+        rebate: parseFloat(document.getElementById('rebate').value) || 0,
+        rebateTiming: document.getElementById('rebateTiming').value,
+        continuityCorrection: document.getElementById('continuityCorrection').value,
+        monitoringDates: parseNumberList(document.getElementById('monitoringDates').value)
+    };
+    if (optionType.startsWith('barrier-double')) {
+        params.lowerBarrier = parseFloat(document.getElementById('lowerBarrier').value);
+        params.upperBarrier = parseFloat(document.getElementById('upperBarrier').value);
+        if (isNaN(params.lowerBarrier) || isNaN(params.upperBarrier)) throw new Error('Invalid barrier levels');
+    } else {
+        params.barrier = parseFloat(document.getElementById('barrier').value);
+        if (isNaN(params.barrier) || params.barrier <= 0) throw new Error('Invalid barrier level');
+    }
+    const windowBounds = parseNumberList(document.getElementById('monitoringWindow').value);
+    if (windowBounds.length === 2) {
+        params.monitoringWindow = { start: windowBounds[0], end: windowBounds[1] };
+    } else if (windowBounds.length > 0) {
+        throw new Error('Monitoring window needs a start and an end');
+    }
+    return params;
+}
+
+// Asian fixing schedule, realised fixings and strike type
+function readAveragingParams() {
+    const params = {
+        averageType: document.getElementById('averageType').value,
+        strikeType: document.getElementById('strikeType').value,
+        fixingDates: parseNumberList(document.getElementById('fixingDates').value),
+        pastFixings: parseNumberList(document.getElementById('pastFixings').value)
+    };
+    const windowBounds = parseNumberList(document.getElementById('averagingWindow').value);
+    if (windowBounds.length === 2) {
+        params.averagingWindow = { start: windowBounds[0], end: windowBounds[1] };
+    } else if (windowBounds.length > 0) {
+        throw new Error('Averaging window needs a start and an end');
+    }
+    return params;
+}
+
+// Seasoned extremum, strike fraction and lookback window
+function readLookbackParams() {
+    const params = {
+        strikeFraction: parseFloat(document.getElementById('strikeFraction').value) || 1,
+        observedMinimum: parseFloat(document.getElementById('observedMinimum').value) || null,
+        observedMaximum: parseFloat(document.getElementById('observedMaximum').value) || null
+    };
+    const windowBounds = parseNumberList(document.getElementById('lookbackWindow').value);
+    if (windowBounds.length === 2) {
+        params.lookbackWindow = { start: windowBounds[0], end: windowBounds[1] };
+    } else if (windowBounds.length > 0) {
+        throw new Error('Lookback window needs a start and an end');
+    }
+    return params;
+}
+
+// Contract terms of the single-asset exotics
+function readProductTerms(optionType) {
+    if (optionType.startsWith('asian')) {
+        return readAveragingParams();
+    }
+    if (optionType.startsWith('barrier')) {
+        return readBarrierParams(optionType);
     }
+    if (optionType.startsWith('lookback')) {
+        return readLookbackParams();
+    }
+    return {};
 }
 
 // Update UI with pricing results
@@ -105,17 +325,70 @@ function updateResults(result) {
     priceElement.innerHTML = `
         <h3>Option Price</h3>
         <p class="price">${result.price.toFixed(4)}</p>
-        <p class="confidence">95% CI: [${result.confidence.lower.toFixed(4)}, ${result.confidence.upper.toFixed(4)}]</p>
+        <p class="confidence">${result.qmcReplications ? `RQMC (${result.qmcReplications} replications) ` : ''}95% CI: [${result.confidence.lower.toFixed(4)}, ${result.confidence.upper.toFixed(4)}]</p>
+        <p class="confidence">Std. Error: ${result.confidence.stderr.toFixed(4)}</p>
+        ${result.controlVariate ? `<p class="confidence">${formatControlVariate(result.controlVariate, result.confidence)}</p>` : ''}
+        ${result.upperBound ? `<p class="confidence">Price interval (LSM / dual): [${result.price.toFixed(4)}, ${result.upperBound.price.toFixed(4)}]</p>` : ''}
+        ${result.cancelled
+            ? `<p class="confidence">Cancelled: partial estimate from ${result.simulations.toLocaleString()} simulations (${result.chunks.completed} of ${result.chunks.total} chunks)</p>`
+            : `<p class="confidence">${result.simulations.toLocaleString()} simulations in ${result.chunks.completed} chunks on ${result.workers} workers</p>`}
+        ${result.accuracy ? `<p class="confidence">Target half-width ${formatTarget(result.accuracy)}: ${result.accuracy.met ? 'met' : 'not met'} (${result.accuracy.halfWidth.toFixed(4)} after ${result.simulations.toLocaleString()} of at most ${result.accuracy.maxSimulations.toLocaleString()} simulations)</p>` : ''}
+        <p class="confidence">Seed: ${result.seed} <button id="replaySeed" class="link-button">Reuse</button></p>
     `;
+    document.getElementById('replaySeed').addEventListener('click', () => {
+        seed.value = result.seed;
+    });
+
+    renderValidation(result);
 
     // Update path chart
-    const paths = result.paths.slice(0, 10); // Show first 10 paths
-    const pathData = paths.map(path => ({
-        y: path,
-        type: 'scatter',
-        mode: 'lines',
-        opacity: 0.6
-    }));
+    let pathData;
+    if (typeof result.paths[0][0] === 'number') {
+        const paths = result.paths.slice(0, 10); // Show first 10 paths
+        pathData = paths.map(path => ({
+            y: path,
+            type: 'scatter',
+            mode: 'lines',
+            opacity: 0.6
+        }));
+    } else {
+        // Multi-asset: a few scenarios, one line per asset
+        pathData = result.paths.slice(0, 3).flatMap((assetPaths, sim) => assetPaths.map((path, asset) => ({
+            y: path,
+            type: 'scatter',
+            mode: 'lines',
+            opacity: 0.6,
+            name: `Asset ${asset + 1} (#${sim + 1})`
+        })));
+    }
+
+    if (result.exerciseBoundary && result.exerciseBoundary.length > 0) {
+        pathData.push({
+            x: result.exerciseBoundary.map(point => point.step),
+            y: result.exerciseBoundary.map(point => point.price),
+            type: 'scatter',
+            mode: 'lines',
+            name: 'Exercise Boundary',
+            line: { dash: 'dash', width: 3, color: '#f44336' }
+        });
+    }
+
+    if (result.barriers) {
+        const { levels, steps, discrete } = result.barriers;
+        levels.forEach(({ name, level }) => {
+            // Discrete barriers only exist on their monitoring dates
+            const x = discrete ? steps : [steps[0], steps[steps.length - 1]];
+            pathData.push({
+                x,
+                y: x.map(() => level),
+                type: 'scatter',
+                mode: discrete ? 'markers' : 'lines',
+                name,
+                line: { dash: 'dot', width: 2, color: '#ff9800' },
+                marker: { symbol: 'line-ew-open', size: 14, color: '#ff9800' }
+            });
+        });
+    }
 
     Plotly.newPlot('pathChart', pathData, {
         title: 'Sample Price Paths',
@@ -137,21 +410,45 @@ function updateResults(result) {
         template: isDarkMode ? 'plotly_dark' : 'plotly_white'
     }, chartConfig);
 
+    plotConvergence(result.convergence, result.accuracy);
+
     // Update Greeks
     const greeks = result.greeks;
-    Object.entries(greeks).forEach(([greek, value]) => {
+    ['delta', 'gamma', 'theta', 'vega', 'rho'].forEach(greek => {
         const element = document.getElementById(greek);
         element.innerHTML = `
             <h4>${greek.toUpperCase()}</h4>
-            <p>${value.toFixed(4)}</p>
+            <p>${formatGreek(greeks[greek])}</p>
+            <p class="confidence">± ${formatGreek(greeks.standardErrors[greek])}</p>
+            <p class="greek-method">${greeks.methods[greek]}</p>
         `;
     });
 
-    // Update risk metrics
+    // Update risk metrics: headline boxes at the first confidence level.
+    // A run cancelled while they were computed has none.
     const metrics = result.riskMetrics;
+    if (!metrics) {
+        ['var', 'expectedShortfall', 'probabilityOfProfit', 'sharpeRatio', 'sortinoRatio', 'riskDetails'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        return;
+    }
+    const headline = metrics.position.levels[0];
+    const levelLabel = `${(headline.level * 100).toFixed(1).replace(/\.0$/, '')}%`;
     document.getElementById('var').innerHTML = `
-        <h4>VaR (95%)</h4>
-        <p>${metrics.var95.toFixed(4)}</p>
+        <h4>Option P&L VaR (${levelLabel})</h4>
+        <p>${headline.valueAtRisk.value.toFixed(4)}</p>
+        <p class="confidence">${formatBand(headline.valueAtRisk)}</p>
+    `;
+    document.getElementById('expectedShortfall').innerHTML = `
+        <h4>Option P&L ES (${levelLabel})</h4>
+        <p>${headline.expectedShortfall.value.toFixed(4)}</p>
+        <p class="confidence">${formatBand(headline.expectedShortfall)}</p>
+    `;
+    document.getElementById('probabilityOfProfit').innerHTML = `
+        <h4>Probability of Profit</h4>
+        <p>${(metrics.position.probabilityOfProfit.value * 100).toFixed(2)}%</p>
+        <p class="confidence">${formatBand(metrics.position.probabilityOfProfit, 100, 2)}</p>
     `;
     document.getElementById('sharpeRatio').innerHTML = `
         <h4>Sharpe Ratio</h4>
@@ -161,6 +458,245 @@ function updateResults(result) {
         <h4>Sortino Ratio</h4>
         <p>${metrics.sortinoRatio.toFixed(4)}</p>
     `;
+    renderRiskDetails(metrics);
+}
+
+// Running estimate and 95% band against the number of paths
+function plotConvergence(points, accuracy = null) {
+    const x = points.map(point => point.simulations);
+    const layout = {
+        title: 'Convergence',
+        xaxis: { title: 'Simulations' },
+        yaxis: { title: 'Price' },
+        showlegend: false,
+        template: isDarkMode ? 'plotly_dark' : 'plotly_white'
+    };
+    if (accuracy && points.length > 0) {
+        layout.title = `Convergence (target ±${formatTarget(accuracy)})`;
+    }
+
+    Plotly.react('convergenceChart', [
+        { x, y: points.map(point => point.upper), type: 'scatter', mode: 'lines', line: { width: 0 }, hoverinfo: 'skip' },
+        {
+            x,
+            y: points.map(point => point.lower),
+            type: 'scatter',
+            mode: 'lines',
+            line: { width: 0 },
+            fill: 'tonexty',
+            fillcolor: 'rgba(33, 150, 243, 0.2)',
+            name: '95% CI'
+        },
+        { x, y: points.map(point => point.mean), type: 'scatter', mode: 'lines+markers', name: 'Estimate' }
+    ], layout, chartConfig);
+}
+
+function formatTarget({ target, relative }) {
+    return relative ? `${(target * 100).toFixed(2)}% of price` : target.toFixed(4);
+}
+
+function formatControlVariate({ controls, rawConfidence, varianceReduction }, confidence) {
+    const betas = controls.map(control => `${control.name}: β = ${control.beta.toFixed(3)}`).join(', ');
+    return `Control variates ${betas}; std. error ${rawConfidence.stderr.toFixed(4)} raw, ` +
+        `${confidence.stderr.toFixed(4)} controlled (variance reduction ${varianceReduction.toFixed(1)}×)`;
+}
+
+// Running estimate while the pool works through the chunks
+function updateProgress({ completed, total, simulations, estimate, convergence }) {
+    plotConvergence(convergence);
+    document.getElementById('optionPrice').innerHTML = `
+        <h3>Option Price</h3>
+        <p class="price">${estimate.mean.toFixed(4)}</p>
+        ${isFinite(estimate.stderr) ? `<p class="confidence">95% CI: [${estimate.lower.toFixed(4)}, ${estimate.upper.toFixed(4)}]</p>` : ''}
+        <progress value="${completed}" max="${total}"></progress>
+        <p class="confidence">${completed} of ${total} chunks, ${simulations.toLocaleString()} simulations</p>
+    `;
+}
+
+// Monte Carlo prices against the closed forms they should reproduce
+function renderValidation(result) {
+    const checks = [];
+    if (result.validation) {
+        checks.push([`Option price (${result.validation.method})`, result.validation]);
+    }
+    if (result.europeanBenchmark) {
+        checks.push([`European call on the paths (${result.europeanBenchmark.model})`, result.europeanBenchmark]);
+    }
+
+    const container = document.getElementById('validation');
+    if (checks.length === 0) {
+        container.innerHTML = '<p class="confidence">No closed form for this contract and model</p>';
+        return;
+    }
+    const repricing = result.surfaceRepricing ? renderSurfaceRepricing(result.surfaceRepricing) : '';
+
+    container.innerHTML = `
+        <table class="risk-table">
+            <thead><tr><th>Check</th><th>Monte Carlo</th><th>Closed form</th><th>Difference</th><th></th></tr></thead>
+            <tbody>${checks.map(([label, check]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td>${check.monteCarlo.toFixed(4)} <span class="confidence">± ${check.stderr.toFixed(4)}</span></td>
+                    <td>${check.analytical.toFixed(4)}</td>
+                    <td>${check.errorInStdErrs.toFixed(2)} SE</td>
+                    <td><span class="badge ${check.passed ? 'pass' : 'fail'}">${check.passed ? 'Pass' : 'Fail'}</span></td>
+                </tr>
+            `).join('')}</tbody>
+        </table>
+        ${repricing}
+    `;
+}
+
+// Implied surface quotes priced on the local-volatility paths
+function renderSurfaceRepricing(quotes) {
+    if (quotes.length === 0) {
+        return '<p class="confidence">No surface quotes mature within the option\'s life</p>';
+    }
+    const checked = quotes.filter(quote => quote.checked);
+    const passed = checked.filter(quote => quote.passed).length;
+    const unchecked = quotes.length - checked.length;
+    const formatVolatility = value => (isNaN(value) ? '—' : `${(value * 100).toFixed(2)}%`);
+    const badge = quote => {
+        if (!quote.checked) return '<span class="badge unchecked">Not checked</span>';
+        return `<span class="badge ${quote.passed ? 'pass' : 'fail'}">${quote.passed ? 'Pass' : 'Fail'}</span>`;
+    };
+    // Quotes too few steps out for their Euler bias to stay within tolerance
+    const note = unchecked > 0
+        ? ` ${unchecked} not checked: fewer than ${MIN_REPRICING_STEPS} steps to expiry, where the Euler bias can exceed the tolerance.`
+        : '';
+    return `
+        <h3>Implied Surface Repricing</h3>
+        <p class="confidence">${passed} of ${checked.length} checked quotes within 3 standard errors of the fitted surface.${note}</p>
+        <table class="risk-table">
+            <thead><tr><th>T</th><th>K</th><th>Option</th><th>Quoted σ</th><th>Fitted σ</th><th>Simulated σ</th><th>Monte Carlo</th><th>Surface</th><th>Difference</th><th></th></tr></thead>
+            <tbody>${quotes.map(quote => `
+                <tr>
+                    <td>${quote.maturity}</td>
+                    <td>${quote.strike}</td>
+                    <td>${quote.type}</td>
+                    <td>${formatVolatility(quote.volatility)}</td>
+                    <td>${formatVolatility(quote.surfaceVolatility)}</td>
+                    <td>${formatVolatility(quote.impliedVolatility)}</td>
+                    <td>${quote.monteCarlo.toFixed(4)} <span class="confidence">± ${quote.stderr.toFixed(4)}</span></td>
+                    <td>${quote.analytical.toFixed(4)}</td>
+                    <td>${quote.errorInStdErrs.toFixed(2)} SE</td>
+                    <td>${badge(quote)}</td>
+                </tr>
+            `).join('')}</tbody>
+        </table>
+    `;
+}
+
+// 95% bootstrap band of a risk measure
+function formatBand(measure, scale = 1, digits = 4) {
+    return `[${(measure.lower * scale).toFixed(digits)}, ${(measure.upper * scale).toFixed(digits)}]`;
+}
+
+// VaR/ES at every level for the option and delta-hedged P&L, plus payoff percentiles
+function renderRiskDetails(metrics) {
+    const rows = [['Option P&L', metrics.position], ['Delta-hedged P&L', metrics.hedged]]
+        .filter(([, analysis]) => analysis)
+        .map(([label, analysis]) => analysis.levels.map(({ level, valueAtRisk, expectedShortfall }) => `
+            <tr>
+                <td>${label}</td>
+                <td>${(level * 100).toFixed(1).replace(/\.0$/, '')}%</td>
+                <td>${valueAtRisk.value.toFixed(4)} <span class="confidence">${formatBand(valueAtRisk)}</span></td>
+                <td>${expectedShortfall.value.toFixed(4)} <span class="confidence">${formatBand(expectedShortfall)}</span></td>
+            </tr>
+        `).join(''))
+        .join('');
+    const hedgedProfit = metrics.hedged
+        ? `<p>Delta-hedged probability of profit: ${(metrics.hedged.probabilityOfProfit.value * 100).toFixed(2)}%
+            <span class="confidence">${formatBand(metrics.hedged.probabilityOfProfit, 100, 2)}</span></p>`
+        : '';
+
+    document.getElementById('riskDetails').innerHTML = `
+        <table class="risk-table">
+            <thead><tr><th>P&L</th><th>Level</th><th>VaR (95% band)</th><th>ES (95% band)</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${hedgedProfit}
+        <table class="risk-table">
+            <thead><tr><th>Payoff percentile</th>${metrics.payoffPercentiles.map(p => `<th>${p.percentile}%</th>`).join('')}</tr></thead>
+            <tbody><tr><td>Discounted payoff</td>${metrics.payoffPercentiles.map(p => `<td>${p.value.toFixed(4)}</td>`).join('')}</tr></tbody>
+        </table>
+    `;
+}
+
+// Market data, dynamics and simulation settings, shared by single options and portfolios;
+// productType, when given, is the single product the settings will be used for
+function readMarketParams(productType = null) {
+    const params = {
+        spot: parseFloat(spot.value),
+        volatility: parseFloat(volatility.value),
+        riskFreeRate: parseFloat(riskFreeRate.value),
+        dividendYield: parseFloat(dividendYield.value),
+        dividends: parseDividends(dividendSchedule.value),
+        rateCurve: parseZeroCurve(zeroCurve.value, curveInterpolation.value),
+        maturity: parseFloat(maturity.value),
+        steps: parseInt(steps.value),
+        simulations: parseInt(simulations.value),
+        useAntithetic: useAntithetic.checked,
+        useStratified: useStratified.checked,
+        useQuasiRandom: useQuasiRandom.checked,
+        scramble: scramble.checked,
+        useBrownianBridge: useBrownianBridge.checked,
+        qmcReplications: parseInt(qmcReplications.value),
+        jumpDiffusion: jumpDiffusion.checked,
+        jumpIntensity: parseFloat(document.getElementById('jumpIntensity').value),
+        jumpMean: parseFloat(document.getElementById('jumpMean').value),
+        jumpVolatility: parseFloat(document.getElementById('jumpVolatility').value),
+        model: model.value,
+        seed: seed.value === '' ? null : Number(seed.value),
+        greeksMethod: greeksMethod.value,
+        riskLevels: riskLevels.value.split(',')
+            .map(value => value.trim())
+            .filter(value => value !== '')
+            .map(value => parseFloat(value) / 100)
+    };
+
+    if (params.model === 'heston') {
+        params.heston = {
+            kappa: parseFloat(document.getElementById('hestonKappa').value),
+            theta: parseFloat(document.getElementById('hestonTheta').value),
+            xi: parseFloat(document.getElementById('hestonXi').value),
+            rho: parseFloat(document.getElementById('hestonRho').value),
+            v0: parseFloat(document.getElementById('hestonV0').value)
+        };
+        if (Object.values(params.heston).some(isNaN)) throw new Error('Invalid Heston parameters');
+        if (params.jumpDiffusion) throw new Error('Jump diffusion is only available with GBM dynamics');
+    }
+    if (params.model === 'local-vol') {
+        params.volatilitySurface = parseVolatilitySurface(volatilitySurface.value);
+        if (params.jumpDiffusion) throw new Error('Jump diffusion is only available with GBM dynamics');
+    }
+
+    // Validate parameters
+    if (isNaN(params.spot) || params.spot <= 0) throw new Error('Invalid spot price');
+    if (isNaN(params.volatility) || params.volatility <= 0) throw new Error('Invalid volatility');
+    if (isNaN(params.riskFreeRate)) throw new Error('Invalid risk-free rate');
+    if (isNaN(params.dividendYield)) throw new Error('Invalid dividend yield');
+    if (params.dividends.some(d => d.amount < 0 || (d.type === 'proportional' && d.amount >= 1))) {
+        throw new Error('Invalid dividend amount');
+    }
+    if (isNaN(params.maturity) || params.maturity <= 0) throw new Error('Invalid maturity');
+    if (isNaN(params.steps) || params.steps <= 0) throw new Error('Invalid number of steps');
+    if (params.useQuasiRandom && (isNaN(params.qmcReplications) || params.qmcReplications < 2)) {
+        throw new Error('Quasi-Monte Carlo needs at least 2 replications');
+    }
+    if (params.jumpDiffusion) {
+        if (productType && isMultiAsset(productType)) throw new Error('Multi-asset options do not support jump diffusion');
+        if (isNaN(params.jumpIntensity) || params.jumpIntensity < 0) throw new Error('Invalid jump intensity');
+        if (isNaN(params.jumpMean)) throw new Error('Invalid mean jump size');
+        if (isNaN(params.jumpVolatility) || params.jumpVolatility < 0) throw new Error('Invalid jump volatility');
+    }
+    if (params.riskLevels.length === 0 || params.riskLevels.some(level => isNaN(level) || level <= 0 || level >= 1)) {
+        throw new Error('Risk confidence levels must lie strictly between 0% and 100%');
+    }
+    if (params.seed !== null && (!Number.isInteger(params.seed) || params.seed < 0 || params.seed > 0xffffffff)) {
+        throw new Error('Seed must be an integer between 0 and 4294967295');
+    }
+    return params;
 }
 
 // Main calculation handler
@@ -172,84 +708,87 @@ async function calculateOption() {
     document.getElementById('optionPrice').innerHTML = '<h3>Option Price</h3><p>Calculating...</p>';
     document.getElementById('pathChart').innerHTML = '';
     document.getElementById('payoffHistogram').innerHTML = '';
+    plotConvergence([]);
     
     try {
         console.log('Starting calculation...');
         
         const params = {
             optionType: optionType.value,
-            spot: parseFloat(spot.value),
             strike: parseFloat(strike.value),
-            volatility: parseFloat(volatility.value),
-            riskFreeRate: parseFloat(riskFreeRate.value),
-            maturity: parseFloat(maturity.value),
-            steps: parseInt(steps.value),
-            simulations: parseInt(simulations.value),
-            useAntithetic: useAntithetic.checked,
-            useStratified: useStratified.checked,
-            jumpDiffusion: jumpDiffusion.checked
+            ...readMarketParams(optionType.value),
+            useControlVariate: useControlVariate.checked
         };
 
-        console.log('Parameters:', params);
+        if (accuracyMode.checked) {
+            params.accuracy = {
+                target: parseFloat(document.getElementById('targetHalfWidth').value),
+                relative: document.getElementById('targetType').value === 'relative',
+                maxSimulations: parseInt(document.getElementById('maxSimulations').value)
+            };
+        }
 
-        // Validate parameters
-        if (isNaN(params.spot) || params.spot <= 0) throw new Error('Invalid spot price');
-        if (isNaN(params.strike) || params.strike <= 0) throw new Error('Invalid strike price');
-        if (isNaN(params.volatility) || params.volatility <= 0) throw new Error('Invalid volatility');
-        if (isNaN(params.riskFreeRate)) throw new Error('Invalid risk-free rate');
-        if (isNaN(params.maturity) || params.maturity <= 0) throw new Error('Invalid maturity');
-        if (isNaN(params.steps) || params.steps <= 0) throw new Error('Invalid number of steps');
-        if (isNaN(params.simulations) || params.simulations <= 0) throw new Error('Invalid number of simulations');
+        Object.assign(params, readProductTerms(params.optionType));
 
-        return new Promise((resolve, reject) => {
-            // Use Web Worker for computation
-            const worker = new Worker(new URL('./workers/pricingWorker.js', import.meta.url), {
-                type: 'module'
-            });
-            
-            // Set a timeout to prevent infinite calculation
-            const timeout = setTimeout(() => {
-                worker.terminate();
-                reject(new Error('Calculation timeout after 30 seconds'));
-            }, 30000);
-            
-            worker.onerror = function(e) {
-                clearTimeout(timeout);
-                console.error('Worker error:', e);
-                reject(new Error('Error in calculation worker: ' + e.message));
-            };
-            
-            worker.onmessage = function(e) {
-                clearTimeout(timeout);
-                console.log('Received result from worker:', e.data);
-                
-                if (e.data.error) {
-                    console.error('Calculation error:', e.data);
-                    reject(new Error(e.data.error));
-                } else {
-                    resolve(e.data);
+        if (params.optionType.startsWith('american') || params.optionType.startsWith('bermudan')) {
+            params.regressionBasis = document.getElementById('regressionBasis').value;
+            params.basisDegree = parseInt(document.getElementById('basisDegree').value);
+            if (isNaN(params.basisDegree) || params.basisDegree < 1) throw new Error('Invalid regression degree');
+            if (params.optionType.startsWith('bermudan')) {
+                params.exerciseDates = document.getElementById('exerciseDates').value
+                    .split(',')
+                    .map(value => parseFloat(value))
+                    .filter(value => !isNaN(value));
+                if (params.exerciseDates.some(t => t <= 0 || t > params.maturity)) {
+                    throw new Error('Exercise dates must lie in (0, maturity]');
                 }
-                
-                worker.terminate();
-            };
+            }
+        }
 
-            console.log('Posting message to worker...');
-            worker.postMessage({
-                params,
-                optionType: optionType.value
-            });
-        })
+        const multiAsset = isMultiAsset(params.optionType);
+        if (multiAsset) {
+            const editor = document.querySelector('.multi-asset-input');
+            if (!validateCorrelationEditor(editor)) throw new Error('Invalid correlation matrix');
+            Object.assign(params, readMultiAssetParams(editor));
+            if (params.spots.some(s => isNaN(s) || s <= 0)) throw new Error('Invalid asset spot price');
+            if (params.volatilities.some(v => isNaN(v) || v <= 0)) throw new Error('Invalid asset volatility');
+            if (params.dividendYields.some(isNaN) || params.weights.some(isNaN)) {
+                throw new Error('Invalid asset dividend yield or weight');
+            }
+        }
+
+        console.log('Parameters:', params);
+
+        // Spread strikes may be zero (exchange option) or negative
+        if (isNaN(params.strike) || (params.strike <= 0 && !params.optionType.startsWith('spread'))) {
+            throw new Error('Invalid strike price');
+        }
+        if (params.accuracy) {
+            const { target, maxSimulations } = params.accuracy;
+            if (isNaN(target) || target <= 0) throw new Error('Target half-width must be positive');
+            if (isNaN(maxSimulations) || maxSimulations <= 0) throw new Error('Invalid maximum number of simulations');
+        } else if (isNaN(params.simulations) || params.simulations <= 0) {
+            throw new Error('Invalid number of simulations');
+        }
+
+        cancelButton.disabled = false;
+        return pricingPool.price(params, { onProgress: updateProgress })
         .then(result => {
             console.log('Updating UI with results...');
             updateResults(result);
         })
         .catch(error => {
+            if (error.name === 'AbortError') {
+                document.getElementById('optionPrice').innerHTML = '<h3>Option Price</h3><p>Cancelled before any chunk finished</p>';
+                return;
+            }
             console.error('Calculation failed:', error);
             alert('Error calculating option price: ' + error.message);
         })
         .finally(() => {
             calculateButton.disabled = false;
             calculateButton.textContent = 'Calculate Price';
+            cancelButton.disabled = true;
         });
 
     } catch (error) {
@@ -262,29 +801,762 @@ async function calculateOption() {
 
 // Event listeners
 calculateButton.addEventListener('click', calculateOption);
+cancelButton.addEventListener('click', () => pricingPool.cancel());
 window.addEventListener('load', initializeCharts);
 
+// Quasi-Monte Carlo settings only apply when the mode is on
+function toggleQmcSettings() {
+    document.querySelectorAll('.qmc-setting').forEach(element => {
+        element.style.display = useQuasiRandom.checked ? '' : 'none';
+    });
+    useAntithetic.disabled = useQuasiRandom.checked;
+    useStratified.disabled = useQuasiRandom.checked;
+}
+useQuasiRandom.addEventListener('change', toggleQmcSettings);
+toggleQmcSettings();
+
+// Accuracy mode replaces the fixed number of simulations with a target and budget
+function toggleAccuracySettings() {
+    document.querySelectorAll('.accuracy-setting').forEach(element => {
+        element.style.display = accuracyMode.checked ? '' : 'none';
+    });
+    simulations.disabled = accuracyMode.checked;
+}
+accuracyMode.addEventListener('change', toggleAccuracySettings);
+toggleAccuracySettings();
+
+// Jump parameters only apply with jump diffusion on
+function toggleJumpSettings() {
+    document.querySelectorAll('.jump-setting').forEach(element => {
+        element.style.display = jumpDiffusion.checked ? '' : 'none';
+    });
+}
+jumpDiffusion.addEventListener('change', toggleJumpSettings);
+toggleJumpSettings();
+
+// Heston parameters and the implied surface only apply when their model is selected
+function toggleModelSettings() {
+    document.querySelectorAll('.heston-setting').forEach(element => {
+        element.style.display = model.value === 'heston' ? '' : 'none';
+    });
+    document.querySelectorAll('.local-vol-setting').forEach(element => {
+        element.style.display = model.value === 'local-vol' ? '' : 'none';
+    });
+    volatility.disabled = model.value !== 'gbm';
+}
+model.addEventListener('change', toggleModelSettings);
+toggleModelSettings();
+
 // Handle option type changes
 optionType.addEventListener('change', () => {
     const [baseType, subType] = optionType.value.split('-');
     
-    // Show/hide barrier input if needed
+    // Show/hide the barrier settings; the levels depend on the barrier direction
     const barrierInput = document.querySelector('.barrier-input');
+    if (barrierInput) {
+        barrierInput.remove();
+    }
     if (baseType === 'barrier') {
-        if (!barrierInput) {
+        const spotPrice = parseFloat(spot.value);
+        const div = document.createElement('div');
+        div.className = 'param-group barrier-input';
+        div.innerHTML = `
+            ${subType === 'double' ? `
+                <label for="lowerBarrier">Lower Barrier:</label>
+                <input type="number" id="lowerBarrier" value="${spotPrice * 0.8}" step="0.01">
+                <label for="upperBarrier">Upper Barrier:</label>
+                <input type="number" id="upperBarrier" value="${spotPrice * 1.2}" step="0.01">
+            ` : `
+                <label for="barrier">Barrier Level:</label>
+                <input type="number" id="barrier" value="${spotPrice * (subType === 'up' ? 1.2 : 0.8)}" step="0.01">
+            `}
+            <label for="rebate">Rebate:</label>
+            <input type="number" id="rebate" value="0" step="0.1" min="0">
+            <label for="rebateTiming">Rebate Paid:</label>
+            <select id="rebateTiming">
+                <option value="expiry">At Expiry</option>
+                <option value="hit" ${optionType.value.includes('-in-') ? 'disabled' : ''}>At Hit (knock-outs)</option>
+            </select>
+            <label for="continuityCorrection">Continuous Monitoring:</label>
+            <select id="continuityCorrection">
+                <option value="bgk">BGK Barrier Shift</option>
+                <option value="brownian-bridge">Brownian-Bridge Crossing Probability</option>
+            </select>
+            <label for="monitoringWindow">Monitoring Window (start, end; blank for whole life):</label>
+            <input type="text" id="monitoringWindow" placeholder="e.g. 0, 0.5">
+            <label for="monitoringDates">Discrete Monitoring Dates (years):</label>
+            <input type="text" id="monitoringDates" placeholder="e.g. 0.25, 0.5, 0.75, 1">
+        `;
+        strike.parentElement.after(div);
+    }
+
+    // Show/hide the averaging settings
+    const averagingInput = document.querySelector('.averaging-input');
+    if (baseType === 'asian') {
+        if (!averagingInput) {
             const div = document.createElement('div');
-            div.className = 'param-group barrier-input';
+            div.className = 'param-group averaging-input';
             div.innerHTML = `
-                <label for="barrier">Barrier Level:</label>
-                <input type="number" id="barrier" value="${parseFloat(spot.value) * 1.2}" step="0.01">
+                <label for="averageType">Average Type:</label>
+                <select id="averageType">
+                    <option value="arithmetic">Arithmetic</option>
+                    <option value="geometric">Geometric</option>
+                </select>
+                <label for="strikeType">Strike Type:</label>
+                <select id="strikeType">
+                    <option value="fixed">Fixed (average price)</option>
+                    <option value="floating">Floating (average strike)</option>
+                </select>
+                <label for="fixingDates">Fixing Dates (years, blank for every step):</label>
+                <input type="text" id="fixingDates" placeholder="e.g. 0.25, 0.5, 0.75, 1">
+                <label for="averagingWindow">Averaging Window (start, end):</label>
+                <input type="text" id="averagingWindow" placeholder="e.g. 0.5, 1">
+                <label for="pastFixings">Realised Fixings (seasoned trades):</label>
+                <input type="text" id="pastFixings" placeholder="e.g. 98.5, 101.2">
             `;
             strike.parentElement.after(div);
         }
-    } else {
-        if (barrierInput) {
-            barrierInput.remove();
+    } else if (averagingInput) {
+        averagingInput.remove();
+    }
+
+    // Show/hide the lookback settings; the strike fraction only applies to floating strikes
+    const lookbackInput = document.querySelector('.lookback-input');
+    if (lookbackInput) {
+        lookbackInput.remove();
+    }
+    if (baseType === 'lookback') {
+        const div = document.createElement('div');
+        div.className = 'param-group lookback-input';
+        div.innerHTML = `
+            ${subType === 'floating' ? `
+                <label for="strikeFraction">Strike Fraction (lambda):</label>
+                <input type="number" id="strikeFraction" value="1" step="0.01" min="0.01">
+            ` : `
+                <input type="hidden" id="strikeFraction" value="1">
+            `}
+            <label for="observedMinimum">Observed Minimum (seasoned trades):</label>
+            <input type="number" id="observedMinimum" step="0.01" min="0">
+            <label for="observedMaximum">Observed Maximum (seasoned trades):</label>
+            <input type="number" id="observedMaximum" step="0.01" min="0">
+            <label for="lookbackWindow">Lookback Window (start, end; blank for whole life):</label>
+            <input type="text" id="lookbackWindow" placeholder="e.g. 0, 0.5">
+        `;
+        strike.parentElement.after(div);
+    }
+
+    // Show/hide the early-exercise settings
+    const exerciseInput = document.querySelector('.exercise-input');
+    if (exerciseInput) {
+        exerciseInput.remove();
+    }
+    if (baseType === 'american' || baseType === 'bermudan') {
+        const div = document.createElement('div');
+        div.className = 'param-group exercise-input';
+        div.innerHTML = `
+            <label for="regressionBasis">Regression Basis:</label>
+            <select id="regressionBasis">
+                <option value="polynomial">Polynomial</option>
+                <option value="laguerre">Weighted Laguerre</option>
+            </select>
+            <label for="basisDegree">Basis Degree:</label>
+            <input type="number" id="basisDegree" value="3" min="1" max="8" step="1">
+            ${baseType === 'bermudan' ? `
+                <label for="exerciseDates">Exercise Dates (years, comma separated):</label>
+                <input type="text" id="exerciseDates" value="0.25, 0.5, 0.75">
+            ` : ''}
+        `;
+        strike.parentElement.after(div);
+    }
+
+    // Show/hide the multi-asset editor
+    const multiAssetInput = document.querySelector('.multi-asset-input');
+    if (isMultiAsset(optionType.value)) {
+        let container = multiAssetInput;
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'param-group multi-asset-input';
+            container.innerHTML = `
+                <label for="assetCount">Number of Assets:</label>
+                <input type="number" id="assetCount" value="2" min="2" max="10" step="1">
+                <div class="asset-table-container"></div>
+            `;
+            strike.parentElement.after(container);
+            container.querySelector('#assetCount').addEventListener('change', event => {
+                const count = Math.min(10, Math.max(2, parseInt(event.target.value) || 2));
+                event.target.value = count;
+                renderMultiAssetEditor(container, count);
+            });
+        }
+        const assetCountInput = container.querySelector('#assetCount');
+        if (baseType === 'spread') {
+            assetCountInput.value = 2;
+        }
+        assetCountInput.disabled = baseType === 'spread';
+        renderMultiAssetEditor(container, parseInt(assetCountInput.value));
+    } else if (multiAssetInput) {
+        multiAssetInput.remove();
+    }
+});
+
+// Portfolio positions table: products, quantities, strikes and barrier levels
+const positionsBody = document.querySelector('#positionsTable tbody');
+const strategyPreset = document.getElementById('strategyPreset');
+const portfolioButton = document.getElementById('portfolioButton');
+const portfolioProducts = Array.from(optionType.options)
+    .filter(option => PORTFOLIO_PRODUCTS.includes(option.value.split('-')[0]));
+
+Object.entries(STRATEGIES).forEach(([key, { name }]) => {
+    strategyPreset.add(new Option(name, key));
+});
+
+function addPositionRow({ optionType: product = 'european-call', quantity = 1, strike: strikePrice = parseFloat(strike.value) } = {}) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td>
+            <select class="position-product">
+                ${portfolioProducts.map(option => `
+                    <option value="${option.value}" ${option.value === product ? 'selected' : ''}>${option.text}</option>
+                `).join('')}
+            </select>
+        </td>
+        <td><input type="number" class="position-quantity" value="${quantity}" step="1"></td>
+        <td><input type="number" class="position-strike" value="${strikePrice}" step="0.01"></td>
+        <td><input type="text" class="position-barrier" placeholder="e.g. 120 or 80, 120"></td>
+        <td><button class="link-button position-remove">Remove</button></td>
+    `;
+
+    // Editing a preset makes it a custom portfolio
+    const productSelect = row.querySelector('.position-product');
+    const barrierInput = row.querySelector('.position-barrier');
+    const toggleBarrier = () => {
+        barrierInput.disabled = !productSelect.value.startsWith('barrier');
+    };
+    productSelect.addEventListener('change', () => {
+        toggleBarrier();
+        strategyPreset.value = '';
+    });
+    row.querySelectorAll('input').forEach(input => input.addEventListener('input', () => {
+        strategyPreset.value = '';
+    }));
+    row.querySelector('.position-remove').addEventListener('click', () => {
+        row.remove();
+        strategyPreset.value = '';
+    });
+    toggleBarrier();
+    positionsBody.appendChild(row);
+}
+
+function readPositions() {
+    const positions = Array.from(positionsBody.rows).map((row, index) => {
+        const position = {
+            optionType: row.querySelector('.position-product').value,
+            quantity: parseFloat(row.querySelector('.position-quantity').value),
+            strike: parseFloat(row.querySelector('.position-strike').value)
+        };
+        if (isNaN(position.quantity) || position.quantity === 0) throw new Error(`Position ${index + 1}: invalid quantity`);
+        if (isNaN(position.strike) || position.strike <= 0) throw new Error(`Position ${index + 1}: invalid strike`);
+
+        if (position.optionType.startsWith('barrier')) {
+            const levels = parseNumberList(row.querySelector('.position-barrier').value);
+            if (position.optionType.startsWith('barrier-double')) {
+                if (levels.length !== 2) throw new Error(`Position ${index + 1}: a double barrier needs a lower and an upper level`);
+                [position.lowerBarrier, position.upperBarrier] = levels;
+            } else {
+                if (levels.length !== 1 || levels[0] <= 0) throw new Error(`Position ${index + 1}: invalid barrier level`);
+                position.barrier = levels[0];
+            }
+        }
+        return position;
+    });
+    if (positions.length === 0) {
+        throw new Error('Add at least one position');
+    }
+    return positions;
+}
+
+// Position and portfolio values, Greeks and P&L risk at the first confidence level
+function renderPortfolioResults(result) {
+    const greekNames = ['delta', 'gamma', 'theta', 'vega', 'rho'];
+    const headline = result.riskMetrics.position.levels[0];
+    const levelLabel = `${(headline.level * 100).toFixed(1).replace(/\.0$/, '')}%`;
+    const riskCells = ({ position }) => `
+        <td>${position.levels[0].valueAtRisk.value.toFixed(4)}</td>
+        <td>${position.levels[0].expectedShortfall.value.toFixed(4)}</td>
+    `;
+
+    const rows = result.positions.map(position => `
+        <tr>
+            <td>${position.label}</td>
+            <td>${position.unitPrice.toFixed(4)}</td>
+            <td>${position.value.toFixed(4)} <span class="confidence">± ${position.confidence.stderr.toFixed(4)}</span></td>
+            ${greekNames.map(name => `<td>${position.greeks[name].toFixed(4)}</td>`).join('')}
+            ${riskCells(position.riskMetrics)}
+            <td>${position.validation ? `z = ${position.validation.errorInStdErrs.toFixed(2)}` : '—'}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('portfolioResults').innerHTML = `
+        <div class="result-box">
+            <h3>Portfolio Value</h3>
+            <p class="price">${result.price.toFixed(4)}</p>
+            <p class="confidence">95% CI: [${result.confidence.lower.toFixed(4)}, ${result.confidence.upper.toFixed(4)}], Std. Error: ${result.confidence.stderr.toFixed(4)}</p>
+            <p class="confidence">${result.simulations.toLocaleString()} shared paths, seed ${result.seed}</p>
+            ${result.riskMetrics.hedged ? `<p class="confidence">Delta-hedged VaR / ES (${levelLabel}): ${result.riskMetrics.hedged.levels[0].valueAtRisk.value.toFixed(4)} / ${result.riskMetrics.hedged.levels[0].expectedShortfall.value.toFixed(4)}</p>` : ''}
+        </div>
+        <table class="risk-table">
+            <thead>
+                <tr>
+                    <th>Position</th><th>Unit Price</th><th>Value</th>
+                    ${greekNames.map(name => `<th>${name[0].toUpperCase() + name.slice(1)}</th>`).join('')}
+                    <th>VaR (${levelLabel})</th><th>ES (${levelLabel})</th><th>Closed Form</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows}
+                <tr>
+                    <td><strong>Portfolio</strong></td>
+                    <td></td>
+                    <td><strong>${result.price.toFixed(4)}</strong></td>
+                    ${greekNames.map(name => `<td><strong>${result.greeks[name].toFixed(4)}</strong> <span class="confidence">± ${result.greeks.standardErrors[name].toFixed(4)}</span></td>`).join('')}
+                    ${riskCells(result.riskMetrics)}
+                    <td></td>
+                </tr>
+            </tbody>
+        </table>
+        <p class="hint">Portfolio Greek errors add up the positions' errors, a bound since the positions share their paths. VaR and ES net the positions path by path.</p>
+    `;
+
+    Plotly.newPlot('portfolioPnlChart', [{
+        x: result.payoffs.map(payoff => payoff - result.price),
+        type: 'histogram',
+        name: 'Portfolio P&L',
+        nbinsx: 50
+    }], {
+        title: 'Portfolio P&L Distribution',
+        xaxis: { title: 'P&L' },
+        yaxis: { title: 'Frequency' },
+        template: isDarkMode ? 'plotly_dark' : 'plotly_white'
+    }, chartConfig);
+}
+
+async function pricePortfolio() {
+    const output = document.getElementById('portfolioResults');
+    portfolioButton.disabled = true;
+    portfolioButton.textContent = 'Pricing...';
+    let started = false;
+
+    try {
+        const params = { ...readMarketParams(), positions: readPositions() };
+        if (isNaN(params.simulations) || params.simulations <= 0) throw new Error('Invalid number of simulations');
+
+        output.innerHTML = '<p>Pricing portfolio...</p>';
+        const run = pricingPool.pricePortfolio(params);
+        started = true;
+        cancelButton.disabled = false;
+        renderPortfolioResults(await run);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            output.innerHTML = '<p>Cancelled</p>';
+        } else {
+            console.error('Portfolio pricing failed:', error);
+            alert('Error pricing portfolio: ' + error.message);
+        }
+    } finally {
+        portfolioButton.disabled = false;
+        portfolioButton.textContent = 'Price Portfolio';
+        if (started) {
+            cancelButton.disabled = true;
+        }
+    }
+}
+
+strategyPreset.addEventListener('change', () => {
+    if (!strategyPreset.value) {
+        return;
+    }
+    positionsBody.innerHTML = '';
+    strategyPositions(strategyPreset.value, parseFloat(spot.value) || 100).forEach(position => addPositionRow(position));
+});
+document.getElementById('addPositionButton').addEventListener('click', () => {
+    addPositionRow();
+    strategyPreset.value = '';
+});
+portfolioButton.addEventListener('click', pricePortfolio);
+strategyPreset.value = 'straddle';
+strategyPreset.dispatchEvent(new Event('change'));
+
+// Scenario grid: price and Greek surfaces across spot and volatility or maturity
+const gridButton = document.getElementById('gridButton');
+const gridAxis = document.getElementById('gridAxis');
+const surfaceMeasure = document.getElementById('surfaceMeasure');
+const sliceValue = document.getElementById('sliceValue');
+const sliceSpot = document.getElementById('sliceSpot');
+const GRID_AXIS_LABELS = { volatility: 'Volatility', maturity: 'Maturity' };
+const SURFACE_LABELS = { price: 'Price', delta: 'Delta', gamma: 'Gamma', vega: 'Vega' };
+let surfacePlot = null;
+let gridResult = null;
+
+gridAxis.addEventListener('change', () => {
+    const volatilityAxis = gridAxis.value === 'volatility';
+    document.getElementById('gridValueLabel').textContent = `${GRID_AXIS_LABELS[gridAxis.value]} (min, max, points):`;
+    document.getElementById('gridValueMin').value = volatilityAxis ? 0.1 : 0.05;
+    document.getElementById('gridValueMax').value = volatilityAxis ? 0.5 : (parseFloat(maturity.value) || 1);
+});
+
+function readGridRange(prefix) {
+    return {
+        min: parseFloat(document.getElementById(`${prefix}Min`).value),
+        max: parseFloat(document.getElementById(`${prefix}Max`).value),
+        count: parseInt(document.getElementById(`${prefix}Count`).value)
+    };
+}
+
+// Barrier levels to mark on the spot axis
+function gridMarkers(params) {
+    return [
+        ['barrier', 'Barrier'],
+        ['lowerBarrier', 'Lower barrier'],
+        ['upperBarrier', 'Upper barrier']
+    ].filter(([key]) => params[key] > 0).map(([key, label]) => ({ x: params[key], label }));
+}
+
+function renderSurface() {
+    if (!gridResult) {
+        return;
+    }
+    const name = surfaceMeasure.value;
+    if (!surfacePlot) {
+        surfacePlot = new SurfacePlot(document.getElementById('surfacePlot'), {
+            dark: isDarkMode,
+            onSelect: (column, row) => {
+                sliceSpot.value = column;
+                sliceValue.value = row;
+                renderSlices();
+            }
+        });
+    }
+    surfacePlot.setData({
+        xs: gridResult.spots,
+        ys: gridResult.values,
+        z: gridResult.surfaces[name],
+        labels: ['Spot', GRID_AXIS_LABELS[gridResult.axis], SURFACE_LABELS[name]],
+        markers: gridResult.markers
+    });
+    renderSlices();
+}
+
+// 2D cuts through the surface, with bars of two standard errors per cell
+function renderSlices() {
+    if (!gridResult) {
+        return;
+    }
+    const name = surfaceMeasure.value;
+    const { axis, spots, values, surfaces, standardErrors, markers } = gridResult;
+    const row = parseInt(sliceValue.value);
+    const column = parseInt(sliceSpot.value);
+    const axisLabel = GRID_AXIS_LABELS[axis];
+    const template = isDarkMode ? 'plotly_dark' : 'plotly_white';
+    const errorBars = errors => ({ type: 'data', array: errors.map(error => (error === null ? 0 : 2 * error)), visible: true });
+
+    document.getElementById('sliceValueLabel').textContent = `Slice at ${axisLabel.toLowerCase()} ${values[row].toFixed(4)}:`;
+    document.getElementById('sliceSpotLabel').textContent = `Slice at spot ${spots[column].toFixed(2)}:`;
+
+    Plotly.newPlot('spotSliceChart', [{
+        x: spots,
+        y: surfaces[name][row],
+        error_y: errorBars(standardErrors[name][row]),
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: SURFACE_LABELS[name]
+    }], {
+        title: `${SURFACE_LABELS[name]} vs Spot at ${axisLabel} ${values[row].toFixed(4)}`,
+        xaxis: { title: 'Spot' },
+        yaxis: { title: SURFACE_LABELS[name] },
+        shapes: markers.map(marker => ({
+            type: 'line',
+            x0: marker.x,
+            x1: marker.x,
+            yref: 'paper',
+            y0: 0,
+            y1: 1,
+            line: { color: '#d62728', dash: 'dot' }
+        })),
+        template
+    }, chartConfig);
+
+    Plotly.newPlot('axisSliceChart', [{
+        x: values,
+        y: surfaces[name].map(cells => cells[column]),
+        error_y: errorBars(standardErrors[name].map(cells => cells[column])),
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: SURFACE_LABELS[name]
+    }], {
+        title: `${SURFACE_LABELS[name]} vs ${axisLabel} at Spot ${spots[column].toFixed(2)}`,
+        xaxis: { title: axisLabel },
+        yaxis: { title: SURFACE_LABELS[name] },
+        template
+    }, chartConfig);
+}
+
+async function runScenarioGrid() {
+    const summary = document.getElementById('gridSummary');
+    gridButton.disabled = true;
+    gridButton.textContent = 'Running...';
+    let started = false;
+
+    try {
+        const params = {
+            optionType: optionType.value,
+            strike: parseFloat(strike.value),
+            ...readMarketParams(optionType.value),
+            ...readProductTerms(optionType.value),
+            grid: {
+                axis: gridAxis.value,
+                spot: readGridRange('gridSpot'),
+                values: readGridRange('gridValue')
+            }
+        };
+        if (isNaN(params.strike) || params.strike <= 0) throw new Error('Invalid strike price');
+        if (isNaN(params.simulations) || params.simulations <= 0) throw new Error('Invalid number of simulations');
+
+        summary.innerHTML = '<p>Pricing the grid...</p>';
+        const run = pricingPool.scanGrid(params, {
+            onProgress: ({ completed, total }) => {
+                summary.innerHTML = `<p>Priced ${completed} of ${total} rows...</p>`;
+            }
+        });
+        started = true;
+        cancelButton.disabled = false;
+        gridResult = { ...(await run), markers: gridMarkers(params) };
+
+        const cells = gridResult.spots.length * gridResult.values.length;
+        summary.innerHTML = `
+            <p class="confidence">${cells} scenarios of ${gridResult.simulations.toLocaleString()} paths on common random numbers, seed ${gridResult.seed}</p>
+            ${gridResult.methods ? `<p class="confidence">Delta ${gridResult.methods.delta}, gamma ${gridResult.methods.gamma}, vega ${gridResult.methods.vega}</p>` : ''}
+            ${gridResult.errors.length > 0 ? `<p class="confidence">${gridResult.errors.length} scenarios left empty, e.g. ${gridResult.errors[0]}</p>` : ''}
+        `;
+        sliceValue.max = gridResult.values.length - 1;
+        sliceValue.value = Math.floor(gridResult.values.length / 2);
+        sliceSpot.max = gridResult.spots.length - 1;
+        sliceSpot.value = Math.floor(gridResult.spots.length / 2);
+        renderSurface();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            summary.innerHTML = '<p>Cancelled</p>';
+        } else {
+            console.error('Scenario grid failed:', error);
+            alert('Error running scenario grid: ' + error.message);
+        }
+    } finally {
+        gridButton.disabled = false;
+        gridButton.textContent = 'Run Grid';
+        if (started) {
+            cancelButton.disabled = true;
         }
     }
+}
+
+gridButton.addEventListener('click', runScenarioGrid);
+surfaceMeasure.addEventListener('change', renderSurface);
+sliceValue.addEventListener('input', renderSlices);
+sliceSpot.addEventListener('input', renderSlices);
+
+// Delta hedging backtest of the option in the main form
+const hedgeButton = document.getElementById('hedgeButton');
+
+function renderHedgeResults(result) {
+    const { statistics } = result;
+    const methodLabel = result.deltaMethod === 'analytical' ? 'analytical' : 'regression estimate';
+    const riskRows = result.riskMetrics.levels.map(({ level, valueAtRisk, expectedShortfall }) => `
+        <tr>
+            <td>${(level * 100).toFixed(1).replace(/\.0$/, '')}%</td>
+            <td>${valueAtRisk.value.toFixed(4)} <span class="confidence">${formatBand(valueAtRisk)}</span></td>
+            <td>${expectedShortfall.value.toFixed(4)} <span class="confidence">${formatBand(expectedShortfall)}</span></td>
+        </tr>
+    `).join('');
+
+    document.getElementById('hedgeResults').innerHTML = `
+        <div class="result-box">
+            <h3>Hedging Error</h3>
+            <p class="price">${statistics.mean.toFixed(4)} <span class="confidence">± ${statistics.stderr.toFixed(4)}</span></p>
+            <p class="confidence">Std. Deviation: ${statistics.stdev.toFixed(4)} (${(statistics.relativeStdev * 100).toFixed(1)}% of the premium)</p>
+            <p class="confidence">Premium ${result.premium.toFixed(4)}, initial delta ${result.initialDelta.value.toFixed(4)} ± ${result.initialDelta.stderr.toFixed(4)} (${result.initialDelta.method})</p>
+            <p class="confidence">${result.rebalances} rebalances with ${methodLabel} deltas, mean transaction costs ${statistics.meanCost.toFixed(4)}</p>
+            <p class="confidence">${result.simulations.toLocaleString()} paths, seed ${result.seed}</p>
+        </div>
+        <table class="risk-table">
+            <thead>
+                <tr><th>Level</th><th>VaR of Hedging Error</th><th>ES of Hedging Error</th></tr>
+            </thead>
+            <tbody>${riskRows}</tbody>
+        </table>
+    `;
+
+    const template = isDarkMode ? 'plotly_dark' : 'plotly_white';
+    Plotly.newPlot('hedgeErrorChart', [{
+        x: result.errors,
+        type: 'histogram',
+        name: 'Hedging error',
+        nbinsx: 50
+    }], {
+        title: 'Hedging Error Distribution (discounted)',
+        xaxis: { title: 'Hedge portfolio less payoff' },
+        yaxis: { title: 'Frequency' },
+        template
+    }, chartConfig);
+
+    // Option value solid and hedge portfolio dashed, one colour per path
+    const colors = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b'];
+    const traces = result.samples.flatMap((sample, i) => [
+        {
+            x: result.times,
+            y: sample.optionValue,
+            type: 'scatter',
+            mode: 'lines',
+            connectgaps: true,
+            name: `Path ${i + 1} option`,
+            legendgroup: `path${i}`,
+            line: { color: colors[i % colors.length] }
+        },
+        {
+            x: result.times,
+            y: sample.hedgeValue,
+            type: 'scatter',
+            mode: 'lines',
+            name: `Path ${i + 1} hedge`,
+            legendgroup: `path${i}`,
+            line: { color: colors[i % colors.length], dash: 'dash' }
+        }
+    ]);
+    Plotly.newPlot('hedgePathChart', traces, {
+        title: 'Option Value and Hedge Portfolio Along Sample Paths',
+        xaxis: { title: 'Time (years)' },
+        yaxis: { title: 'Value' },
+        template
+    }, chartConfig);
+}
+
+async function runHedgeBacktest() {
+    const output = document.getElementById('hedgeResults');
+    hedgeButton.disabled = true;
+    hedgeButton.textContent = 'Running...';
+    let started = false;
+
+    try {
+        const params = {
+            optionType: optionType.value,
+            strike: parseFloat(strike.value),
+            ...readMarketParams(optionType.value),
+            ...readProductTerms(optionType.value),
+            rebalanceEvery: parseInt(document.getElementById('rebalanceEvery').value),
+            transactionCost: parseFloat(document.getElementById('transactionCost').value) / 10000,
+            deltaMethod: document.getElementById('hedgeDeltaMethod').value
+        };
+        if (isNaN(params.strike) || params.strike <= 0) throw new Error('Invalid strike price');
+        if (isNaN(params.simulations) || params.simulations <= 0) throw new Error('Invalid number of simulations');
+        if (isNaN(params.rebalanceEvery) || params.rebalanceEvery < 1) throw new Error('Invalid rebalancing interval');
+        if (isNaN(params.transactionCost) || params.transactionCost < 0) throw new Error('Invalid transaction cost');
+
+        output.innerHTML = '<p>Hedging along the paths...</p>';
+        const run = pricingPool.backtestHedge(params);
+        started = true;
+        cancelButton.disabled = false;
+        renderHedgeResults(await run);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            output.innerHTML = '<p>Cancelled</p>';
+        } else {
+            console.error('Hedging backtest failed:', error);
+            alert('Error running hedging backtest: ' + error.message);
+        }
+    } finally {
+        hedgeButton.disabled = false;
+        hedgeButton.textContent = 'Run Backtest';
+        if (started) {
+            cancelButton.disabled = true;
+        }
+    }
+}
+
+hedgeButton.addEventListener('click', runHedgeBacktest);
+
+const VOL_SURFACE_POINTS = 41;
+const volSurfaceMeasure = document.getElementById('volSurfaceMeasure');
+let volSurfacePlot = null;
+let volSurface = null;
+
+// Implied and local volatility of the fitted surface, over the quoted
+// strikes and from a tenth of the first maturity to the last
+function volSurfaceData(option) {
+    const surface = option.surface;
+    const strikes = surface.quotes.map(quote => quote.strike);
+    const lowStrike = Math.min(...strikes);
+    const highStrike = Math.max(...strikes);
+    const first = surface.maturities[0] / 10;
+    const last = surface.maturities[surface.maturities.length - 1];
+    const xs = Array.from({ length: VOL_SURFACE_POINTS }, (_, i) => lowStrike + (highStrike - lowStrike) * i / (VOL_SURFACE_POINTS - 1));
+    const ys = Array.from({ length: VOL_SURFACE_POINTS }, (_, i) => first + (last - first) * i / (VOL_SURFACE_POINTS - 1));
+
+    return {
+        xs,
+        ys,
+        implied: ys.map(t => xs.map(strike => surface.volatility(strike, t))),
+        local: ys.map(t => xs.map(strike => Math.sqrt(surface.localVariance(Math.log(strike / option.forwardPrice(t)), t)))),
+        quotes: surface.quotes.map(quote => ({ ...quote, fitted: surface.volatility(quote.strike, quote.maturity) }))
+    };
+}
+
+function renderVolSurface() {
+    if (!volSurface) {
+        return;
+    }
+    if (!volSurfacePlot) {
+        volSurfacePlot = new SurfacePlot(document.getElementById('volSurfacePlot'), { dark: isDarkMode });
+    }
+    const name = volSurfaceMeasure.value;
+    volSurfacePlot.setData({
+        xs: volSurface.xs,
+        ys: volSurface.ys,
+        z: volSurface[name],
+        labels: ['Strike', 'Maturity', name === 'implied' ? 'Implied vol' : 'Local vol']
+    });
+}
+
+// Fits the surface on the current market data and shows it with the
+// local volatility it implies
+function fitVolatilitySurface() {
+    const summary = document.getElementById('volSurfaceSummary');
+    try {
+        const params = readMarketParams();
+        if (params.model !== 'local-vol') throw new Error('Select the local volatility model first');
+        const option = createOption({ ...params, optionType: 'european-call', strike: params.spot });
+        volSurface = volSurfaceData(option);
+
+        const errors = volSurface.quotes.map(quote => Math.abs(quote.fitted - quote.volatility));
+        const maturities = option.surface.maturities;
+        summary.innerHTML = `
+            <p class="confidence">${volSurface.quotes.length} quotes over ${maturities.length} maturities, fitted with arbitrage-free SVI smiles;
+            largest fit error ${(Math.max(...errors) * 10000).toFixed(1)} bp, mean ${(errors.reduce((a, b) => a + b, 0) / errors.length * 10000).toFixed(1)} bp</p>
+            <p class="confidence">At-the-money implied volatility ${(option.sigma * 100).toFixed(2)}% at the option's maturity</p>
+        `;
+        renderVolSurface();
+    } catch (error) {
+        console.error('Surface fit failed:', error);
+        alert('Error fitting volatility surface: ' + error.message);
+    }
+}
+
+document.getElementById('volSurfaceButton').addEventListener('click', fitVolatilitySurface);
+volSurfaceMeasure.addEventListener('change', renderVolSurface);
+
+// A surface file replaces the text, which stays editable
+document.getElementById('volatilitySurfaceFile').addEventListener('change', async event => {
+    const file = event.target.files[0];
+    if (file) {
+        volatilitySurface.value = await file.text();
+    }
 });
 
 // Export for testing
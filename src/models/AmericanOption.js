@@ -0,0 +1,343 @@
+import { MonteCarloSimulation } from './MonteCarloSimulation.js';
+import { leastSquares } from '../utils/matrixOperations.js';
+import { normalInverse } from '../utils/analytics.js';
+
+/**
+ * American and Bermudan options priced by Least-Squares Monte Carlo
+ * (Longstaff & Schwartz, 2001) on the paths from simulatePaths().
+ *
+ * The regression gives an exercise policy and therefore a lower bound.
+ * calculateUpperBound() adds the Andersen-Broadie dual bound, built from the
+ * same policy with nested simulations, so the true price is bracketed.
+ */
+export class AmericanOption extends MonteCarloSimulation {
+    constructor(params) {
+        super(params);
+        this.type = params.type || 'put';
+        this.exerciseStyle = params.exerciseStyle || 'american'; // 'american' or 'bermudan'
+        this.regressionBasis = params.regressionBasis || 'polynomial'; // 'polynomial' or 'laguerre'
+        this.basisDegree = params.basisDegree || 3;
+        this.dualPaths = params.dualPaths || 100;
+        this.nestedPaths = params.nestedPaths || 200;
+        this.exerciseSteps = this.resolveExerciseSteps(params.exerciseDates);
+    }
+
+    /**
+     * Maps exercise dates (in years) to grid steps. American options can be
+     * exercised at every step; maturity is always an exercise date. Dates
+     * after maturity, e.g. when theta shortens the option, fall on the last step.
+     * @param {number[]} [exerciseDates] - Bermudan exercise times
+     * @returns {number[]} Sorted, distinct step indices in 1..steps
+     */
+    resolveExerciseSteps(exerciseDates) {
+        if (this.exerciseStyle === 'american') {
+            return Array.from({ length: this.steps }, (_, i) => i + 1);
+        }
+        if (!exerciseDates || exerciseDates.length === 0) {
+            throw new Error('Bermudan options need at least one exercise date');
+        }
+        if (exerciseDates.some(t => !(t > 0) || !isFinite(t))) {
+            throw new Error('Exercise dates must be positive times');
+        }
+
+        const steps = exerciseDates.map(t => Math.min(this.steps, Math.max(1, Math.round(t / this.dt))));
+        steps.push(this.steps);
+        return [...new Set(steps)].sort((a, b) => a - b);
+    }
+
+    intrinsic(price) {
+        return this.type === 'call'
+            ? Math.max(price - this.K, 0)
+            : Math.max(this.K - price, 0);
+    }
+
+    /**
+     * Regression basis evaluated at moneyness x = S / K
+     * @param {number} x - Moneyness
+     * @returns {number[]} Basis values, starting with the constant
+     */
+    basis(x) {
+        const values = [1];
+        if (this.regressionBasis === 'laguerre') {
+            // Weighted Laguerre polynomials e^{-x/2} L_n(x)
+            const weight = Math.exp(-x / 2);
+            let previous = 1;
+            let current = 1 - x;
+            values.push(weight * previous);
+            for (let n = 1; n < this.basisDegree; n++) {
+                values.push(weight * current);
+                const next = ((2 * n + 1 - x) * current - n * previous) / (n + 1);
+                previous = current;
+                current = next;
+            }
+        } else {
+            let power = 1;
+            for (let n = 1; n <= this.basisDegree; n++) {
+                power *= x;
+                values.push(power);
+            }
+        }
+        return values;
+    }
+
+    continuationValue(coefficients, price) {
+        const values = this.basis(price / this.K);
+        return values.reduce((sum, v, i) => sum + v * coefficients[i], 0);
+    }
+
+    /**
+     * Whether the fitted policy exercises at a given step and price
+     */
+    shouldExercise(step, price) {
+        const coefficients = this.policy.get(step);
+        const exercise = this.intrinsic(price);
+        if (exercise <= 0) {
+            return false;
+        }
+        if (step === this.steps) {
+            return true;
+        }
+        return coefficients !== undefined && exercise >= this.continuationValue(coefficients, price);
+    }
+
+    payoff(path) {
+        // Payoff of following the fitted exercise policy along one path
+        for (const step of this.exerciseSteps) {
+            if (this.shouldExercise(step, path[step])) {
+                return this.intrinsic(path[step]) * this.discountFactor(step * this.dt) / this.discountFactor(this.T);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Prices by backward induction, regressing discounted future cash flows
+     * on the in-the-money paths at every exercise date. Given a policy, the
+     * paths follow it instead of refitting, so bumped copies for Greeks
+     * differ from the base run by the bump alone.
+     * @param {number[][]} [paths] - Simulated price paths
+     * @param {Map<number, number[]>} [policy] - Regression coefficients per exercise step
+     * @returns {object} Lower-bound price, confidence interval and exercise boundary
+     */
+    calculatePrice(paths = null, policy = null) {
+        if (!paths) {
+            paths = this.simulatePaths();
+        }
+        if (policy) {
+            this.policy = policy;
+            const discount = this.discountFactor(this.T);
+            return this.summarizePayoffs(paths, paths.map(path => this.payoff(path) * discount), []);
+        }
+
+        const n = paths.length;
+        const cashflows = new Float64Array(n);
+        const exerciseStep = new Int32Array(n).fill(this.steps);
+        for (let i = 0; i < n; i++) {
+            cashflows[i] = this.intrinsic(paths[i][this.steps]);
+        }
+
+        const discounts = Float64Array.from({ length: this.steps + 1 }, (_, step) => this.discountFactor(step * this.dt));
+        this.policy = new Map();
+        const boundary = [];
+        const minObservations = 2 * (this.basisDegree + 1);
+
+        for (let e = this.exerciseSteps.length - 2; e >= 0; e--) {
+            const step = this.exerciseSteps[e];
+            const inTheMoney = [];
+            for (let i = 0; i < n; i++) {
+                if (this.intrinsic(paths[i][step]) > 0) {
+                    inTheMoney.push(i);
+                }
+            }
+            if (inTheMoney.length < minObservations) {
+                continue;
+            }
+
+            const X = inTheMoney.map(i => this.basis(paths[i][step] / this.K));
+            const y = inTheMoney.map(i =>
+                cashflows[i] * discounts[exerciseStep[i]] / discounts[step]);
+            const coefficients = leastSquares(X, y);
+            this.policy.set(step, coefficients);
+
+            inTheMoney.forEach(i => {
+                const price = paths[i][step];
+                if (this.intrinsic(price) >= this.continuationValue(coefficients, price)) {
+                    cashflows[i] = this.intrinsic(price);
+                    exerciseStep[i] = step;
+                }
+            });
+
+            const critical = this.findExerciseBoundary(step, inTheMoney.map(i => paths[i][step]));
+            if (critical !== null) {
+                boundary.unshift({ step, time: step * this.dt, price: critical });
+            }
+        }
+
+        const payoffs = Array.from(cashflows, (cf, i) => cf * discounts[exerciseStep[i]]);
+        return this.summarizePayoffs(paths, payoffs, boundary);
+    }
+
+    /**
+     * Price and confidence interval of the policy's discounted payoffs.
+     * Exercising immediately is always an option for American contracts:
+     * when it beats the estimated continuation value every path exercises
+     * today, so the price stays the mean of its own payoffs.
+     * @param {number[][]} paths - Simulated price paths
+     * @param {number[]} payoffs - Discounted payoff of the policy on each path
+     * @param {object[]} boundary - Exercise boundary, for the chart
+     * @returns {object} Price, confidence interval and exercise boundary
+     */
+    summarizePayoffs(paths, payoffs, boundary) {
+        const continuation = payoffs.reduce((a, b) => a + b) / payoffs.length;
+        const immediate = this.exerciseStyle === 'american' ? this.intrinsic(this.S0) : 0;
+        if (immediate > continuation) {
+            payoffs = payoffs.map(() => immediate);
+        }
+        const confidence = this.calculateConfidenceInterval(payoffs);
+
+        return {
+            price: confidence.mean,
+            confidence,
+            paths,
+            payoffs,
+            exerciseBoundary: boundary
+        };
+    }
+
+    /**
+     * Critical price at which exercise and the fitted continuation value
+     * cross, scanned over the range of in-the-money prices at that step
+     * @param {number} step - Exercise step
+     * @param {number[]} prices - In-the-money prices at the step
+     * @returns {number|null} Boundary price, or null if the policy never exercises
+     */
+    findExerciseBoundary(step, prices) {
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        const points = 200;
+        let critical = null;
+
+        for (let k = 0; k <= points; k++) {
+            // Puts exercise below the boundary, calls above it
+            const fraction = this.type === 'put' ? k / points : 1 - k / points;
+            const price = low + (high - low) * fraction;
+            if (this.shouldExercise(step, price)) {
+                critical = price;
+            } else if (critical !== null) {
+                break;
+            }
+        }
+
+        return critical;
+    }
+
+    supportsPathDerivatives() {
+        return false;
+    }
+
+    /**
+     * Without dividends and with non-negative rates an American call is never
+     * exercised early, so it is worth the European call. Other cases have no
+     * closed form.
+     * @returns {{method: string, price: number}|null} Closed form, if any
+     */
+    closedForm() {
+        if (this.type !== 'call' || this.q !== 0 || this.hasDiscreteDividends() ||
+            this.rateCurve || this.r < 0) {
+            return null;
+        }
+        const european = this.europeanClosedForm('call');
+        return { method: `${european.method} (no early exercise)`, price: european.price };
+    }
+
+    /**
+     * The nested simulations of the dual bound step GBM directly
+     * @returns {boolean} True when calculateUpperBound() is available
+     */
+    supportsUpperBound() {
+        return this.model === 'gbm' && !this.jumpDiffusion && !this.hasDiscreteDividends();
+    }
+
+    /**
+     * Andersen-Broadie dual upper bound. Along a set of outer paths the value
+     * of the fitted policy is estimated at every exercise date by nested
+     * simulation; its martingale part M gives the bound E[max_k (h_k - M_k)],
+     * with all quantities discounted to time zero.
+     * @param {object} result - Result of calculatePrice(), which fits the policy
+     * @returns {object} Upper bound with its confidence interval and the duality gap
+     */
+    calculateUpperBound(result) {
+        if (!this.supportsUpperBound()) {
+            throw new Error('Dual upper bound requires GBM dynamics');
+        }
+
+        const rng = this.createSubstream(1);
+        const drift = Float64Array.from(this.stepRates, rate => rate - (this.q + 0.5 * this.sigma * this.sigma) * this.dt);
+        const diffusion = this.sigma * Math.sqrt(this.dt);
+        const normal = () => normalInverse(rng.next());
+        const discount = step => this.discountFactor(step * this.dt);
+
+        const exerciseSet = new Set(this.exerciseSteps);
+        const shocks = new Float64Array(this.steps);
+
+        // Value at time zero (discounted) of following the policy from `step`
+        // onwards, given the price at that step. Nested paths come in
+        // antithetic pairs to keep the noise in the martingale down.
+        const continuation = (step, price) => {
+            let sum = 0;
+            for (let j = 0; j < this.nestedPaths; j++) {
+                const sign = j % 2 === 0 ? 1 : -1;
+                let s = price;
+                for (let k = step + 1; k <= this.steps; k++) {
+                    if (sign === 1) {
+                        shocks[k - 1] = normal();
+                    }
+                    s *= Math.exp(drift[k] + diffusion * sign * shocks[k - 1]);
+                    if (exerciseSet.has(k) && this.shouldExercise(k, s)) {
+                        sum += this.intrinsic(s) * discount(k);
+                        break;
+                    }
+                }
+            }
+            return sum / this.nestedPaths;
+        };
+
+        const startValue = result.payoffs.reduce((a, b) => a + b) / result.payoffs.length;
+        const estimates = [];
+
+        for (let p = 0; p < this.dualPaths; p++) {
+            let s = this.S0;
+            let martingale = 0;
+            let previousContinuation = startValue;
+            let best = this.exerciseStyle === 'american' ? this.intrinsic(this.S0) : 0;
+
+            for (let k = 1; k <= this.steps; k++) {
+                s *= Math.exp(drift[k] + diffusion * normal());
+                if (!exerciseSet.has(k)) {
+                    continue;
+                }
+
+                const exerciseValue = this.intrinsic(s) * discount(k);
+                const stopping = this.shouldExercise(k, s);
+                const continuing = k < this.steps ? continuation(k, s) : 0;
+                const lowerValue = stopping ? exerciseValue : continuing;
+
+                martingale += lowerValue - previousContinuation;
+                previousContinuation = continuing;
+                best = Math.max(best, exerciseValue - martingale);
+            }
+
+            estimates.push(best);
+        }
+
+        const mean = estimates.reduce((a, b) => a + b) / estimates.length;
+        const variance = estimates.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (estimates.length - 1);
+        const stderr = Math.sqrt(variance / estimates.length);
+
+        return {
+            price: mean,
+            confidence: { mean, stderr, lower: mean - 1.96 * stderr, upper: mean + 1.96 * stderr },
+            dualityGap: mean - result.price
+        };
+    }
+}
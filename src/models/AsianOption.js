@@ -1,149 +1,222 @@
 import { MonteCarloSimulation } from './MonteCarloSimulation.js';
-
+import { normalCDF } from '../utils/analytics.js';
+
+const STRIKE_TYPES = ['fixed', 'floating'];
+
+/**
+ * Average-price (fixed strike) and average-strike (floating strike) options.
+ *
+ * The average runs over a fixing schedule: by default every grid point from
+ * today to maturity, or explicit fixing dates, or every grid point within an
+ * averaging window. Dates fall on the first grid step at or after them. A
+ * seasoned trade also passes the fixings already realised, which count in
+ * the average alongside the simulated ones.
+ */
 export class AsianOption extends MonteCarloSimulation {
     constructor(params) {
         super(params);
         this.type = params.type || 'call';
         this.averageType = params.averageType || 'arithmetic';
-    }
+        this.strikeType = params.strikeType || 'fixed';
+        if (!STRIKE_TYPES.includes(this.strikeType)) {
+            throw new Error(`Invalid strike type: ${this.strikeType}`);
+        }
 
-    calculatePrice(paths = null) {
-        if (!paths) {
-            paths = this.simulatePaths();
+        this.pastFixings = params.pastFixings || [];
+        if (this.pastFixings.some(fixing => !(fixing > 0) || !isFinite(fixing))) {
+            throw new Error('Past fixings must be positive prices');
         }
+        this.pastSum = this.pastFixings.reduce((a, b) => a + b, 0);
+        this.pastLogSum = this.pastFixings.reduce((sum, fixing) => sum + Math.log(fixing), 0);
 
-        const payoffs = paths.map(path => {
-            // Calculate average price
-            const average = this.averageType === 'arithmetic'
-                ? path.reduce((a, b) => a + b) / path.length
-                : Math.exp(path.reduce((a, b) => a + Math.log(b)) / path.length);
-
-            // Calculate payoff based on option type
-            if (this.type === 'call') {
-                return Math.max(average - this.K, 0);
-            } else {
-                return Math.max(this.K - average, 0);
+        this.fixingSteps = this.resolveFixings(params.fixingDates, params.averagingWindow);
+        this.fixingCount = this.pastFixings.length + this.fixingSteps.length;
+    }
+
+    /**
+     * Maps the fixing schedule onto grid steps. Dates after maturity, e.g.
+     * when theta shortens the option, fall on the last step.
+     * @param {number[]} [fixingDates] - Fixing times in years from today
+     * @param {{start: number, end: number}} [averagingWindow] - Fix at every grid point in [start, end]
+     * @returns {number[]} Grid step of each remaining fixing, in date order
+     */
+    resolveFixings(fixingDates, averagingWindow) {
+        const toStep = time => Math.min(this.steps, Math.ceil(time / this.dt - 1e-9));
+
+        if (fixingDates && fixingDates.length > 0) {
+            if (fixingDates.some(time => !(time >= 0) || !isFinite(time))) {
+                throw new Error('Fixing dates must be non-negative times');
             }
-        });
+            return fixingDates.map(toStep).sort((a, b) => a - b);
+        }
 
-        // Calculate present value
-        const price = payoffs.reduce((a, b) => a + b) / payoffs.length * Math.exp(-this.r * this.T);
-        const ci = this.calculateConfidenceInterval(payoffs.map(p => p * Math.exp(-this.r * this.T)));
+        if (averagingWindow) {
+            const { start, end } = averagingWindow;
+            if (!(start >= 0) || !(end >= start)) {
+                throw new Error('Averaging window needs 0 <= start <= end');
+            }
+            const steps = [];
+            for (let step = toStep(start); step <= toStep(end); step++) {
+                steps.push(step);
+            }
+            return steps;
+        }
 
-        return {
-            price,
-            confidence: ci,
-            paths,
-            payoffs: payoffs.map(p => p * Math.exp(-this.r * this.T))
-        };
+        return Array.from({ length: this.steps + 1 }, (_, step) => step);
     }
 
     /**
-     * Calculates the control variate estimate using geometric average as control
-     * @param {number[][]} paths - Simulated price paths
-     * @returns {object} Price estimate with reduced variance
+     * Arithmetic average of the realised and simulated fixings
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Arithmetic average
      */
-    calculateControlVariate(paths) {
-        const arithmeticPayoffs = paths.map(path => {
-            const arithmeticAvg = path.reduce((a, b) => a + b) / path.length;
-            return this.type === 'call'
-                ? Math.max(arithmeticAvg - this.K, 0)
-                : Math.max(this.K - arithmeticAvg, 0);
-        });
-
-        const geometricPayoffs = paths.map(path => {
-            const geometricAvg = Math.exp(path.reduce((a, b) => a + Math.log(b)) / path.length);
-            return this.type === 'call'
-                ? Math.max(geometricAvg - this.K, 0)
-                : Math.max(this.K - geometricAvg, 0);
-        });
-
-        // Calculate geometric average option price analytically
-        const geometricPrice = this.calculateGeometricPrice();
+    arithmeticAverage(path) {
+        let sum = this.pastSum;
+        for (const step of this.fixingSteps) {
+            sum += path[step];
+        }
+        return sum / this.fixingCount;
+    }
 
-        // Calculate control variate coefficient
-        const covXY = this.calculateCovariance(arithmeticPayoffs, geometricPayoffs);
-        const varY = this.calculateVariance(geometricPayoffs);
-        const beta = covXY / varY;
+    /**
+     * Geometric average of the realised and simulated fixings, from the
+     * mean log price
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Geometric average
+     */
+    geometricAverage(path) {
+        let sum = this.pastLogSum;
+        for (const step of this.fixingSteps) {
+            sum += Math.log(path[step]);
+        }
+        return Math.exp(sum / this.fixingCount);
+    }
 
-        // Apply control variate adjustment
-        const adjustedPayoffs = arithmeticPayoffs.map((x, i) => 
-            x - beta * (geometricPayoffs[i] - geometricPrice)
-        );
+    /**
+     * Call or put payoff on the average: against the strike for a fixed
+     * strike, and the terminal price against the average for a floating one
+     * @param {number} average - Average price
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Payoff at maturity
+     */
+    averagePayoff(average, path) {
+        const [underlying, strike] = this.strikeType === 'fixed'
+            ? [average, this.K]
+            : [path[this.steps], average];
+        return this.type === 'call'
+            ? Math.max(underlying - strike, 0)
+            : Math.max(strike - underlying, 0);
+    }
 
-        const price = adjustedPayoffs.reduce((a, b) => a + b) / adjustedPayoffs.length * Math.exp(-this.r * this.T);
-        const ci = this.calculateConfidenceInterval(adjustedPayoffs.map(p => p * Math.exp(-this.r * this.T)));
+    /**
+     * Fixings before the step, realised ones included, as their share of
+     * the arithmetic average
+     * @param {number[]} path - Simulated price path
+     * @param {number} step - Grid step
+     * @returns {number[]} Accumulated average over the initial spot
+     */
+    pathState(path, step) {
+        let sum = this.pastSum;
+        for (const fixingStep of this.fixingSteps) {
+            if (fixingStep >= step) {
+                break;
+            }
+            sum += path[fixingStep];
+        }
+        return [sum / (this.fixingCount * this.S0)];
+    }
 
-        return {
-            price,
-            confidence: ci,
-            paths,
-            payoffs: adjustedPayoffs.map(p => p * Math.exp(-this.r * this.T))
-        };
+    payoff(path) {
+        return this.averagePayoff(this.averageType === 'arithmetic'
+            ? this.arithmeticAverage(path)
+            : this.geometricAverage(path), path);
     }
 
     /**
-     * Calculates the analytical price for geometric average Asian option
+     * Closed-form price of the geometric-average option under GBM with
+     * carry b = r - q, for any fixing schedule and seasoning. With the
+     * remaining fixings at t_1, ..., t_m and n fixings in all, ln G is normal
+     * with mean (sum of past log fixings + m ln S0 + (b - sigma^2 / 2) sum t_i) / n
+     * and variance sigma^2 sum_ij min(t_i, t_j) / n^2, and jointly normal with
+     * ln S_T, whose covariance with it is sigma^2 sum t_i / n. Both strike
+     * types then reduce to an exchange of two log-normals (Margrabe), with the
+     * fixed strike as a constant.
      * @returns {number} Geometric Asian option price
      */
     calculateGeometricPrice() {
-        const n = this.steps + 1;
-        const sigma_adj = this.sigma * Math.sqrt((n + 1) * (2 * n + 1) / (6 * n * n));
-        const mu_adj = (this.r - 0.5 * this.sigma * this.sigma) * (n + 1) / (2 * n) + 
-                      0.5 * sigma_adj * sigma_adj;
-
-        const d1 = (Math.log(this.S0 / this.K) + (mu_adj + 0.5 * sigma_adj * sigma_adj) * this.T) / 
-                   (sigma_adj * Math.sqrt(this.T));
-        const d2 = d1 - sigma_adj * Math.sqrt(this.T);
-
-        if (this.type === 'call') {
-            return this.S0 * Math.exp((mu_adj - this.r) * this.T) * this.normalCDF(d1) - 
-                   this.K * Math.exp(-this.r * this.T) * this.normalCDF(d2);
+        const n = this.fixingCount;
+        const times = this.fixingSteps.map(step => step * this.dt);
+        const variance = this.sigma * this.sigma;
+        const drift = this.r - this.q - 0.5 * variance;
+
+        let sumTime = 0;
+        let sumMin = 0;
+        times.forEach(ti => {
+            sumTime += ti;
+            times.forEach(tj => {
+                sumMin += Math.min(ti, tj);
+            });
+        });
+
+        const averageMean = (this.pastLogSum + times.length * Math.log(this.S0) + drift * sumTime) / n;
+        const averageVariance = variance * sumMin / (n * n);
+        const averageForward = Math.exp(averageMean + 0.5 * averageVariance);
+
+        // Payoff as max(X - Y, 0) for a call, with X the asset received
+        let received;
+        let paid;
+        let ratioVariance;
+        if (this.strikeType === 'fixed') {
+            [received, paid, ratioVariance] = [averageForward, this.K, averageVariance];
         } else {
-            return this.K * Math.exp(-this.r * this.T) * this.normalCDF(-d2) - 
-                   this.S0 * Math.exp((mu_adj - this.r) * this.T) * this.normalCDF(-d1);
+            const terminalForward = this.S0 * Math.exp((this.r - this.q) * this.T);
+            const covariance = variance * sumTime / n;
+            [received, paid, ratioVariance] = [terminalForward, averageForward,
+                variance * this.T + averageVariance - 2 * covariance];
         }
-    }
 
-    /**
-     * Calculates the covariance between two arrays
-     * @param {number[]} x - First array
-     * @param {number[]} y - Second array
-     * @returns {number} Covariance
-     */
-    calculateCovariance(x, y) {
-        const n = x.length;
-        const meanX = x.reduce((a, b) => a + b) / n;
-        const meanY = y.reduce((a, b) => a + b) / n;
-        
-        return x.reduce((sum, xi, i) => 
-            sum + (xi - meanX) * (y[i] - meanY), 0
-        ) / (n - 1);
+        const discount = Math.exp(-this.r * this.T);
+        if (ratioVariance <= 0) {
+            // Fully fixed average: the payoff is already known
+            const intrinsic = this.type === 'call' ? received - paid : paid - received;
+            return discount * Math.max(intrinsic, 0);
+        }
+
+        const stdDev = Math.sqrt(ratioVariance);
+        const d1 = (Math.log(received / paid) + 0.5 * ratioVariance) / stdDev;
+        const d2 = d1 - stdDev;
+        return this.type === 'call'
+            ? discount * (received * normalCDF(d1) - paid * normalCDF(d2))
+            : discount * (paid * normalCDF(-d2) - received * normalCDF(-d1));
     }
 
     /**
-     * Calculates the variance of an array
-     * @param {number[]} x - Input array
-     * @returns {number} Variance
+     * Geometric-average closed form; arithmetic averages have none
+     * @returns {{method: string, price: number}|null} Closed form, if any
      */
-    calculateVariance(x) {
-        const n = x.length;
-        const mean = x.reduce((a, b) => a + b) / n;
-        
-        return x.reduce((sum, xi) => 
-            sum + Math.pow(xi - mean, 2), 0
-        ) / (n - 1);
+    closedForm() {
+        if (this.averageType !== 'geometric' || !this.hasConstantCoefficients()) {
+            return null;
+        }
+        return { method: 'Geometric average', price: this.calculateGeometricPrice() };
     }
 
     /**
-     * Calculates the cumulative distribution function for standard normal
-     * @param {number} x - Input value
-     * @returns {number} CDF value
+     * Controls for the arithmetic average: the geometric-average option on
+     * the same fixings, which tracks it closely and has a closed form under
+     * GBM, alongside the European vanilla. A geometric-average option is
+     * priced exactly by its closed form, so it keeps only the vanilla.
+     * @returns {{name: string, payoff: Function, price: number}[]} Controls
      */
-    normalCDF(x) {
-        const t = 1 / (1 + 0.2316419 * Math.abs(x));
-        const d = 0.3989423 * Math.exp(-x * x / 2);
-        const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-        return x > 0 ? 1 - p : p;
+    controlVariates() {
+        const controls = super.controlVariates();
+        if (this.averageType === 'arithmetic' && this.hasConstantCoefficients()) {
+            controls.unshift({
+                name: `Geometric ${this.strikeType}-strike Asian ${this.type}`,
+                payoff: path => this.averagePayoff(this.geometricAverage(path), path),
+                price: this.calculateGeometricPrice()
+            });
+        }
+        return controls;
     }
-} 
\ No newline at end of file
+}
@@ -1,153 +1,544 @@
 import { MonteCarloSimulation } from './MonteCarloSimulation.js';
+import { normalCDF } from '../utils/analytics.js';
 
+const BARRIER_TYPES = ['up-and-out', 'up-and-in', 'down-and-out', 'down-and-in'];
+const DOUBLE_BARRIER_TYPES = ['double-and-out', 'double-and-in'];
+const REBATE_TIMINGS = ['hit', 'expiry'];
+const CONTINUITY_CORRECTIONS = ['bgk', 'brownian-bridge'];
+
+// Images on each side in the double-barrier bridge series; one step is far
+// shorter than the corridor, so terms beyond the first few vanish
+const BRIDGE_IMAGES = 4;
+
+// Broadie-Glasserman-Kou constant, -zeta(1/2) / sqrt(2 pi)
+const BGK_BETA = 0.5826;
+
+/**
+ * Splits a product name such as 'barrier-up-out-call' or
+ * 'barrier-double-in-put' into the option's barrier type and payoff type
+ * @param {string} name - Product name from the option type list
+ * @returns {{barrierType: string, type: string}} Constructor arguments
+ */
+export function parseBarrierProduct(name) {
+    const match = /^barrier-(up|down|double)-(in|out)-(call|put)$/.exec(name);
+    if (!match) {
+        throw new Error(`Invalid barrier product: ${name}`);
+    }
+    return { barrierType: `${match[1]}-and-${match[2]}`, type: match[3] };
+}
+
+/**
+ * Probability that a Brownian bridge in log price leaves the corridor
+ * (lower, upper) between two grid points inside it. For one barrier this is
+ * exp(-2 (u - x)(u - y) / v); for two it is one minus the image series
+ *
+ *   sum_n [exp(-2nw (nw - (y - x)) / v) - exp(-2 (u + nw - x)(u + nw - y) / v)],
+ *
+ * with w = u - l the corridor width.
+ * @param {number} x - Log price at the start of the step
+ * @param {number} y - Log price at the end of the step
+ * @param {number} lower - Log lower barrier, or -Infinity
+ * @param {number} upper - Log upper barrier, or Infinity
+ * @param {number} variance - Log-price variance over the step, sigma^2 dt
+ * @returns {number} Crossing probability
+ */
+function bridgeCrossingProbability(x, y, lower, upper, variance) {
+    if (lower === -Infinity) {
+        return Math.exp(-2 * (upper - x) * (upper - y) / variance);
+    }
+    if (upper === Infinity) {
+        return Math.exp(-2 * (x - lower) * (y - lower) / variance);
+    }
+
+    const width = upper - lower;
+    let stay = 0;
+    for (let n = -BRIDGE_IMAGES; n <= BRIDGE_IMAGES; n++) {
+        const image = upper + n * width;
+        stay += Math.exp(-2 * n * width * (n * width - (y - x)) / variance) -
+                Math.exp(-2 * (image - x) * (image - y) / variance);
+    }
+    return Math.min(1, Math.max(0, 1 - stay));
+}
+
+/**
+ * Single and double knock-in / knock-out options on a call or put.
+ *
+ * The barrier is monitored at every grid step by default, as an
+ * approximation to continuous monitoring, or continuously within a window
+ * (partial-time barrier), or only on given monitoring dates (discrete
+ * barrier). Knock-outs may pay a rebate when the barrier is hit, either at
+ * the hit or at expiry; knock-ins pay it at expiry if the barrier was never
+ * hit.
+ *
+ * A barrier watched continuously is priced on the grid either with the
+ * Broadie-Glasserman-Kou barrier shift ('bgk') or by weighting each path
+ * with its Brownian-bridge probability of not crossing between grid points
+ * ('brownian-bridge'), which is exact under GBM at any step size. The
+ * bridge is only offered for constant-coefficient GBM, where sigma^2 dt is
+ * the true variance of every step.
+ */
 export class BarrierOption extends MonteCarloSimulation {
     constructor(params) {
         super(params);
         this.type = params.type || 'call';
         this.barrierType = params.barrierType || 'up-and-out';
-        this.barrier = params.barrier || this.K * 1.2; // Default barrier 20% above strike for up options
-        
-        // Validate barrier level based on barrier type
-        if (this.barrierType.startsWith('up') && this.barrier <= this.S0) {
-            throw new Error('Up barrier must be above spot price');
-        }
-        if (this.barrierType.startsWith('down') && this.barrier >= this.S0) {
-            throw new Error('Down barrier must be below spot price');
-        }
-    }
-
-    calculatePrice(paths = null) {
-        if (!paths) {
-            paths = this.simulatePaths();
-        }
-
-        const payoffs = paths.map(path => {
-            // Check if barrier is hit
-            const isBarrierHit = this.checkBarrierHit(path);
-            
-            // Calculate final payoff based on barrier condition
-            let payoff = 0;
-            const finalPrice = path[path.length - 1];
-
-            if (this.barrierType.endsWith('out')) {
-                // Out options pay nothing if barrier is hit
-                if (!isBarrierHit) {
-                    payoff = this.type === 'call'
-                        ? Math.max(finalPrice - this.K, 0)
-                        : Math.max(this.K - finalPrice, 0);
-                }
-            } else {
-                // In options pay only if barrier is hit
-                if (isBarrierHit) {
-                    payoff = this.type === 'call'
-                        ? Math.max(finalPrice - this.K, 0)
-                        : Math.max(this.K - finalPrice, 0);
-                }
+        if (!BARRIER_TYPES.includes(this.barrierType) && !DOUBLE_BARRIER_TYPES.includes(this.barrierType)) {
+            throw new Error(`Invalid barrier type: ${this.barrierType}`);
+        }
+
+        // Barrier levels, null where there is none
+        if (this.isDoubleBarrier()) {
+            this.barriers = { lower: params.lowerBarrier, upper: params.upperBarrier };
+            if (!(this.barriers.lower > 0) || !(this.barriers.upper > this.barriers.lower)) {
+                throw new Error('Double barriers need 0 < lower < upper');
             }
+        } else {
+            // Default barrier 20% beyond the strike on the barrier's side
+            this.barrier = params.barrier || this.K * (this.barrierType.startsWith('up') ? 1.2 : 0.8);
+            this.barriers = this.barrierType.startsWith('up')
+                ? { lower: null, upper: this.barrier }
+                : { lower: this.barrier, upper: null };
+        }
 
-            return payoff;
-        });
+        this.rebate = params.rebate || 0;
+        this.rebateTiming = params.rebateTiming || 'expiry';
+        if (!(this.rebate >= 0)) {
+            throw new Error('Rebate must be non-negative');
+        }
+        if (!REBATE_TIMINGS.includes(this.rebateTiming)) {
+            throw new Error(`Invalid rebate timing: ${this.rebateTiming}`);
+        }
+        if (this.isKnockIn() && this.rebateTiming === 'hit' && this.rebate > 0) {
+            throw new Error('Knock-in rebates are paid at expiry');
+        }
 
-        // Calculate present value
-        const price = payoffs.reduce((a, b) => a + b) / payoffs.length * Math.exp(-this.r * this.T);
-        const ci = this.calculateConfidenceInterval(payoffs.map(p => p * Math.exp(-this.r * this.T)));
+        this.continuityCorrection = params.continuityCorrection || 'bgk';
+        if (!CONTINUITY_CORRECTIONS.includes(this.continuityCorrection)) {
+            throw new Error(`Invalid continuity correction: ${this.continuityCorrection}`);
+        }
 
-        return {
-            price,
-            confidence: ci,
-            paths,
-            payoffs: payoffs.map(p => p * Math.exp(-this.r * this.T))
-        };
+        this.monitoringWindow = params.monitoringWindow || null;
+        this.monitoringDates = params.monitoringDates && params.monitoringDates.length > 0
+            ? params.monitoringDates
+            : null;
+        this.monitoredSteps = this.resolveMonitoring();
+
+        // Levels the grid is checked against; moved by adjustForContinuousBarrier()
+        this.continuityShifted = false;
+        this.monitoredBarriers = this.barriers;
+
+        // Bridge crossing probabilities assume a constant per-step variance sigma^2 dt
+        if (this.usesBrownianBridge() && !this.hasConstantCoefficients()) {
+            throw new Error('The Brownian-bridge correction needs constant-coefficient GBM; use the BGK shift');
+        }
+
+        // Validate barrier levels against the spot when it is monitored today
+        if (this.monitoredSteps[0] === 0) {
+            if (this.barriers.upper !== null && this.barriers.upper <= this.S0) {
+                throw new Error('Up barrier must be above spot price');
+            }
+            if (this.barriers.lower !== null && this.barriers.lower >= this.S0) {
+                throw new Error('Down barrier must be below spot price');
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} True for double knock-in / knock-out barriers
+     */
+    isDoubleBarrier() {
+        return this.barrierType.startsWith('double');
+    }
+
+    /**
+     * @returns {boolean} True for knock-in options
+     */
+    isKnockIn() {
+        return this.barrierType.endsWith('in');
+    }
+
+    /**
+     * @returns {boolean} True when the barrier is only checked on monitoring dates
+     */
+    isDiscretelyMonitored() {
+        return this.monitoringDates !== null;
+    }
+
+    /**
+     * @returns {boolean} True when the barrier is watched over the whole life
+     *     of the option, which the closed forms assume
+     */
+    isFullyMonitored() {
+        return !this.isDiscretelyMonitored() && this.monitoringWindow === null;
+    }
+
+    /**
+     * Grid steps at which the barrier is checked: every step, every step
+     * within the monitoring window, or the first step at or after each
+     * monitoring date
+     * @returns {number[]} Monitored steps in increasing order
+     */
+    resolveMonitoring() {
+        const toStep = time => Math.min(this.steps, Math.ceil(time / this.dt - 1e-9));
+
+        if (this.monitoringDates) {
+            if (this.monitoringDates.some(time => !(time >= 0) || !isFinite(time))) {
+                throw new Error('Monitoring dates must be non-negative times');
+            }
+            return [...new Set(this.monitoringDates.map(toStep))].sort((a, b) => a - b);
+        }
+
+        let first = 0;
+        let last = this.steps;
+        if (this.monitoringWindow) {
+            const { start, end } = this.monitoringWindow;
+            if (!(start >= 0) || !(end >= start)) {
+                throw new Error('Monitoring window needs 0 <= start <= end');
+            }
+            first = toStep(start);
+            last = Math.min(this.steps, Math.floor(end / this.dt + 1e-9));
+            if (last < first) {
+                throw new Error('Monitoring window contains no time step');
+            }
+        }
+        return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    }
+
+    /**
+     * First monitored step at which the path is at or beyond a barrier
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Step of the first hit, or -1 if the barrier is never hit
+     */
+    firstHitStep(path) {
+        const { lower, upper } = this.monitoredBarriers;
+        for (const step of this.monitoredSteps) {
+            const price = path[step];
+            if ((lower !== null && price <= lower) || (upper !== null && price >= upper)) {
+                return step;
+            }
+        }
+        return -1;
     }
 
     checkBarrierHit(path) {
-        if (this.barrierType.startsWith('up')) {
-            // Check if price ever goes above barrier
-            return path.some(price => price >= this.barrier);
-        } else {
-            // Check if price ever goes below barrier
-            return path.some(price => price <= this.barrier);
+        return this.firstHitStep(path) >= 0;
+    }
+
+    /**
+     * Rebate as a payment at expiry: a rebate paid at the hit is grown from
+     * the hit date to expiry on the curve
+     * @param {number} hitStep - Step at which the barrier was hit
+     * @returns {number} Rebate value at expiry
+     */
+    rebateAtExpiry(hitStep) {
+        if (this.rebateTiming === 'hit' && hitStep >= 0) {
+            return this.rebate * this.discountFactor(hitStep * this.dt) / this.discountFactor(this.T);
         }
+        return this.rebate;
+    }
+
+    /**
+     * @returns {boolean} True when paths are weighted by their bridge
+     *     survival probability instead of checking the grid points only
+     */
+    usesBrownianBridge() {
+        return this.continuityCorrection === 'brownian-bridge' && !this.isDiscretelyMonitored();
+    }
+
+    /**
+     * Expected payoff of a path given its grid points, with the barrier
+     * watched continuously in between. Each monitored step either finds the
+     * grid point beyond a barrier (a certain hit) or multiplies the survival
+     * probability by one minus the bridge crossing probability since the
+     * previous step. A rebate paid at the hit is paid at the end of the step
+     * in which the crossing happens.
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Payoff at maturity, averaged over the bridges
+     */
+    bridgePayoff(path) {
+        const { lower, upper } = this.barriers;
+        const logLower = lower === null ? -Infinity : Math.log(lower);
+        const logUpper = upper === null ? Infinity : Math.log(upper);
+        const variance = this.sigma * this.sigma * this.dt;
+        const steps = this.monitoredSteps;
+
+        let survival = 1;
+        let hitRebate = 0;
+        for (let i = 0; i < steps.length && survival > 0; i++) {
+            const step = steps[i];
+            const price = path[step];
+            let crossing = 1;
+            if ((lower === null || price > lower) && (upper === null || price < upper)) {
+                crossing = i > 0
+                    ? bridgeCrossingProbability(Math.log(path[step - 1]), Math.log(price), logLower, logUpper, variance)
+                    : 0;
+            }
+            hitRebate += survival * crossing * this.rebateAtExpiry(step);
+            survival *= 1 - crossing;
+        }
+
+        const vanilla = this.vanillaPayoff(path, this.type);
+        if (this.isKnockIn()) {
+            return (1 - survival) * vanilla + survival * this.rebate;
+        }
+        return survival * vanilla + hitRebate;
+    }
+
+    payoff(path) {
+        if (this.usesBrownianBridge()) {
+            return this.bridgePayoff(path);
+        }
+
+        const hitStep = this.firstHitStep(path);
+        const vanilla = this.vanillaPayoff(path, this.type);
+
+        // Out options pay the rebate once the barrier is hit, in options pay
+        // the vanilla only if it is and the rebate otherwise
+        if (this.isKnockIn()) {
+            return hitStep >= 0 ? vanilla : this.rebate;
+        }
+        return hitStep >= 0 ? this.rebateAtExpiry(hitStep) : vanilla;
+    }
+
+    /**
+     * @param {number[]} path - Simulated price path
+     * @param {number} step - Grid step
+     * @returns {number[]} 1 once a monitored barrier has been hit by the step, else 0
+     */
+    pathState(path, step) {
+        const hitStep = this.firstHitStep(path);
+        return [hitStep >= 0 && hitStep <= step ? 1 : 0];
+    }
+
+    hasDiscontinuousPayoff() {
+        return true;
+    }
+
+    /**
+     * Bridge weights and the shifted barriers depend on sigma directly, not
+     * only through the path, which the pathwise and likelihood-ratio
+     * estimators do not see
+     * @returns {boolean} True when path derivatives give unbiased Greeks
+     */
+    supportsPathDerivatives() {
+        return !this.usesBrownianBridge() && !this.continuityShifted && super.supportsPathDerivatives();
+    }
+
+    /**
+     * Bumped copies for finite-difference Greeks keep the continuity shift,
+     * recomputed for their own sigma and step
+     */
+    clone(overrides = {}) {
+        const copy = super.clone(overrides);
+        if (this.continuityShifted) {
+            copy.shiftForContinuity();
+        }
+        return copy;
+    }
+
+    /**
+     * Barrier levels and the steps at which they apply, for charts
+     * @returns {{levels: {name: string, level: number}[], steps: number[], discrete: boolean}} Barrier layout
+     */
+    barrierLevels() {
+        const levels = [];
+        if (this.barriers.lower !== null) {
+            levels.push({ name: 'Lower barrier', level: this.barriers.lower });
+        }
+        if (this.barriers.upper !== null) {
+            levels.push({ name: 'Upper barrier', level: this.barriers.upper });
+        }
+        return { levels, steps: this.monitoredSteps, discrete: this.isDiscretelyMonitored() };
     }
 
     /**
      * Implements continuous barrier monitoring correction
-     * Uses Broadie-Glasserman-Kou adjustment
+     * Uses Broadie-Glasserman-Kou adjustment: a barrier checked on the grid
+     * prices like a continuous one moved away from the spot by
+     * e^{beta sigma sqrt(dt)}, so each barrier is moved toward the spot by
+     * that factor to price the continuous contract on the grid. Discretely monitored
+     * contracts are priced exactly on their dates, and bridge-weighted
+     * payoffs are already continuous, so both are left alone.
+     *
+     * The shift stays in place, so Greeks calculated afterwards are those
+     * of the corrected contract.
      * @param {object} result - Initial pricing result
      * @returns {object} Adjusted price
      */
     adjustForContinuousBarrier(result) {
-        const beta = 0.5826; // Constant from Broadie-Glasserman-Kou paper
-        const h = this.T / this.steps; // Time step
-        
-        // Calculate barrier adjustment
-        const adjustment = beta * this.sigma * Math.sqrt(h);
-        
-        // Adjust barrier level based on option type
-        const adjustedBarrier = this.barrierType.startsWith('up')
-            ? this.barrier * Math.exp(-adjustment)
-            : this.barrier * Math.exp(adjustment);
+        if (this.isDiscretelyMonitored() || this.usesBrownianBridge()) {
+            return result;
+        }
 
-        // Reprice with adjusted barrier
-        const tempBarrier = this.barrier;
-        this.barrier = adjustedBarrier;
-        const adjustedResult = this.calculatePrice(result.paths);
-        this.barrier = tempBarrier;
+        this.shiftForContinuity();
+        return this.calculatePrice(result.paths);
+    }
 
-        return adjustedResult;
+    /**
+     * Moves the monitored barriers toward the spot by the BGK factor
+     */
+    shiftForContinuity() {
+        const shift = Math.exp(BGK_BETA * this.sigma * Math.sqrt(this.dt));
+        const { lower, upper } = this.barriers;
+        this.monitoredBarriers = {
+            lower: lower === null ? null : lower * shift,
+            upper: upper === null ? null : upper / shift
+        };
+        this.continuityShifted = true;
     }
 
     /**
-     * Calculates the analytical price for simple barrier options
-     * Only valid for standard up-and-out or down-and-out calls/puts
+     * Reiner-Rubinstein closed form for a continuously monitored barrier
+     * option under GBM with cost of carry b = r - q. All eight single-barrier
+     * cases are combinations of four terms (Haug's A to D): the vanilla
+     * payoff with the strike (A) or the barrier (B) as the exercise level,
+     * and their reflections in the barrier (C, D). The rebate adds Haug's E
+     * (paid at expiry if the barrier is never hit) or F (paid at the hit).
      * @returns {number} Analytical barrier option price
      */
     calculateAnalyticalPrice() {
-        const sigma2 = this.sigma * this.sigma;
-        const mu = this.r - 0.5 * sigma2;
-        const root_T = Math.sqrt(this.T);
-        
-        const x1 = Math.log(this.S0 / this.K) / (this.sigma * root_T) + 
-                   (mu + sigma2) * root_T / this.sigma;
-        const x2 = Math.log(this.S0 / this.barrier) / (this.sigma * root_T) + 
-                   (mu + sigma2) * root_T / this.sigma;
-        const y1 = Math.log(this.barrier * this.barrier / (this.S0 * this.K)) / 
-                   (this.sigma * root_T) + (mu + sigma2) * root_T / this.sigma;
-        const y2 = Math.log(this.barrier / this.S0) / (this.sigma * root_T) + 
-                   (mu + sigma2) * root_T / this.sigma;
-
-        const lambda = (mu + sigma2) / sigma2;
-        const z = Math.log(this.barrier / this.S0) / (this.sigma * root_T) + lambda * this.sigma * root_T;
-
-        if (this.type === 'call' && this.barrierType === 'up-and-out') {
-            return this.S0 * Math.exp(-this.r * this.T) * (
-                this.normalCDF(x1) - 
-                this.normalCDF(x2) - 
-                Math.pow(this.barrier / this.S0, 2 * lambda) * (
-                    this.normalCDF(-y1) - this.normalCDF(-y2)
-                )
-            );
-        } else if (this.type === 'put' && this.barrierType === 'down-and-out') {
-            return this.K * Math.exp(-this.r * this.T) * this.normalCDF(-x1 + this.sigma * root_T) - 
-                   this.S0 * this.normalCDF(-x1) - 
-                   this.K * Math.exp(-this.r * this.T) * Math.pow(this.barrier / this.S0, 2 * lambda) * 
-                   this.normalCDF(z) + 
-                   this.S0 * Math.pow(this.barrier / this.S0, 2 * lambda - 2) * 
-                   this.normalCDF(z - this.sigma * root_T);
-        }
-
-        throw new Error('Analytical solution only available for up-and-out calls and down-and-out puts');
-    }
-
-    /**
-     * Calculates the cumulative distribution function for standard normal
-     * @param {number} x - Input value
-     * @returns {number} CDF value
-     */
-    normalCDF(x) {
-        const t = 1 / (1 + 0.2316419 * Math.abs(x));
-        const d = 0.3989423 * Math.exp(-x * x / 2);
-        const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-        return x > 0 ? 1 - p : p;
-    }
-} 
\ No newline at end of file
+        if (!BARRIER_TYPES.includes(this.barrierType)) {
+            throw new Error(`No closed form for barrier type ${this.barrierType}`);
+        }
+
+        const { S0, K, T, r, sigma } = this;
+        const H = this.barrier;
+        const b = r - this.q;
+        const phi = this.type === 'call' ? 1 : -1;
+        const eta = this.barrierType.startsWith('down') ? 1 : -1;
+        const sigmaRootT = sigma * Math.sqrt(T);
+        const mu = (b - 0.5 * sigma * sigma) / (sigma * sigma);
+        const carry = Math.exp((b - r) * T);
+        const discount = Math.exp(-r * T);
+        const shift = (1 + mu) * sigmaRootT;
+
+        const x1 = Math.log(S0 / K) / sigmaRootT + shift;
+        const x2 = Math.log(S0 / H) / sigmaRootT + shift;
+        const y1 = Math.log(H * H / (S0 * K)) / sigmaRootT + shift;
+        const y2 = Math.log(H / S0) / sigmaRootT + shift;
+        const reflectSpot = Math.pow(H / S0, 2 * (mu + 1));
+        const reflectStrike = Math.pow(H / S0, 2 * mu);
+        const N = normalCDF;
+
+        const A = phi * S0 * carry * N(phi * x1) - phi * K * discount * N(phi * (x1 - sigmaRootT));
+        const B = phi * S0 * carry * N(phi * x2) - phi * K * discount * N(phi * (x2 - sigmaRootT));
+        const C = phi * S0 * carry * reflectSpot * N(eta * y1) -
+                  phi * K * discount * reflectStrike * N(eta * (y1 - sigmaRootT));
+        const D = phi * S0 * carry * reflectSpot * N(eta * y2) -
+                  phi * K * discount * reflectStrike * N(eta * (y2 - sigmaRootT));
+
+        // Knock-in prices for strikes above / below the barrier; knock-outs
+        // follow from in-out parity with the vanilla A
+        const knockIn = {
+            'down-and-in-call': K > H ? C : A - B + D,
+            'up-and-in-call': K > H ? A : B - C + D,
+            'down-and-in-put': K > H ? B - C + D : A,
+            'up-and-in-put': K > H ? A - B + D : C
+        };
+        const direction = eta === 1 ? 'down' : 'up';
+        const inPrice = knockIn[`${direction}-and-in-${this.type}`];
+        const price = this.isKnockIn() ? inPrice : A - inPrice;
+        if (this.rebate === 0) {
+            return price;
+        }
+
+        // E: rebate at expiry times the probability of never hitting the barrier
+        const E = this.rebate * discount *
+            (N(eta * (x2 - sigmaRootT)) - reflectStrike * N(eta * (y2 - sigmaRootT)));
+        if (this.isKnockIn()) {
+            return price + E;
+        }
+        if (this.rebateTiming === 'expiry') {
+            return price + this.rebate * discount - E;
+        }
+
+        // F: rebate paid at the first hit
+        const lambda = Math.sqrt(mu * mu + 2 * r / (sigma * sigma));
+        const z = Math.log(H / S0) / sigmaRootT + lambda * sigmaRootT;
+        const F = this.rebate * (Math.pow(H / S0, mu + lambda) * N(eta * z) +
+            Math.pow(H / S0, mu - lambda) * N(eta * z - 2 * eta * lambda * sigmaRootT));
+        return price + F;
+    }
+
+    /**
+     * Closed form for a continuously monitored double barrier (Ikeda and
+     * Kunitomo with flat barriers). In log space X_T = ln(S_T / S0) is a
+     * Brownian motion with drift nu = b - sigma^2 / 2; by the method of images
+     * its density on paths that stay between l = ln(L / S0) and u = ln(U / S0) is
+     *
+     *   e^{nu x / sigma^2 - nu^2 T / (2 sigma^2)} sum_n [phi(x - 2nw) - phi(x - 2u - 2nw)],
+     *
+     * with w = u - l and phi the N(0, sigma^2 T) density. Every payoff term is
+     * then a sum of truncated normal moments.
+     * @returns {number} Analytical double barrier option price
+     */
+    calculateDoubleBarrierPrice() {
+        const { S0, K, T, r, sigma } = this;
+        const variance = sigma * sigma * T;
+        const stdDev = Math.sqrt(variance);
+        const nu = r - this.q - 0.5 * sigma * sigma;
+        const kappa = nu / (sigma * sigma);
+        const l = Math.log(this.barriers.lower / S0);
+        const u = Math.log(this.barriers.upper / S0);
+        const k = Math.log(K / S0);
+        const width = u - l;
+        // Images further than a dozen standard deviations add nothing
+        const images = Math.ceil(6 * stdDev / width) + 2;
+        const girsanov = -0.5 * nu * nu * T / (sigma * sigma);
+
+        // E[e^{alpha X_T}; a < X_T < c, no barrier hit]
+        const moment = (alpha, a, c) => {
+            if (c <= a) {
+                return 0;
+            }
+            const beta = alpha + kappa;
+            const gaussian = centre => {
+                const mean = centre + beta * variance;
+                const lower = (a - mean) / stdDev;
+                const upper = (c - mean) / stdDev;
+                // Difference of the smaller tail probabilities, to keep precision
+                const mass = lower > 0
+                    ? normalCDF(-lower) - normalCDF(-upper)
+                    : normalCDF(upper) - normalCDF(lower);
+                return mass > 0 ? Math.exp(girsanov + beta * centre + 0.5 * beta * beta * variance + Math.log(mass)) : 0;
+            };
+            let sum = 0;
+            for (let n = -images; n <= images; n++) {
+                sum += gaussian(2 * n * width) - gaussian(2 * u + 2 * n * width);
+            }
+            return sum;
+        };
+
+        const discount = Math.exp(-r * T);
+        const knockOut = this.type === 'call'
+            ? discount * (S0 * moment(1, Math.max(k, l), u) - K * moment(0, Math.max(k, l), u))
+            : discount * (K * moment(0, l, Math.min(k, u)) - S0 * moment(1, l, Math.min(k, u)));
+        const survival = moment(0, l, u);
+
+        if (this.isKnockIn()) {
+            const vanilla = this.europeanClosedForm(this.type).price;
+            return vanilla - knockOut + this.rebate * discount * survival;
+        }
+        return knockOut + this.rebate * discount * (1 - survival);
+    }
+
+    /**
+     * Reiner-Rubinstein price for single barriers and the image series for
+     * double barriers, both for continuous monitoring over the whole life
+     * under constant-coefficient GBM. A double knock-out rebate paid at the
+     * hit has no closed form here.
+     * @returns {{method: string, price: number}|null} Closed form, if any
+     */
+    closedForm() {
+        if (!this.hasConstantCoefficients() || !this.isFullyMonitored()) {
+            return null;
+        }
+        if (!this.isDoubleBarrier()) {
+            return { method: 'Reiner-Rubinstein', price: this.calculateAnalyticalPrice() };
+        }
+        if (this.rebate > 0 && this.rebateTiming === 'hit' && !this.isKnockIn()) {
+            return null;
+        }
+        return { method: 'Ikeda-Kunitomo', price: this.calculateDoubleBarrierPrice() };
+    }
+}
@@ -0,0 +1,308 @@
+import { createOption } from './productFactory.js';
+import { createSeed } from '../utils/random.js';
+import { leastSquares } from '../utils/matrixOperations.js';
+import { analyzePnl } from '../utils/riskMetrics.js';
+
+// Single-asset products whose payoff is settled once at maturity
+const HEDGEABLE_PRODUCTS = ['european', 'asian', 'barrier', 'lookback'];
+
+const DELTA_METHODS = ['auto', 'analytical', 'regression'];
+
+/**
+ * Delta-hedging backtest: sells the option at its Monte Carlo price and
+ * hedges it along every simulated path.
+ *
+ * The hedge starts with the delta from calculateGreeks() and is rebalanced
+ * every `rebalanceEvery` steps. At each rebalancing date delta is
+ * recomputed analytically where the product has a closed form at that date
+ * (Black-Scholes for a European under GBM), and otherwise from a regression
+ * of the discounted payoff on polynomials in the spot, times the payoff's
+ * path state (running average, extremum or barrier status), fitted on an
+ * independent set of paths and differentiated in the spot. Trades in the underlying pay
+ * a proportional transaction cost, the hedge earns the underlying's
+ * dividends, and cash accrues along the discount curve. The hedging error of
+ * a path is the hedge portfolio less the payoff at maturity, discounted to
+ * today; a perfect hedge would make it zero on every path.
+ */
+export class DeltaHedger {
+    /**
+     * @param {object} params - Pricing parameters as for createOption(), plus:
+     * @param {number} [params.rebalanceEvery=1] - Steps between rebalancing dates
+     * @param {number} [params.transactionCost=0] - Cost per trade as a fraction of the traded notional
+     * @param {string} [params.deltaMethod='auto'] - 'analytical', 'regression', or 'auto' for
+     *     analytical where available
+     * @param {number} [params.basisDegree=3] - Degree of the regression polynomial
+     * @param {number} [params.samplePaths=5] - Paths whose hedge is returned step by step
+     */
+    constructor({
+        rebalanceEvery = 1,
+        transactionCost = 0,
+        deltaMethod = 'auto',
+        basisDegree = 3,
+        samplePaths = 5,
+        ...params
+    }) {
+        const product = (params.optionType || '').split('-')[0];
+        if (!HEDGEABLE_PRODUCTS.includes(product)) {
+            throw new Error(`${params.optionType} cannot be delta-hedged on a single underlying`);
+        }
+        if (!Number.isInteger(rebalanceEvery) || rebalanceEvery < 1) {
+            throw new Error('Rebalancing interval must be a whole number of steps');
+        }
+        if (!(transactionCost >= 0)) {
+            throw new Error('Transaction cost must be non-negative');
+        }
+        if (!DELTA_METHODS.includes(deltaMethod)) {
+            throw new Error(`Invalid delta method: ${deltaMethod}`);
+        }
+
+        const seed = params.seed === null || params.seed === undefined ? createSeed() : params.seed;
+        // Control variates would move the premium away from the payoffs the hedge replicates
+        this.option = createOption({ ...params, seed, useControlVariate: false });
+        this.rebalanceEvery = rebalanceEvery;
+        this.transactionCost = transactionCost;
+        this.basisDegree = basisDegree;
+        this.samplePaths = samplePaths;
+        this.riskLevels = params.riskLevels || [0.95, 0.99];
+
+        const analytical = this.option.closedFormAt(this.option.S0, 0) !== null;
+        if (deltaMethod === 'analytical' && !analytical) {
+            throw new Error('No closed-form delta for this product and model; use the regression estimate');
+        }
+        this.deltaMethod = deltaMethod === 'regression' || !analytical ? 'regression' : 'analytical';
+    }
+
+    /**
+     * Steps at which the hedge is rebalanced, after inception and before maturity
+     * @returns {number[]} Grid steps
+     */
+    rebalancingSteps() {
+        const steps = [];
+        for (let step = this.rebalanceEvery; step < this.option.steps; step += this.rebalanceEvery) {
+            steps.push(step);
+        }
+        return steps;
+    }
+
+    /**
+     * Regression basis: powers of the moneyness x, alone and times each
+     * path state variable
+     * @param {number} x - Spot over initial spot
+     * @param {number[]} state - Result of option.pathState()
+     * @returns {number[]} Basis values, one block of powers per factor
+     */
+    basis(x, state) {
+        const values = [];
+        [1, ...state].forEach(factor => {
+            let power = factor;
+            for (let n = 0; n <= this.basisDegree; n++) {
+                values.push(power);
+                power *= x;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Fits the value at each rebalancing date as a polynomial in the spot,
+     * on paths from a substream of their own so the hedge never sees the
+     * payoffs it is hedging
+     * @param {number[]} steps - Rebalancing steps
+     * @returns {Map<number, number[]>} Coefficients per step
+     */
+    fitRegressions(steps) {
+        const option = this.option;
+        const fit = option.clone({ rng: option.createSubstream(3) });
+        const paths = fit.simulatePaths();
+        const payoffs = paths.map(path => fit.payoff(path));
+
+        const coefficients = new Map();
+        steps.forEach(step => {
+            const discount = option.discountFactor(option.T) / option.discountFactor(step * option.dt);
+            const X = paths.map(path => this.basis(path[step] / option.S0, fit.pathState(path, step)));
+            const y = payoffs.map(payoff => payoff * discount);
+            coefficients.set(step, leastSquares(X, y));
+        });
+        return coefficients;
+    }
+
+    /**
+     * Value and delta on a path at a rebalancing date. The regression's
+     * delta moves the spot with the path state held fixed.
+     * @param {number[]} path - Simulated price path
+     * @param {number} step - Grid step
+     * @param {Map<number, number[]>} regressions - Result of fitRegressions()
+     * @returns {{price: number, delta: number}} Value and delta
+     */
+    valueAt(path, step, regressions) {
+        const option = this.option;
+        if (this.deltaMethod === 'analytical') {
+            return option.closedFormAt(path[step], step * option.dt);
+        }
+
+        const coefficients = regressions.get(step);
+        const x = path[step] / option.S0;
+        const block = this.basisDegree + 1;
+        let price = 0;
+        let slope = 0;
+        [1, ...option.pathState(path, step)].forEach((factor, k) => {
+            let power = factor;
+            let lower = 0;
+            for (let n = 0; n < block; n++) {
+                const beta = coefficients[k * block + n];
+                price += beta * power;
+                slope += n * beta * lower;
+                lower = power;
+                power *= x;
+            }
+        });
+        return { price, delta: slope / option.S0 };
+    }
+
+    /**
+     * Dividends one unit of the underlying receives at each step, as a
+     * function of the path: the dividend yield over the step plus any
+     * discrete dividend going ex at the step
+     * @returns {Function} (path, step) => dividend per unit
+     */
+    dividendIncome() {
+        const option = this.option;
+        const yieldFactor = Math.exp(option.q * option.dt) - 1;
+        const discrete = new Map();
+        option.dividends.forEach(dividend => {
+            discrete.set(dividend.step, [...(discrete.get(dividend.step) || []), dividend]);
+        });
+
+        return (path, step) => {
+            let income = path[step] * yieldFactor;
+            (discrete.get(step) || []).forEach(({ amount, type }) => {
+                // Paths hold ex-dividend prices
+                income += type === 'cash'
+                    ? (path[step] > 0 ? amount : 0)
+                    : path[step] * amount / (1 - amount);
+            });
+            return income;
+        };
+    }
+
+    /**
+     * Hedges the option along one path
+     * @param {number[]} path - Simulated price path
+     * @param {object} context - Premium, initial delta, rebalancing steps,
+     *     regressions and dividend income
+     * @param {boolean} record - Whether to keep the hedge step by step
+     * @returns {object} Discounted hedging error and transaction costs, plus
+     *     the step-by-step hedge when recorded
+     */
+    hedgePath(path, { premium, initialDelta, rebalancing, regressions, income }, record) {
+        const option = this.option;
+        const n = option.steps;
+        const cost = this.transactionCost;
+
+        let delta = initialDelta;
+        let costs = cost * Math.abs(delta) * path[0];
+        let cash = premium - delta * path[0] - costs;
+        const trace = record ? {
+            spot: [path[0]],
+            optionValue: [premium],
+            hedgeValue: [premium],
+            delta: [delta]
+        } : null;
+
+        for (let step = 1; step <= n; step++) {
+            cash = cash * Math.exp(option.stepRates[step]) + delta * income(path, step);
+
+            let value = null;
+            if (step < n && rebalancing.has(step)) {
+                value = this.valueAt(path, step, regressions);
+                const trade = value.delta - delta;
+                const tradeCost = cost * Math.abs(trade) * path[step];
+                cash -= trade * path[step] + tradeCost;
+                costs += tradeCost * option.discountFactor(step * option.dt);
+                delta = value.delta;
+            }
+
+            if (trace) {
+                if (step === n) {
+                    value = { price: option.payoff(path) };
+                } else if (!value && this.deltaMethod === 'analytical') {
+                    value = option.closedFormAt(path[step], step * option.dt);
+                }
+                trace.spot.push(path[step]);
+                trace.optionValue.push(value ? value.price : null);
+                trace.hedgeValue.push(cash + delta * path[step]);
+                trace.delta.push(delta);
+            }
+        }
+
+        // The hedge is unwound at maturity and the option settled in cash
+        const discount = option.discountFactor(option.T);
+        const unwind = cost * Math.abs(delta) * path[n];
+        const error = (cash + delta * path[n] - unwind - option.payoff(path)) * discount;
+
+        return { error, costs: costs + unwind * discount, trace };
+    }
+
+    /**
+     * Runs the backtest on every simulated path
+     * @returns {object} Premium, initial delta, hedging errors with their
+     *     mean, standard deviation and tail risk, transaction costs, and
+     *     step-by-step hedges of the first sample paths
+     */
+    run() {
+        const option = this.option;
+        const paths = option.simulatePaths();
+        const priced = option.calculatePrice(paths);
+        const greeks = option.calculateGreeks(paths);
+        const steps = this.rebalancingSteps();
+
+        const context = {
+            premium: priced.price,
+            initialDelta: greeks.delta,
+            rebalancing: new Set(steps),
+            regressions: this.deltaMethod === 'regression' ? this.fitRegressions(steps) : null,
+            income: this.dividendIncome()
+        };
+
+        const errors = new Float64Array(paths.length);
+        const costs = new Float64Array(paths.length);
+        const samples = [];
+        paths.forEach((path, i) => {
+            const hedged = this.hedgePath(path, context, i < this.samplePaths);
+            errors[i] = hedged.error;
+            costs[i] = hedged.costs;
+            if (hedged.trace) {
+                samples.push(hedged.trace);
+            }
+        });
+
+        const errorList = Array.from(errors);
+        const mean = errorList.reduce((a, b) => a + b, 0) / errorList.length;
+        const variance = errorList.reduce((sum, error) => sum + (error - mean) ** 2, 0) / (errorList.length - 1);
+        const rng = option.createSubstream(2);
+
+        return {
+            optionType: option.params.optionType,
+            premium: priced.price,
+            confidence: priced.confidence,
+            initialDelta: { value: greeks.delta, stderr: greeks.standardErrors.delta, method: greeks.methods.delta },
+            deltaMethod: this.deltaMethod,
+            rebalanceEvery: this.rebalanceEvery,
+            rebalances: steps.length,
+            transactionCost: this.transactionCost,
+            seed: option.seed,
+            simulations: paths.length,
+            errors: errorList,
+            statistics: {
+                mean,
+                stderr: option.calculateConfidenceInterval(errorList).stderr,
+                stdev: Math.sqrt(variance),
+                relativeStdev: Math.sqrt(variance) / priced.price,
+                meanCost: costs.reduce((a, b) => a + b, 0) / costs.length
+            },
+            riskMetrics: analyzePnl(errorList, this.riskLevels, { random: () => rng.next() }),
+            times: Array.from({ length: option.steps + 1 }, (_, step) => step * option.dt),
+            samples
+        };
+    }
+}
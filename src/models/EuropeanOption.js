@@ -0,0 +1,48 @@
+import { MonteCarloSimulation } from './MonteCarloSimulation.js';
+import { blackScholesPrice, blackScholesGreeks } from '../utils/analytics.js';
+
+/**
+ * European vanilla call or put. The payoff, closed form and Greeks are
+ * those of the base simulation; this class makes the vanilla a product of
+ * its own.
+ */
+export class EuropeanOption extends MonteCarloSimulation {
+    constructor(params) {
+        super(params);
+        this.type = params.type || 'call';
+    }
+
+    /**
+     * The vanilla is its own closed-form control, which would make the
+     * estimate exact, so none is offered
+     * @returns {object[]} No controls
+     */
+    controlVariates() {
+        return [];
+    }
+
+    /**
+     * Black-Scholes value and delta with the remaining time to maturity,
+     * discounted at the curve's forward rate from t to maturity
+     * @param {number} spot - Spot price at time t
+     * @param {number} t - Time in years, before maturity
+     * @returns {{price: number, delta: number}|null} Value and delta, or
+     *     null unless the paths are GBM without discrete dividends
+     */
+    closedFormAt(spot, t) {
+        if (!this.supportsPathDerivatives()) {
+            return null;
+        }
+        const maturity = this.T - t;
+        const contract = {
+            spot,
+            strike: this.K,
+            rate: Math.log(this.discountFactor(t) / this.discountFactor(this.T)) / maturity,
+            dividendYield: this.q,
+            volatility: this.sigma,
+            maturity,
+            type: this.type
+        };
+        return { price: blackScholesPrice(contract), delta: blackScholesGreeks(contract).delta };
+    }
+}
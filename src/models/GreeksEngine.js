@@ -0,0 +1,252 @@
+/**
+ * Monte Carlo Greeks on common random numbers.
+ *
+ * Every estimator works path by path against the option's own payoff(), so a
+ * standard error comes out of the same per-path values as the estimate.
+ * Three estimators are available:
+ * - 'finite-difference': central bumps repriced on the same normals
+ * - 'pathwise': derivative of the payoff along dS/dθ for each path
+ * - 'likelihood-ratio': payoff times the score of the path density, which
+ *   stays unbiased for discontinuous payoffs such as barriers
+ * 'auto' picks likelihood ratio for discontinuous payoffs and pathwise
+ * otherwise, falling back to finite differences where the model does not
+ * allow path derivatives. Gamma and theta use finite differences except
+ * under the likelihood-ratio method.
+ */
+
+const PATHWISE_EPSILON = 1e-6;
+const RATE_BUMP = 1e-4;
+
+export class GreeksEngine {
+    /**
+     * @param {MonteCarloSimulation} option - Option to differentiate
+     * @param {object} [options]
+     * @param {string} [options.method='auto'] - Estimator, see above
+     * @param {number} [options.bump=0.01] - Relative bump for finite differences
+     */
+    constructor(option, { method = 'auto', bump = 0.01 } = {}) {
+        this.option = option;
+        this.method = method;
+        this.h = bump;
+    }
+
+    /**
+     * Resolves the estimator used for delta, vega and rho
+     * @returns {string} 'finite-difference', 'pathwise' or 'likelihood-ratio'
+     */
+    resolveMethod() {
+        const option = this.option;
+        let method = this.method;
+
+        if (method === 'auto') {
+            method = option.hasDiscontinuousPayoff() ? 'likelihood-ratio' : 'pathwise';
+        }
+        if (method !== 'finite-difference' && !option.supportsPathDerivatives()) {
+            method = 'finite-difference';
+        }
+        return method;
+    }
+
+    /**
+     * @param {number[][]} [paths] - Paths from option.simulatePaths()
+     * @returns {object} Greeks, their standard errors and the methods used
+     */
+    calculate(paths = null) {
+        const option = this.option;
+        if (!paths || !option.pathRng) {
+            paths = option.simulatePaths();
+        }
+
+        const base = option.calculatePrice(paths).payoffs;
+        const method = this.resolveMethod();
+        let estimates;
+
+        if (method === 'likelihood-ratio') {
+            estimates = {
+                ...this.likelihoodRatio(paths, base),
+                theta: this.finiteDifferenceTheta(base)
+            };
+        } else if (method === 'pathwise') {
+            estimates = {
+                ...this.pathwise(paths, base),
+                gamma: this.finiteDifferenceGamma(base),
+                theta: this.finiteDifferenceTheta(base)
+            };
+        } else {
+            estimates = this.finiteDifference(base);
+        }
+
+        const greeks = {
+            standardErrors: {},
+            methods: {
+                delta: method,
+                gamma: method === 'likelihood-ratio' ? method : 'finite-difference',
+                theta: 'finite-difference',
+                vega: method,
+                rho: method
+            }
+        };
+        ['delta', 'gamma', 'theta', 'vega', 'rho'].forEach(name => {
+            const { value, stderr } = this.summarize(estimates[name]);
+            greeks[name] = value;
+            greeks.standardErrors[name] = stderr;
+        });
+
+        return greeks;
+    }
+
+    /**
+     * Discounted payoffs of a bumped copy priced on the same random numbers.
+     * An exercise policy fitted by the base run is reused rather than
+     * refitted, whose noise would swamp the bump.
+     * @param {object} overrides - Constructor arguments to bump
+     * @returns {number[]} Per-path discounted payoffs
+     */
+    revalue(overrides) {
+        const bumped = this.option.clone({
+            ...overrides,
+            rng: this.option.pathRng.clone()
+        });
+        return bumped.calculatePrice(null, this.option.policy).payoffs;
+    }
+
+    summarize(values) {
+        const ci = this.option.calculateConfidenceInterval(values);
+        return { value: ci.mean, stderr: ci.stderr };
+    }
+
+    finiteDifference(base) {
+        const { S0, sigma } = this.option;
+        const h = this.h;
+        const up = this.revalue({ spot: S0 * (1 + h) });
+        const down = this.revalue({ spot: S0 * (1 - h) });
+        const volUp = this.revalue(this.option.volatilityOverrides(sigma * (1 + h)));
+        const volDown = this.revalue(this.option.volatilityOverrides(sigma * (1 - h)));
+        const rateUp = this.revalue(this.option.rateOverrides(RATE_BUMP));
+        const rateDown = this.revalue(this.option.rateOverrides(-RATE_BUMP));
+
+        return {
+            delta: up.map((u, i) => (u - down[i]) / (2 * h * S0)),
+            gamma: this.gammaFromBumps(base, up, down),
+            theta: this.finiteDifferenceTheta(base),
+            vega: volUp.map((u, i) => (u - volDown[i]) / (2 * h * sigma)),
+            rho: rateUp.map((u, i) => (u - rateDown[i]) / (2 * RATE_BUMP))
+        };
+    }
+
+    finiteDifferenceGamma(base) {
+        const S0 = this.option.S0;
+        const up = this.revalue({ spot: S0 * (1 + this.h) });
+        const down = this.revalue({ spot: S0 * (1 - this.h) });
+        return this.gammaFromBumps(base, up, down);
+    }
+
+    gammaFromBumps(base, up, down) {
+        const dS = this.h * this.option.S0;
+        return base.map((b, i) => (up[i] - 2 * b + down[i]) / (dS * dS));
+    }
+
+    finiteDifferenceTheta(base) {
+        // Theta is the change in value as calendar time passes, i.e. as the
+        // remaining maturity shrinks
+        const T = this.option.T;
+        const shorter = this.revalue({ maturity: T * (1 - this.h) });
+        return shorter.map((s, i) => (s - base[i]) / (this.h * T));
+    }
+
+    /**
+     * Pathwise estimators. For GBM every path point scales with S0, so
+     * dS_j/dS0 = S_j / S0, dS_j/dσ = S_j (ln(S_j/S0) - G_j - σ² t_j / 2) / σ with
+     * G_j the integrated carry (forward rate less yield) to t_j, and
+     * dS_j/dr = S_j t_j for a parallel rate shift. The payoff is differentiated
+     * along these directions with a tiny central difference, which equals the
+     * derivative almost surely.
+     */
+    pathwise(paths, base) {
+        const option = this.option;
+        const { S0, sigma, T, dt } = option;
+        const discount = option.discountFactor(T);
+        const width = paths[0].length;
+        const shifted = new Float64Array(width);
+        const direction = new Float64Array(width);
+        const carry = new Float64Array(width);
+        for (let j = 1; j < width; j++) {
+            carry[j] = carry[j - 1] + option.stepRates[j] - option.q * dt;
+        }
+
+        const derivative = (path) => {
+            for (let j = 0; j < width; j++) {
+                shifted[j] = path[j] + PATHWISE_EPSILON * direction[j];
+            }
+            const up = option.payoff(shifted);
+            for (let j = 0; j < width; j++) {
+                shifted[j] = path[j] - PATHWISE_EPSILON * direction[j];
+            }
+            const down = option.payoff(shifted);
+            return discount * (up - down) / (2 * PATHWISE_EPSILON);
+        };
+
+        const delta = new Array(paths.length);
+        const vega = new Array(paths.length);
+        const rho = new Array(paths.length);
+
+        paths.forEach((path, i) => {
+            for (let j = 0; j < width; j++) {
+                direction[j] = path[j] / S0;
+            }
+            delta[i] = derivative(path);
+
+            for (let j = 0; j < width; j++) {
+                direction[j] = path[j] * (Math.log(path[j] / S0) - carry[j] - 0.5 * sigma * sigma * j * dt) / sigma;
+            }
+            vega[i] = derivative(path);
+
+            for (let j = 0; j < width; j++) {
+                direction[j] = path[j] * j * dt;
+            }
+            rho[i] = derivative(path) - T * base[i];
+        });
+
+        return { delta, vega, rho };
+    }
+
+    /**
+     * Likelihood-ratio estimators. The shocks are recovered from the GBM log
+     * increments; delta and gamma use the score of the first step only, vega
+     * and rho the score of every step.
+     */
+    likelihoodRatio(paths, base) {
+        const { S0, sigma, q, T, dt, stepRates } = this.option;
+        const drift = j => stepRates[j] - (q + 0.5 * sigma * sigma) * dt;
+        const rootDt = Math.sqrt(dt);
+        const diffusion = sigma * rootDt;
+
+        const delta = new Array(paths.length);
+        const gamma = new Array(paths.length);
+        const vega = new Array(paths.length);
+        const rho = new Array(paths.length);
+
+        paths.forEach((path, i) => {
+            const payoff = base[i];
+            let vegaScore = 0;
+            let rhoScore = 0;
+            let z1 = 0;
+
+            for (let j = 1; j < path.length; j++) {
+                const z = (Math.log(path[j] / path[j - 1]) - drift(j)) / diffusion;
+                if (j === 1) {
+                    z1 = z;
+                }
+                vegaScore += (z * z - 1) / sigma - z * rootDt;
+                rhoScore += z * rootDt / sigma;
+            }
+
+            delta[i] = payoff * z1 / (S0 * diffusion);
+            gamma[i] = payoff * ((z1 * z1 - 1) / (S0 * S0 * diffusion * diffusion) - z1 / (S0 * S0 * diffusion));
+            vega[i] = payoff * vegaScore;
+            rho[i] = payoff * rhoScore - T * payoff;
+        });
+
+        return { delta, gamma, vega, rho };
+    }
+}
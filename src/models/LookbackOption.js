@@ -1,137 +1,293 @@
 import { MonteCarloSimulation } from './MonteCarloSimulation.js';
+import { normalCDF } from '../utils/analytics.js';
 
+// Smallest cost of carry used in the closed forms, which divide by it
+const MIN_CARRY = 1e-7;
+
+// Broadie-Glasserman-Kou constant, -zeta(1/2) / sqrt(2 pi)
+const BGK_BETA = 0.5826;
+
+const LOOKBACK_TYPES = ['fixed', 'floating'];
+
+/**
+ * Integral of e^{cq} N(gq + h) over q from k to infinity, for g < 0, by parts
+ * and completing the square in the Gaussian density
+ * @param {number} c - Exponential rate, non-zero
+ * @param {number} g - Slope inside the normal CDF, negative
+ * @param {number} h - Intercept inside the normal CDF
+ * @param {number} k - Lower limit
+ * @returns {number} Integral value
+ */
+function expNormalIntegral(c, g, h, k) {
+    const completed = Math.exp(c * c / (2 * g * g) - c * h / g) * normalCDF(g * k + h - c / g);
+    return (completed - Math.exp(c * k) * normalCDF(g * k + h)) / c;
+}
+
+/**
+ * Fixed-strike lookbacks pay on the extremum against the strike: a call on
+ * the maximum, a put on the minimum. Floating-strike lookbacks pay the final
+ * price against a fraction lambda of the extremum: a call pays
+ * max(S_T - lambda min, 0) and a put max(lambda max - S_T, 0), with lambda = 1
+ * the standard contract.
+ *
+ * The extremum runs over the whole life, or over the grid points within a
+ * lookback window for partial lookbacks. A seasoned trade passes the minimum
+ * or maximum observed so far, which the simulated extremum extends.
+ */
 export class LookbackOption extends MonteCarloSimulation {
     constructor(params) {
         super(params);
         this.type = params.type || 'call';
-        this.lookbackType = params.lookbackType || 'fixed'; // 'fixed' or 'floating'
+        this.lookbackType = params.lookbackType || 'fixed';
+        if (!LOOKBACK_TYPES.includes(this.lookbackType)) {
+            throw new Error(`Invalid lookback type: ${this.lookbackType}`);
+        }
+
+        this.strikeFraction = params.strikeFraction || 1;
+        if (!(this.strikeFraction > 0) || !isFinite(this.strikeFraction)) {
+            throw new Error('Strike fraction must be positive');
+        }
+        if (this.lookbackType === 'fixed' && this.strikeFraction !== 1) {
+            throw new Error('Strike fractions apply to floating-strike lookbacks');
+        }
+
+        this.observedMinimum = params.observedMinimum || null;
+        this.observedMaximum = params.observedMaximum || null;
+        if ([this.observedMinimum, this.observedMaximum].some(level => level !== null && (!(level > 0) || !isFinite(level)))) {
+            throw new Error('Observed extrema must be positive prices');
+        }
+
+        this.lookbackWindow = params.lookbackWindow || null;
+        [this.firstStep, this.lastStep] = this.resolveWindow(this.lookbackWindow);
+
+        // Continuous-monitoring shift of the simulated extremum, 1 on the grid
+        this.continuityShifted = false;
+        this.extremumShift = 1;
     }
 
-    calculatePrice(paths = null) {
-        if (!paths) {
-            paths = this.simulatePaths();
+    /**
+     * Maps the lookback window onto grid steps, on the first step at or
+     * after each bound
+     * @param {{start: number, end: number}|null} lookbackWindow - Window in years
+     * @returns {number[]} First and last monitored step
+     */
+    resolveWindow(lookbackWindow) {
+        if (!lookbackWindow) {
+            return [0, this.steps];
         }
+        const { start, end } = lookbackWindow;
+        if (!(start >= 0) || !(end >= start)) {
+            throw new Error('Lookback window needs 0 <= start <= end');
+        }
+        const toStep = time => Math.min(this.steps, Math.ceil(time / this.dt - 1e-9));
+        return [toStep(start), toStep(end)];
+    }
 
-        const payoffs = paths.map(path => {
-            if (this.lookbackType === 'fixed') {
-                // Fixed strike lookback
-                if (this.type === 'call') {
-                    const maxPrice = Math.max(...path);
-                    return Math.max(maxPrice - this.K, 0);
-                } else {
-                    const minPrice = Math.min(...path);
-                    return Math.max(this.K - minPrice, 0);
-                }
-            } else {
-                // Floating strike lookback
-                const finalPrice = path[path.length - 1];
-                if (this.type === 'call') {
-                    const minPrice = Math.min(...path);
-                    return Math.max(finalPrice - minPrice, 0);
-                } else {
-                    const maxPrice = Math.max(...path);
-                    return Math.max(maxPrice - finalPrice, 0);
-                }
+    /**
+     * @returns {boolean} True when the extremum watched over the whole life
+     */
+    isFullLookback() {
+        return this.firstStep === 0 && this.lastStep === this.steps;
+    }
+
+    /**
+     * @returns {boolean} True if the payoff uses the minimum: floating
+     *     calls and fixed puts
+     */
+    tracksMinimum() {
+        return (this.lookbackType === 'floating') === (this.type === 'call');
+    }
+
+    /**
+     * Extremum over the lookback window, shifted for continuous monitoring
+     * and combined with the extremum already observed
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Minimum or maximum, as the payoff needs
+     */
+    extremum(path) {
+        if (this.tracksMinimum()) {
+            let minimum = Infinity;
+            for (let step = this.firstStep; step <= this.lastStep; step++) {
+                minimum = Math.min(minimum, path[step]);
             }
-        });
+            minimum /= this.extremumShift;
+            return this.observedMinimum === null ? minimum : Math.min(minimum, this.observedMinimum);
+        }
 
-        // Calculate present value
-        const price = payoffs.reduce((a, b) => a + b) / payoffs.length * Math.exp(-this.r * this.T);
-        const ci = this.calculateConfidenceInterval(payoffs.map(p => p * Math.exp(-this.r * this.T)));
+        let maximum = -Infinity;
+        for (let step = this.firstStep; step <= this.lastStep; step++) {
+            maximum = Math.max(maximum, path[step]);
+        }
+        maximum *= this.extremumShift;
+        return this.observedMaximum === null ? maximum : Math.max(maximum, this.observedMaximum);
+    }
 
-        return {
-            price,
-            confidence: ci,
-            paths,
-            payoffs: payoffs.map(p => p * Math.exp(-this.r * this.T))
-        };
+    /**
+     * Extremum of the window so far, with the one already observed. Before
+     * the window opens it is the observed extremum, or the initial spot.
+     * @param {number[]} path - Simulated price path
+     * @param {number} step - Grid step
+     * @returns {number[]} Running extremum over the initial spot
+     */
+    pathState(path, step) {
+        const minimum = this.tracksMinimum();
+        const observed = minimum ? this.observedMinimum : this.observedMaximum;
+        let extremum = observed === null ? null : observed;
+        for (let s = this.firstStep; s <= Math.min(step, this.lastStep); s++) {
+            extremum = extremum === null ? path[s]
+                : minimum ? Math.min(extremum, path[s]) : Math.max(extremum, path[s]);
+        }
+        return [(extremum === null ? this.S0 : extremum) / this.S0];
+    }
+
+    payoff(path) {
+        const extremum = this.extremum(path);
+        if (this.lookbackType === 'fixed') {
+            return this.type === 'call'
+                ? Math.max(extremum - this.K, 0)
+                : Math.max(this.K - extremum, 0);
+        }
+
+        const finalPrice = path[this.steps];
+        const strike = this.strikeFraction * extremum;
+        return this.type === 'call'
+            ? Math.max(finalPrice - strike, 0)
+            : Math.max(strike - finalPrice, 0);
     }
 
     /**
-     * Calculates the analytical price for continuous lookback options
+     * Closed form for continuously monitored lookbacks over the whole life
+     * under GBM with cost of carry b = r - q, with the extremum starting at
+     * the spot or at the one already observed: Conze-Viswanathan for fixed
+     * strikes, and for floating strikes the Goldman-Sosin-Gatto formula
+     * extended to fractional strikes.
+     *
+     * The floating price comes from the share measure, under which ln S
+     * drifts at mu = b + sigma^2 / 2. Reversing time there makes
+     * Q = phi ln(S_T / extremum), with phi = 1 for a call and -1 for a put,
+     * the larger of the running maximum of a Brownian motion with drift
+     * phi mu and its end point less phi a, a the observed log extremum. The payoff is then
+     * S_T (1 - lambda e^{-Q})^+ = S_T lambda times the integral of e^{-q}
+     * over q < Q from ln lambda, and the joint law of the maximum and end
+     * point gives
+     *
+     *   P(Q > q) = N((phi (mu T - a) - q) / s) + e^{2 phi mu q / sigma^2} N((phi (a - mu T) - q) / s),
+     *
+     * with s = sigma sqrt(T), whose integrals against e^{-phi q} are closed.
      * @returns {number} Analytical lookback option price
      */
     calculateAnalyticalPrice() {
-        const sigma2 = this.sigma * this.sigma;
-        const root_T = Math.sqrt(this.T);
-        const a = (this.r + 0.5 * sigma2) * this.T / (this.sigma * root_T);
+        const { S0, K, T, r, sigma } = this;
+        const sigma2 = sigma * sigma;
+        const sigmaRootT = sigma * Math.sqrt(T);
+        // The formulas divide by the carry; near zero it is nudged off zero,
+        // where the price is continuous
+        const b = Math.abs(r - this.q) < MIN_CARRY ? MIN_CARRY : r - this.q;
+        const carry = Math.exp((b - r) * T);
+        const discount = Math.exp(-r * T);
+        const N = normalCDF;
+        const d = level => (Math.log(S0 / level) + (b + 0.5 * sigma2) * T) / sigmaRootT;
 
-        if (this.lookbackType === 'fixed') {
-            if (this.type === 'call') {
-                const d1 = Math.log(this.S0 / this.K) / (this.sigma * root_T) + a;
-                const d2 = d1 - this.sigma * root_T;
-                const e1 = (this.r + sigma2) * this.T / (this.sigma * root_T);
-                const e2 = e1 - this.sigma * root_T;
-
-                return this.S0 * this.normalCDF(d1) - 
-                       this.K * Math.exp(-this.r * this.T) * this.normalCDF(d2) +
-                       this.S0 * this.sigma * this.sigma * this.T / (2 * this.r) * 
-                       (Math.exp(-this.r * this.T) * this.normalCDF(-d2) - 
-                        this.normalCDF(-d1));
-            } else {
-                const d1 = Math.log(this.S0 / this.K) / (this.sigma * root_T) + a;
-                const d2 = d1 - this.sigma * root_T;
-
-                return this.K * Math.exp(-this.r * this.T) * this.normalCDF(-d2) - 
-                       this.S0 * this.normalCDF(-d1) +
-                       this.S0 * this.sigma * this.sigma * this.T / (2 * this.r) * 
-                       (Math.exp(-this.r * this.T) * this.normalCDF(d2) - 
-                        this.normalCDF(d1));
-            }
-        } else {
-            // Floating strike lookback
-            const q1 = (this.r + sigma2/2) * this.T / (this.sigma * root_T);
-            const q2 = q1 - this.sigma * root_T;
-
-            if (this.type === 'call') {
-                return this.S0 * (
-                    this.normalCDF(a) + 
-                    this.sigma * root_T / 2 * 
-                    (Math.exp(-this.r * this.T) * this.normalCDF(-q2) - 
-                     this.normalCDF(-q1))
-                );
-            } else {
-                return this.S0 * (
-                    -this.normalCDF(-a) + 
-                    this.sigma * root_T / 2 * 
-                    (Math.exp(-this.r * this.T) * this.normalCDF(q2) - 
-                     this.normalCDF(q1))
-                );
+        // Vanilla on the terminal price struck at `level`
+        const vanilla = (level, sign) => {
+            const d1 = d(level);
+            return sign * (S0 * carry * N(sign * d1) - level * discount * N(sign * (d1 - sigmaRootT)));
+        };
+        // Term from the reflection of the path in `level`
+        const reflection = (level, sign) => {
+            const d1 = d(level);
+            return S0 * discount * sigma2 / (2 * b) * sign * (
+                -Math.pow(S0 / level, -2 * b / sigma2) * N(sign * (d1 - 2 * b * Math.sqrt(T) / sigma)) +
+                Math.exp(b * T) * N(sign * d1)
+            );
+        };
+
+        // Extremum observed so far, including the spot
+        const extremum = this.tracksMinimum()
+            ? Math.min(S0, this.observedMinimum || S0)
+            : Math.max(S0, this.observedMaximum || S0);
+
+        if (this.lookbackType === 'floating') {
+            const phi = this.type === 'call' ? 1 : -1;
+            const lambda = this.strikeFraction;
+            const driftT = (b + 0.5 * sigma2) * T;
+            const observed = Math.log(extremum / S0);
+            const exercise = phi * Math.log(lambda);
+            const lower = Math.max(exercise, 0);
+
+            let value = lambda * (
+                expNormalIntegral(-phi, -1 / sigmaRootT, phi * (driftT - observed) / sigmaRootT, lower) +
+                expNormalIntegral(2 * phi * b / sigma2, -1 / sigmaRootT, phi * (observed - driftT) / sigmaRootT, lower)
+            );
+            // A fraction on the in-the-money side of 1 is exercised on every
+            // path, which adds a forward on the difference
+            if (exercise < 0) {
+                value += phi * (1 - lambda);
             }
+            return S0 * carry * value;
         }
+
+        // Fixed strike: once the extremum is beyond the strike, the part up
+        // to the extremum is locked in
+        const sign = this.type === 'call' ? 1 : -1;
+        if (sign * (K - extremum) > 0) {
+            return vanilla(K, sign) + reflection(K, sign);
+        }
+        return discount * sign * (extremum - K) + vanilla(extremum, sign) + reflection(extremum, sign);
+    }
+
+    /**
+     * Continuous-monitoring closed form under constant-coefficient GBM;
+     * partial lookback windows have none
+     * @returns {{method: string, price: number}|null} Closed form, if any
+     */
+    closedForm() {
+        if (!this.hasConstantCoefficients() || !this.isFullLookback()) {
+            return null;
+        }
+        return {
+            method: this.lookbackType === 'fixed' ? 'Conze-Viswanathan' : 'Goldman-Sosin-Gatto',
+            price: this.calculateAnalyticalPrice()
+        };
     }
 
     /**
-     * Implements continuous monitoring correction for lookback options
-     * @param {object} result - Initial pricing result
-     * @returns {object} Adjusted price
+     * Corrects grid monitoring of a continuously watched extremum with the
+     * Broadie-Glasserman-Kou shift: the simulated maximum is scaled up and
+     * the minimum down by e^{beta sigma sqrt(dt)}, and the paths are repriced.
+     * The shift stays in place, so Greeks calculated afterwards are those of
+     * the corrected contract.
+     * @param {object} result - Result of calculatePrice(), with its paths
+     * @returns {object} Result priced on the shifted extremum
      */
     adjustForContinuousMonitoring(result) {
-        const beta = 0.5826; // Broadie-Glasserman-Kou constant
-        const h = this.T / this.steps;
-        const adjustment = beta * this.sigma * Math.sqrt(h);
+        this.shiftForContinuity();
+        return this.calculatePrice(result.paths);
+    }
 
-        const adjustedPayoffs = result.payoffs.map(payoff => 
-            payoff * Math.exp(adjustment)
-        );
+    shiftForContinuity() {
+        this.extremumShift = Math.exp(BGK_BETA * this.sigma * Math.sqrt(this.dt));
+        this.continuityShifted = true;
+    }
 
-        return {
-            price: adjustedPayoffs.reduce((a, b) => a + b) / adjustedPayoffs.length,
-            confidence: this.calculateConfidenceInterval(adjustedPayoffs),
-            paths: result.paths,
-            payoffs: adjustedPayoffs
-        };
+    /**
+     * The extremum shift depends on sigma directly, not only through the
+     * path, which the pathwise and likelihood-ratio estimators do not see
+     * @returns {boolean} True when path derivatives give unbiased Greeks
+     */
+    supportsPathDerivatives() {
+        return !this.continuityShifted && super.supportsPathDerivatives();
     }
 
     /**
-     * Calculates the cumulative distribution function for standard normal
-     * @param {number} x - Input value
-     * @returns {number} CDF value
+     * Bumped copies for finite-difference Greeks keep the extremum shift,
+     * recomputed for their own sigma and step
      */
-    normalCDF(x) {
-        const t = 1 / (1 + 0.2316419 * Math.abs(x));
-        const d = 0.3989423 * Math.exp(-x * x / 2);
-        const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-        return x > 0 ? 1 - p : p;
+    clone(overrides = {}) {
+        const copy = super.clone(overrides);
+        if (this.continuityShifted) {
+            copy.shiftForContinuity();
+        }
+        return copy;
     }
-} 
\ No newline at end of file
+}
@@ -1,255 +1,1137 @@
 import { cholesky } from '../utils/matrixOperations.js';
+import { createRandomStream, createSeed } from '../utils/random.js';
+import { SobolSequence } from '../utils/sobol.js';
+import { BrownianBridge } from '../utils/brownianBridge.js';
+import { hestonPrice, validateHestonParams } from '../utils/heston.js';
+import { jumpCompensator, mertonPrice } from '../utils/merton.js';
+import { YieldCurve } from '../utils/yieldCurve.js';
+import { VolatilitySurface } from '../utils/volatilitySurface.js';
+import { positionRisk, returnMetrics } from '../utils/riskMetrics.js';
+import { compareWithAnalytical, studentT975 } from '../utils/statistics.js';
+import { blackScholesPrice, normalCDF, normalInverse } from '../utils/analytics.js';
+import { optimalBeta, applyControls } from '../utils/controlVariates.js';
+import { GreeksEngine } from './GreeksEngine.js';
+
+// Heston parameters used when the model is selected without all of them
+const HESTON_DEFAULTS = {
+    kappa: 2.0,   // Mean reversion speed
+    theta: 0.04,  // Long-run variance
+    xi: 0.3,      // Volatility of variance
+    rho: -0.7,    // Spot/variance correlation
+    v0: 0.04      // Initial variance
+};
+
+// Log-forward-moneyness nodes of the local volatility table, and its reach
+// in standard deviations of the most volatile quote
+const LOCAL_VOL_NODES = 201;
+const LOCAL_VOL_WIDTH = 6;
+
+// Fewest grid steps to a quote's date for the surface repricing to pass or
+// fail it. The Euler bias is O(dt): with 20,000 paths a 3-month quote is off
+// by about 2 standard errors at 25 steps and under half of one at 100.
+export const MIN_REPRICING_STEPS = 50;
+
+// Andersen's switching threshold between the quadratic and exponential QE branches
+const QE_PSI_CRITICAL = 1.5;
 
 export class MonteCarloSimulation {
-    constructor({
-        spot,
-        strike,
-        volatility,
-        riskFreeRate,
-        maturity,
-        steps,
-        simulations,
-        useAntithetic = true,
-        useStratified = true,
-        jumpDiffusion = false,
-        type = 'call'
-    }) {
+    constructor(params) {
+        const {
+            spot,
+            strike,
+            volatility,
+            riskFreeRate,
+            maturity,
+            dividendYield = 0,
+            dividends = [],
+            rateCurve = null,
+            steps,
+            simulations,
+            useAntithetic = true,
+            useStratified = true,
+            useQuasiRandom = false,
+            scramble = true,
+            useBrownianBridge = true,
+            qmcReplications = 16,
+            jumpDiffusion = false,
+            jumpIntensity = 1.0,
+            jumpMean = -0.1,
+            jumpVolatility = 0.2,
+            model = 'gbm',
+            heston = null,
+            volatilitySurface = null,
+            type = 'call',
+            seed = null,
+            stream = 0,
+            substream = 0,
+            rng = null,
+            greeksMethod = 'auto',
+            useControlVariate = false
+        } = params;
+
+        // Constructor arguments, kept so bumped copies can be built with clone()
+        this.params = params;
         this.S0 = spot;
         this.K = strike;
         this.sigma = volatility;
-        this.r = riskFreeRate;
         this.T = maturity;
         this.steps = steps;
         this.simulations = simulations;
         this.dt = this.T / this.steps;
+
+        // Discounting and forward drift come from a zero curve, flat at
+        // riskFreeRate unless one is given. r is the zero rate to maturity,
+        // so closed forms written for a flat rate discount consistently.
+        this.rateCurve = rateCurve;
+        this.curve = rateCurve ? new YieldCurve(rateCurve) : YieldCurve.flat(riskFreeRate);
+        this.r = this.curve.zeroRate(this.T);
+        // Integrated forward rate over each step, stepRates[j] for (t_{j-1}, t_j]
+        this.stepRates = new Float64Array(steps + 1);
+        for (let step = 1; step <= steps; step++) {
+            this.stepRates[step] = Math.log(this.discountFactor((step - 1) * this.dt) /
+                                            this.discountFactor(step * this.dt));
+        }
+
+        // Continuous dividend yield plus a schedule of discrete dividends
+        if (!isFinite(dividendYield)) {
+            throw new Error('Invalid dividend yield');
+        }
+        this.q = dividendYield;
+        this.dividends = this.resolveDividends(dividends);
         this.useAntithetic = useAntithetic;
         this.useStratified = useStratified;
         this.jumpDiffusion = jumpDiffusion;
         this.type = type;
+        this.greeksMethod = greeksMethod;
+        this.useControlVariate = useControlVariate;
+
+        // Randomized quasi-Monte Carlo: independent randomizations of a Sobol
+        // sequence, each of equal size, replace antithetic/stratified draws
+        this.useQuasiRandom = useQuasiRandom;
+        this.scramble = scramble;
+        this.useBrownianBridge = useBrownianBridge;
+        this.qmcReplications = qmcReplications;
+        if (useQuasiRandom) {
+            this.simulations = qmcReplications * Math.ceil(simulations / qmcReplications);
+        }
+
+        // Random number stream: `seed` makes a run reproducible, `stream` and
+        // `substream` select independent sequences of the same seed
+        this.seed = seed === null || seed === undefined ? createSeed() : seed >>> 0;
+        this.stream = stream;
+        this.substream = substream;
+        this.rng = rng || createRandomStream(this.seed, stream, substream);
+
+        // Dynamics of the underlying: 'gbm', 'heston' stochastic volatility or
+        // 'local-vol' Dupire local volatility from an implied surface. Under
+        // Heston, sigma is the initial (spot) volatility sqrt(v0); under local
+        // volatility, the surface's implied volatility at the strike and maturity.
+        this.model = model;
+        if (model === 'heston') {
+            this.heston = { ...HESTON_DEFAULTS, ...heston };
+            validateHestonParams(this.heston);
+            this.sigma = Math.sqrt(this.heston.v0);
+            if (jumpDiffusion) {
+                throw new Error('Jump diffusion is only available with GBM dynamics');
+            }
+        } else if (model === 'local-vol') {
+            if (jumpDiffusion) {
+                throw new Error('Jump diffusion is only available with GBM dynamics');
+            }
+            if (this.dividends.length > 0) {
+                throw new Error('Local volatility takes a continuous dividend yield, not discrete dividends');
+            }
+            if (!volatilitySurface) {
+                throw new Error('Local volatility needs an implied volatility surface');
+            }
+            this.surface = new VolatilitySurface(volatilitySurface, t => this.forwardPrice(t));
+            this.sigma = this.surface.volatility(this.K > 0 ? this.K : this.S0, this.T);
+            this.localVolatility = this.tabulateLocalVolatility();
+        } else if (model !== 'gbm') {
+            throw new Error(`Invalid model: ${model}`);
+        }
 
         // Jump diffusion parameters (Merton model)
         if (jumpDiffusion) {
-            this.lambda = 1.0;  // Jump intensity
-            this.muJ = -0.1;    // Mean jump size
-            this.sigmaJ = 0.2;  // Jump size volatility
+            if (!(jumpIntensity >= 0)) throw new Error('Jump intensity must be non-negative');
+            if (!(jumpVolatility >= 0)) throw new Error('Jump volatility must be non-negative');
+            if (!isFinite(jumpMean)) throw new Error('Invalid mean jump size');
+            this.lambda = jumpIntensity;   // Jumps per year
+            this.muJ = jumpMean;           // Mean log jump size
+            this.sigmaJ = jumpVolatility;  // Log jump size volatility
+            // Mean relative jump, removed from the drift so that the
+            // discounted price stays a martingale
+            this.jumpCompensator = jumpCompensator(jumpMean, jumpVolatility);
         }
     }
 
-    generateRandomNumbers() {
-        const effectiveSimulations = this.useAntithetic ? Math.ceil(this.simulations / 2) : this.simulations;
-        let z = new Array(effectiveSimulations);
+    /**
+     * Validates a dividend schedule and maps each payment to the first grid
+     * step at or after its ex-date. Dividends outside (0, T] do not affect
+     * the option and are dropped.
+     * @param {object[]} dividends - { time, amount, type } with type 'cash'
+     *     (amount in currency) or 'proportional' (amount as a fraction of spot)
+     * @returns {object[]} Dividends within the option's life, with their step
+     */
+    resolveDividends(dividends) {
+        this.cashDividends = new Float64Array(this.steps + 1);
+        this.dividendFactors = new Float64Array(this.steps + 1).fill(1);
+
+        return (dividends || [])
+            .map(({ time, amount, type = 'cash' }) => {
+                if (!isFinite(time) || !isFinite(amount) || amount < 0) {
+                    throw new Error('Dividends need a time and a non-negative amount');
+                }
+                if (type !== 'cash' && type !== 'proportional') {
+                    throw new Error(`Invalid dividend type: ${type}`);
+                }
+                if (type === 'proportional' && amount >= 1) {
+                    throw new Error('Proportional dividends must be below 100%');
+                }
+                return { time, amount, type };
+            })
+            .filter(dividend => dividend.time > 0 && dividend.time <= this.T)
+            .map(dividend => {
+                const step = Math.min(this.steps, Math.max(1, Math.ceil(dividend.time / this.dt - 1e-9)));
+                if (dividend.type === 'cash') {
+                    this.cashDividends[step] += dividend.amount;
+                } else {
+                    this.dividendFactors[step] *= 1 - dividend.amount;
+                }
+                return { ...dividend, step };
+            });
+    }
+
+    /**
+     * @returns {boolean} True if discrete dividends fall within the option's life
+     */
+    hasDiscreteDividends() {
+        return this.dividends.length > 0;
+    }
+
+    /**
+     * Ex-dividend price at a grid step. Cash dividends cannot take the price
+     * below zero.
+     * @param {number} price - Cum-dividend price
+     * @param {number} step - Grid step
+     * @returns {number} Price after the step's dividends
+     */
+    applyDividends(price, step) {
+        return Math.max(price * this.dividendFactors[step] - this.cashDividends[step], 0);
+    }
+
+    /**
+     * @param {number} t - Time in years
+     * @returns {number} Discount factor from the zero curve
+     */
+    discountFactor(t) {
+        return this.curve.discountFactor(t);
+    }
+
+    /**
+     * Forward price from the dividend yield and the zero curve. Discrete
+     * dividends are left out; the local-volatility model, which needs the
+     * forward, does not take them.
+     * @param {number} t - Delivery time in years
+     * @returns {number} Forward price
+     */
+    forwardPrice(t) {
+        return this.S0 * Math.exp(-this.q * t) / this.discountFactor(t);
+    }
+
+    /**
+     * Local volatility at the middle of every time step, on a grid of
+     * log-forward-moneyness wide enough for the paths
+     * @returns {{table: Float64Array, min: number, spacing: number, count: number}}
+     *     One row of nodes per step, row j - 1 for step j
+     */
+    tabulateLocalVolatility() {
+        const quotes = this.surface.quotes;
+        const maxVolatility = Math.max(...quotes.map(quote => quote.volatility));
+        const reach = Math.max(
+            LOCAL_VOL_WIDTH * maxVolatility * Math.sqrt(this.T),
+            ...quotes.map(quote => Math.abs(Math.log(quote.strike / this.forwardPrice(quote.maturity))))
+        );
+        const times = Array.from({ length: this.steps }, (_, j) => (j + 0.5) * this.dt);
+        const grid = { min: -reach, max: reach, count: LOCAL_VOL_NODES };
+
+        return {
+            table: this.surface.localVolatilityTable(times, grid),
+            min: -reach,
+            spacing: 2 * reach / (LOCAL_VOL_NODES - 1),
+            count: LOCAL_VOL_NODES
+        };
+    }
+
+    /**
+     * Constructor arguments for a parallel shift of the rates, used for rho
+     * @param {number} shift - Amount added to every zero rate
+     * @returns {object} Overrides for clone()
+     */
+    rateOverrides(shift) {
+        return this.rateCurve
+            ? { rateCurve: { ...this.rateCurve, rates: this.rateCurve.rates.map(rate => rate + shift) } }
+            : { riskFreeRate: this.r + shift };
+    }
+
+    /**
+     * Draws a uniform variate from the run's random stream
+     * @returns {number} Uniform variate in (0, 1)
+     */
+    random() {
+        return this.rng.next();
+    }
+
+    /**
+     * Builds a copy of this option with some constructor arguments replaced.
+     * The copy keeps the seed and stream, so unless `rng` is overridden it
+     * replays the same random numbers from the start of the stream.
+     * @param {object} overrides - Constructor arguments to change
+     * @returns {MonteCarloSimulation} Instance of the same subclass
+     */
+    clone(overrides = {}) {
+        return new this.constructor({
+            ...this.params,
+            seed: this.seed,
+            stream: this.stream,
+            substream: this.substream,
+            rng: null,
+            ...overrides
+        });
+    }
+
+    /**
+     * Creates an independent generator for a substream of this run's stream
+     * @param {number} index - Substream index
+     * @returns {Xoshiro128} Generator positioned at the substream
+     */
+    createSubstream(index) {
+        return createRandomStream(this.seed, this.stream, index);
+    }
+
+    /**
+     * Draws one time step's worth of standard normals.
+     * With stratified sampling the unit interval is split into equal strata and
+     * the strata are handed out to the paths in a fresh random order each step,
+     * so every path still receives an independent-looking sequence of shocks.
+     * @param {Float64Array} out - Buffer to fill, one entry per independent path
+     * @param {Int32Array} [order] - Scratch buffer for the stratum permutation
+     * @returns {Float64Array} The filled buffer
+     */
+    generateRandomNumbers(out, order = null) {
+        const count = out.length;
 
         if (this.useStratified) {
-            // Stratified sampling
-            for (let i = 0; i < effectiveSimulations; i++) {
-                const u = (i + Math.random()) / effectiveSimulations;
-                z[i] = this.normalInverse(u);
+            // Stratified sampling: stratum order[i] goes to path i
+            if (!order || order.length !== count) {
+                order = new Int32Array(count);
+            }
+            for (let i = 0; i < count; i++) {
+                order[i] = i;
+            }
+            for (let i = count - 1; i > 0; i--) {
+                const j = Math.floor(this.random() * (i + 1));
+                const tmp = order[i];
+                order[i] = order[j];
+                order[j] = tmp;
+            }
+            for (let i = 0; i < count; i++) {
+                out[i] = normalInverse((order[i] + this.random()) / count);
             }
         } else {
             // Standard random sampling
-            for (let i = 0; i < effectiveSimulations; i++) {
-                z[i] = this.normalInverse(Math.random());
+            for (let i = 0; i < count; i++) {
+                out[i] = normalInverse(this.random());
             }
         }
 
-        if (this.useAntithetic) {
-            // Double the array with antithetic variates
-            const antithetic = z.map(x => -x);
-            z = [...z, ...antithetic].slice(0, this.simulations);
+        return out;
+    }
+
+    /**
+     * Number of paths that receive their own draws. With antithetic variates
+     * the remaining paths are mirror images of these.
+     * @returns {number} Count of independently drawn paths
+     */
+    getIndependentPathCount() {
+        return this.useAntithetic ? Math.ceil(this.simulations / 2) : this.simulations;
+    }
+
+    /**
+     * Writes the standard normal shocks into columns offset..width-1 of every
+     * row of a buffer (by default columns 1..steps of the path buffer). Each
+     * normal is drawn exactly once; with antithetic variates path i + half
+     * receives the negated shocks of path i. Models driven by several
+     * Brownian motions interleave them, so column offset + step * factors + f
+     * holds factor f at that step.
+     * @param {Float64Array} buffer - Row-major buffer, one row per path
+     * @param {number} width - Row length
+     * @param {number} [offset=1] - First column to fill
+     * @param {number} [factors=1] - Brownian motions per time step
+     */
+    fillNormals(buffer, width, offset = 1, factors = 1) {
+        if (this.useQuasiRandom) {
+            this.fillQuasiRandomNormals(buffer, width, offset, factors);
+            return;
         }
 
-        return z;
+        const independent = this.getIndependentPathCount();
+        const mirrored = this.simulations - independent;
+        const z = new Float64Array(independent);
+        const order = this.useStratified ? new Int32Array(independent) : null;
+
+        for (let column = offset; column < width; column++) {
+            this.generateRandomNumbers(z, order);
+
+            for (let i = 0; i < independent; i++) {
+                buffer[i * width + column] = z[i];
+            }
+            for (let i = 0; i < mirrored; i++) {
+                buffer[(independent + i) * width + column] = -z[i];
+            }
+        }
     }
 
-    simulatePaths() {
-        const paths = new Array(this.simulations);
-        const drift = (this.r - 0.5 * this.sigma * this.sigma) * this.dt;
+    /**
+     * Quasi-Monte Carlo version of fillNormals(). Each replication uses its
+     * own randomized Sobol sequence with one dimension per shock; with the
+     * Brownian bridge the first dimensions set the paths' coarse shape.
+     * @param {Float64Array} buffer - Row-major buffer, one row per path
+     * @param {number} width - Row length
+     * @param {number} [offset=1] - First column to fill
+     * @param {number} [factors=1] - Brownian motions per time step
+     */
+    fillQuasiRandomNormals(buffer, width, offset = 1, factors = 1) {
+        const dimensions = width - offset;
+        const steps = dimensions / factors;
+        const perReplication = this.simulations / this.qmcReplications;
+        const bridge = this.useBrownianBridge && steps > 1 ? new BrownianBridge(steps) : null;
+        const point = new Float64Array(dimensions);
+
+        for (let rep = 0; rep < this.qmcReplications; rep++) {
+            const sobol = new SobolSequence(dimensions, { rng: this.rng, scramble: this.scramble });
+
+            for (let i = 0; i < perReplication; i++) {
+                const start = (rep * perReplication + i) * width + offset;
+                sobol.next(point);
+                for (let d = 0; d < dimensions; d++) {
+                    buffer[start + d] = normalInverse(point[d]);
+                }
+                if (bridge) {
+                    for (let f = 0; f < factors; f++) {
+                        bridge.transform(buffer, start + f, factors);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Turns the shocks stored in the path buffer into prices, in place.
+     * The drift follows the forward curve net of the dividend yield; discrete
+     * dividends are paid out at the end of their step. With jump diffusion
+     * each step adds a Poisson number of log-normal jumps, and the drift is
+     * compensated by lambda * k.
+     * @param {Float64Array} buffer - Row-major path buffer holding normals
+     * @param {number} width - Row length (steps + 1)
+     */
+    evolvePaths(buffer, width) {
+        const compensation = this.jumpDiffusion ? this.lambda * this.jumpCompensator : 0;
+        const drift = new Float64Array(width);
+        for (let step = 1; step < width; step++) {
+            drift[step] = this.stepRates[step] - (this.q + 0.5 * this.sigma * this.sigma + compensation) * this.dt;
+        }
         const diffusion = this.sigma * Math.sqrt(this.dt);
+        const dividends = this.hasDiscreteDividends();
 
         for (let sim = 0; sim < this.simulations; sim++) {
-            paths[sim] = new Array(this.steps + 1);
-            paths[sim][0] = this.S0;
+            const offset = sim * width;
+            let price = this.S0;
+            buffer[offset] = price;
 
-            for (let step = 0; step < this.steps; step++) {
-                const z = this.generateRandomNumbers()[0];
-                let movement = drift + diffusion * z;
+            for (let step = 1; step < width; step++) {
+                let movement = drift[step] + diffusion * buffer[offset + step];
 
                 if (this.jumpDiffusion) {
-                    const jumpOccurs = Math.random() < this.lambda * this.dt;
-                    if (jumpOccurs) {
-                        const jumpSize = this.muJ + this.sigmaJ * this.normalInverse(Math.random());
-                        movement += jumpSize;
+                    // The sum of n normal log jumps is N(n muJ, n sigmaJ^2)
+                    const jumps = this.poissonCount(this.lambda * this.dt);
+                    if (jumps > 0) {
+                        movement += jumps * this.muJ +
+                                    Math.sqrt(jumps) * this.sigmaJ * normalInverse(this.random());
                     }
                 }
 
-                paths[sim][step + 1] = paths[sim][step] * Math.exp(movement);
+                price *= Math.exp(movement);
+                if (dividends) {
+                    price = this.applyDividends(price, step);
+                }
+                buffer[offset + step] = price;
+            }
+        }
+    }
+
+    /**
+     * Evolves paths under Dupire local volatility, by log-Euler steps in
+     * log-forward-moneyness k = ln(S / F(t)): over each step
+     * dk = -sigma^2 / 2 dt + sigma dW, with sigma the local volatility at the
+     * step's start, interpolated linearly between the nodes of the table
+     * and held flat beyond them. The forward carries the drift, so the
+     * discounted price is a martingale on every step.
+     * @param {Float64Array} buffer - Row-major path buffer holding normals
+     * @param {number} width - Row length (steps + 1)
+     */
+    evolveLocalVolPaths(buffer, width) {
+        const { table, min, spacing, count } = this.localVolatility;
+        const logForward = Float64Array.from({ length: width }, (_, step) => Math.log(this.forwardPrice(step * this.dt)));
+        const rootDt = Math.sqrt(this.dt);
+
+        for (let sim = 0; sim < this.simulations; sim++) {
+            const offset = sim * width;
+            let k = 0;
+            buffer[offset] = this.S0;
+
+            for (let step = 1; step < width; step++) {
+                const x = Math.min(Math.max((k - min) / spacing, 0), count - 1);
+                const node = Math.min(Math.floor(x), count - 2);
+                const row = (step - 1) * count + node;
+                const sigma = table[row] + (x - node) * (table[row + 1] - table[row]);
+
+                k += sigma * (rootDt * buffer[offset + step] - 0.5 * sigma * this.dt);
+                buffer[offset + step] = Math.exp(logForward[step] + k);
+            }
+        }
+    }
+
+    /**
+     * Draws a Poisson variate by inversion, which is cheap for the small
+     * means of a single time step
+     * @param {number} mean - Expected count
+     * @returns {number} Number of events
+     */
+    poissonCount(mean) {
+        const u = this.random();
+        let probability = Math.exp(-mean);
+        let cumulative = probability;
+        let count = 0;
+
+        while (u > cumulative && probability > 0) {
+            count++;
+            probability *= mean / count;
+            cumulative += probability;
+        }
+
+        return count;
+    }
+
+    /**
+     * Heston paths by Andersen's (2008) Quadratic-Exponential scheme. The
+     * variance step matches the first two moments of the exact non-central
+     * chi-squared transition; the log price uses central (gamma = 1/2)
+     * integration of the variance plus the martingale correction, so the
+     * discounted price stays a martingale on the discrete grid.
+     * @param {Float64Array} buffer - Row-major path buffer to fill with prices
+     * @param {number} width - Row length (steps + 1)
+     * @param {Float64Array} normals - Two interleaved normals per step and path,
+     *     the first driving the variance and the second the price
+     */
+    evolveHestonPaths(buffer, width, normals) {
+        const { kappa, theta, xi, rho, v0 } = this.heston;
+        const dt = this.dt;
+        const steps = width - 1;
+        const decay = Math.exp(-kappa * dt);
+        const dividends = this.hasDiscreteDividends();
+        const xi2 = xi * xi;
+
+        // Log-price coefficients with gamma1 = gamma2 = 1/2
+        const K0 = -rho * kappa * theta * dt / xi;
+        const K1 = 0.5 * dt * (kappa * rho / xi - 0.5) - rho / xi;
+        const K2 = 0.5 * dt * (kappa * rho / xi - 0.5) + rho / xi;
+        const K3 = 0.5 * dt * (1 - rho * rho);
+        const K4 = K3;
+        const A = K2 + 0.5 * K4;
+
+        for (let sim = 0; sim < this.simulations; sim++) {
+            const offset = sim * width;
+            const normalOffset = sim * 2 * steps;
+            let logPrice = Math.log(this.S0);
+            let variance = v0;
+            buffer[offset] = this.S0;
+
+            for (let step = 1; step < width; step++) {
+                const zv = normals[normalOffset + 2 * (step - 1)];
+                const zx = normals[normalOffset + 2 * (step - 1) + 1];
+
+                // Conditional mean and variance of the next variance
+                const m = theta + (variance - theta) * decay;
+                const s2 = variance * xi2 * decay * (1 - decay) / kappa +
+                           theta * xi2 * (1 - decay) * (1 - decay) / (2 * kappa);
+                const psi = s2 / (m * m);
+
+                let nextVariance;
+                let moment; // E[exp(A * nextVariance)] for the martingale correction
+                if (psi <= QE_PSI_CRITICAL) {
+                    const invPsi = 2 / psi;
+                    const b2 = invPsi - 1 + Math.sqrt(invPsi) * Math.sqrt(invPsi - 1);
+                    const a = m / (1 + b2);
+                    const b = Math.sqrt(b2);
+                    nextVariance = a * (b + zv) * (b + zv);
+                    moment = A < 1 / (2 * a)
+                        ? Math.exp(A * b2 * a / (1 - 2 * A * a)) / Math.sqrt(1 - 2 * A * a)
+                        : NaN;
+                } else {
+                    const p = (psi - 1) / (psi + 1);
+                    const beta = (1 - p) / m;
+                    const u = normalCDF(zv);
+                    nextVariance = u <= p ? 0 : Math.log((1 - p) / (1 - u)) / beta;
+                    moment = A < beta ? p + beta * (1 - p) / (beta - A) : NaN;
+                }
+
+                // Fall back to the uncorrected drift where the moment does not exist
+                const k0 = moment > 0
+                    ? -Math.log(moment) - (K1 + 0.5 * K3) * variance
+                    : K0;
+
+                logPrice += this.stepRates[step] - this.q * dt + k0 + K1 * variance + K2 * nextVariance +
+                            Math.sqrt(K3 * variance + K4 * nextVariance) * zx;
+                variance = nextVariance;
+
+                let price = Math.exp(logPrice);
+                if (dividends) {
+                    price = this.applyDividends(price, step);
+                    logPrice = Math.log(price);
+                }
+                buffer[offset + step] = price;
+            }
+        }
+    }
+
+    /**
+     * Simulates all price paths into a single preallocated Float64Array.
+     * The returned paths are row views onto that buffer, so they index,
+     * iterate and reduce like ordinary arrays.
+     * @returns {Float64Array[]} One view of length steps + 1 per simulation
+     */
+    simulatePaths() {
+        const width = this.steps + 1;
+        const buffer = new Float64Array(this.simulations * width);
+
+        // Remember where these paths started in the stream so bumped copies
+        // can replay exactly the same draws (common random numbers)
+        this.pathRng = this.rng.clone();
+
+        if (this.model === 'heston') {
+            const normals = new Float64Array(this.simulations * 2 * this.steps);
+            this.fillNormals(normals, 2 * this.steps, 0, 2);
+            this.evolveHestonPaths(buffer, width, normals);
+        } else {
+            this.fillNormals(buffer, width);
+            if (this.model === 'local-vol') {
+                this.evolveLocalVolPaths(buffer, width);
+            } else {
+                this.evolvePaths(buffer, width);
             }
         }
 
+        const paths = new Array(this.simulations);
+        for (let sim = 0; sim < this.simulations; sim++) {
+            paths[sim] = buffer.subarray(sim * width, (sim + 1) * width);
+        }
+
         return paths;
     }
 
+    /**
+     * Collapses per-path values into independent samples for error estimation.
+     * Antithetic partners are averaged into a single sample, since the two
+     * halves of a pair are strongly (negatively) correlated. Under
+     * quasi-Monte Carlo only whole replications are independent, so each
+     * replication's mean is one sample.
+     * @param {number[]} values - One value per simulated path
+     * @returns {number[]} Independent samples
+     */
+    getIndependentSamples(values) {
+        if (values.length !== this.simulations) {
+            return values;
+        }
+
+        if (this.useQuasiRandom) {
+            const perReplication = values.length / this.qmcReplications;
+            const samples = new Array(this.qmcReplications).fill(0);
+            values.forEach((value, i) => {
+                samples[Math.floor(i / perReplication)] += value / perReplication;
+            });
+            return samples;
+        }
+
+        if (!this.useAntithetic) {
+            return values;
+        }
+
+        const independent = this.getIndependentPathCount();
+        const mirrored = values.length - independent;
+        const samples = new Array(independent);
+        for (let i = 0; i < independent; i++) {
+            samples[i] = i < mirrored
+                ? 0.5 * (values[i] + values[independent + i])
+                : values[i];
+        }
+        return samples;
+    }
+
     calculateConfidenceInterval(prices) {
         const mean = prices.reduce((a, b) => a + b) / prices.length;
-        const variance = prices.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (prices.length - 1);
-        const stderr = Math.sqrt(variance / prices.length);
-        const ci95 = 1.96 * stderr;
+        const samples = this.getIndependentSamples(prices);
+        const sampleMean = samples.reduce((a, b) => a + b) / samples.length;
+        const variance = samples.reduce((a, b) => a + Math.pow(b - sampleMean, 2), 0) / (samples.length - 1);
+        const stderr = Math.sqrt(variance / samples.length);
+        // With only a handful of replications the normal quantile is too narrow
+        const ci95 = (this.useQuasiRandom && samples.length < prices.length
+            ? studentT975(samples.length - 1)
+            : 1.96) * stderr;
 
         return {
             mean,
+            stderr,
             lower: mean - ci95,
-            upper: mean + ci95
+            upper: mean + ci95,
+            samples: samples.length
         };
     }
 
-    normalInverse(p) {
-        // Approximation of the inverse normal cumulative distribution
-        // Acklam's algorithm
-        const a1 = -39.6968302866538;
-        const a2 = 220.946098424521;
-        const a3 = -275.928510446969;
-        const a4 = 138.357751867269;
-        const a5 = -30.6647980661472;
-        const a6 = 2.50662827745924;
-
-        const b1 = -54.4760987982241;
-        const b2 = 161.585836858041;
-        const b3 = -155.698979859887;
-        const b4 = 66.8013118877197;
-        const b5 = -13.2806815528857;
-
-        const c1 = -7.78489400243029E-03;
-        const c2 = -0.322396458041136;
-        const c3 = -2.40075827716184;
-        const c4 = -2.54973253934373;
-        const c5 = 4.37466414146497;
-        const c6 = 2.93816398269878;
-
-        const d1 = 7.78469570904146E-03;
-        const d2 = 0.32246712907004;
-        const d3 = 2.445134137143;
-        const d4 = 3.75440866190742;
-
-        const p_low = 0.02425;
-        const p_high = 1 - p_low;
-
-        let q, r;
-
-        if (p < p_low) {
-            q = Math.sqrt(-2 * Math.log(p));
-            return (((((c1 * q + c2) * q + c3) * q + c4) * q + c5) * q + c6) /
-                   ((((d1 * q + d2) * q + d3) * q + d4) * q + 1);
-        } else if (p <= p_high) {
-            q = p - 0.5;
-            r = q * q;
-            return (((((a1 * r + a2) * r + a3) * r + a4) * r + a5) * r + a6) * q /
-                   (((((b1 * r + b2) * r + b3) * r + b4) * r + b5) * r + 1);
-        } else {
-            q = Math.sqrt(-2 * Math.log(1 - p));
-            return -(((((c1 * q + c2) * q + c3) * q + c4) * q + c5) * q + c6) /
-                    ((((d1 * q + d2) * q + d3) * q + d4) * q + 1);
+    /**
+     * Estimates the Greeks on common random numbers
+     * @param {number[][]} [paths] - Paths from the last simulatePaths() call
+     * @param {object} [options] - Estimator settings, see GreeksEngine
+     * @returns {object} Greeks with their standard errors
+     */
+    calculateGreeks(paths = null, options = {}) {
+        return new GreeksEngine(this, { method: this.greeksMethod, ...options }).calculate(paths);
+    }
+
+    /**
+     * Whether the payoff jumps as the path moves, e.g. a barrier indicator.
+     * Pathwise derivatives are biased for such payoffs.
+     * @returns {boolean} True for discontinuous payoffs
+     */
+    hasDiscontinuousPayoff() {
+        return false;
+    }
+
+    /**
+     * Whether the per-step shocks can be recovered from the simulated path,
+     * which the pathwise vega and likelihood-ratio estimators rely on
+     * @returns {boolean} True when paths are pure GBM
+     */
+    supportsPathDerivatives() {
+        return this.model === 'gbm' && !this.jumpDiffusion && !this.hasDiscreteDividends();
+    }
+
+    /**
+     * Constructor arguments that set the spot volatility, used for vega
+     * bumps. Under Heston the initial variance v0 is bumped; under local
+     * volatility every implied volatility quote moves in parallel.
+     * @param {number} sigma - New spot volatility
+     * @returns {object} Overrides for clone()
+     */
+    volatilityOverrides(sigma) {
+        if (this.model === 'local-vol') {
+            const shift = sigma - this.sigma;
+            return {
+                volatilitySurface: this.surface.quotes.map(quote => ({ ...quote, volatility: quote.volatility + shift }))
+            };
         }
+        return this.model === 'heston'
+            ? { heston: { ...this.heston, v0: sigma * sigma } }
+            : { volatility: sigma };
     }
 
-    calculateGreeks(paths) {
-        const h = 0.01; // Small increment for finite difference
-        
-        // Base price
-        const basePrice = this.calculatePrice(paths);
+    /**
+     * Closed-form price of a European vanilla under the simulated dynamics:
+     * Black-Scholes under GBM, the semi-analytic characteristic-function
+     * price under Heston, Merton's series under jump diffusion and
+     * Black-Scholes at the implied surface's volatility under local
+     * volatility, which the local-volatility paths reproduce
+     * @param {string} type - 'call' or 'put'
+     * @returns {{method: string, price: number}|null} Price, or null with
+     *     cash dividends, which have no closed form
+     */
+    europeanClosedForm(type) {
+        if (this.cashDividends.some(amount => amount > 0)) {
+            return null;
+        }
 
-        // Delta: ∂V/∂S
-        const spotUp = new MonteCarloSimulation({
-            ...this,
-            spot: this.S0 * (1 + h)
-        });
-        const spotDown = new MonteCarloSimulation({
-            ...this,
-            spot: this.S0 * (1 - h)
-        });
-        const delta = (spotUp.calculatePrice(spotUp.simulatePaths()) - 
-                      spotDown.calculatePrice(spotDown.simulatePaths())) / (2 * h * this.S0);
-
-        // Gamma: ∂²V/∂S²
-        const gamma = (spotUp.calculatePrice(spotUp.simulatePaths()) - 
-                      2 * basePrice +
-                      spotDown.calculatePrice(spotDown.simulatePaths())) / (h * h * this.S0 * this.S0);
-
-        // Theta: -∂V/∂t
-        const thetaSim = new MonteCarloSimulation({
-            ...this,
-            maturity: this.T * (1 - h)
-        });
-        const theta = -(thetaSim.calculatePrice(thetaSim.simulatePaths()) - basePrice) / (h * this.T);
+        // Yield and proportional dividends only scale the forward, so the
+        // closed forms apply to the prepaid forward as the spot
+        const prepaidForward = this.S0 * Math.exp(-this.q * this.T) *
+            this.dividendFactors.reduce((product, factor) => product * factor, 1);
+        const contract = {
+            spot: prepaidForward,
+            strike: this.K,
+            riskFreeRate: this.r,
+            maturity: this.T,
+            type
+        };
 
-        // Vega: ∂V/∂σ
-        const vegaSim = new MonteCarloSimulation({
-            ...this,
-            volatility: this.sigma * (1 + h)
-        });
-        const vega = (vegaSim.calculatePrice(vegaSim.simulatePaths()) - basePrice) / (h * this.sigma);
+        if (this.model === 'heston') {
+            return { method: 'Heston', price: hestonPrice({ ...contract, ...this.heston }) };
+        }
+        if (this.model === 'local-vol') {
+            return {
+                method: 'Implied surface',
+                price: blackScholesPrice({ ...contract, rate: this.r, volatility: this.sigma })
+            };
+        }
+        if (this.jumpDiffusion) {
+            return {
+                method: 'Merton',
+                price: mertonPrice({
+                    ...contract,
+                    volatility: this.sigma,
+                    jumpIntensity: this.lambda,
+                    jumpMean: this.muJ,
+                    jumpVolatility: this.sigmaJ
+                })
+            };
+        }
+        return {
+            method: 'Black-Scholes',
+            price: blackScholesPrice({ ...contract, rate: this.r, volatility: this.sigma })
+        };
+    }
 
-        // Rho: ∂V/∂r
-        const rhoSim = new MonteCarloSimulation({
-            ...this,
-            riskFreeRate: this.r * (1 + h)
-        });
-        const rho = (rhoSim.calculatePrice(rhoSim.simulatePaths()) - basePrice) / (h * this.r);
-
-        return { delta, gamma, theta, vega, rho };
-    }
-
-    calculateRiskMetrics(paths) {
-        const prices = paths.map(path => path[path.length - 1]);
-        const returns = prices.map(price => Math.log(price / this.S0));
-        
-        // Calculate Value at Risk (VaR)
-        const sortedReturns = [...returns].sort((a, b) => a - b);
-        const var95 = -sortedReturns[Math.floor(0.05 * returns.length)];
-        
-        // Calculate mean return and standard deviation
-        const meanReturn = returns.reduce((a, b) => a + b) / returns.length;
-        const stdDev = Math.sqrt(
-            returns.reduce((a, b) => a + Math.pow(b - meanReturn, 2), 0) / (returns.length - 1)
-        );
-        
-        // Calculate Sharpe Ratio (assuming risk-free rate as benchmark)
-        const sharpeRatio = (meanReturn - this.r) / stdDev;
-        
-        // Calculate Sortino Ratio (using only negative returns)
-        const negativeReturns = returns.filter(r => r < 0);
-        const downstdDev = Math.sqrt(
-            negativeReturns.reduce((a, b) => a + Math.pow(b, 2), 0) / negativeReturns.length
+    /**
+     * Whether the dynamics are those of the textbook exotic closed forms:
+     * GBM with a flat rate, a continuous dividend yield and no discrete
+     * dividends
+     * @returns {boolean} True when exotic closed forms apply
+     */
+    hasConstantCoefficients() {
+        return this.model === 'gbm' && !this.jumpDiffusion && !this.hasDiscreteDividends() && !this.rateCurve;
+    }
+
+    /**
+     * Closed-form price of this contract, where one exists. The payoff here
+     * is a European vanilla; subclasses override this for their own payoffs.
+     * @returns {{method: string, price: number}|null} Price and the formula used
+     */
+    closedForm() {
+        return this.europeanClosedForm(this.type);
+    }
+
+    /**
+     * Closed-form value and delta at a later date on a path, used to hedge
+     * along it. None by default; products whose value depends only on the
+     * current spot override this.
+     * @param {number} spot - Spot price at time t
+     * @param {number} t - Time in years, before maturity
+     * @returns {{price: number, delta: number}|null} Value and delta
+     */
+    closedFormAt(spot, t) {
+        return null;
+    }
+
+    /**
+     * State a path-dependent payoff has accumulated by a grid step, such as
+     * a running average or extremum, scaled by the initial spot. Hedging
+     * regressions condition on it; a vanilla has none.
+     * @param {number[]} path - Simulated price path
+     * @param {number} step - Grid step
+     * @returns {number[]} State variables
+     */
+    pathState(path, step) {
+        return [];
+    }
+
+    /**
+     * Checks a Monte Carlo price against the contract's closed form
+     * @param {object} result - Result of calculatePrice()
+     * @returns {object|null} See compareWithAnalytical(), plus the formula
+     *     used, or null without a closed form
+     */
+    validateClosedForm(result) {
+        const closedForm = this.closedForm();
+        if (!closedForm) {
+            return null;
+        }
+        return {
+            method: closedForm.method,
+            ...compareWithAnalytical({ mean: result.price, stderr: result.confidence.stderr }, closedForm.price)
+        };
+    }
+
+    /**
+     * Validates the simulated dynamics: a European call priced on the paths
+     * against the model's own closed form, the semi-analytic
+     * characteristic-function price under Heston, Merton's series under
+     * jump diffusion or the implied surface under local volatility
+     * @param {number[][]} paths - Paths from simulatePaths()
+     * @returns {object|null} Both prices, the standard error and their
+     *     difference in standard errors, or null for plain GBM and for
+     *     cash dividends, which have no closed form
+     */
+    calculateEuropeanBenchmark(paths) {
+        if (this.model === 'gbm' && !this.jumpDiffusion) {
+            return null;
+        }
+        const closedForm = this.europeanClosedForm('call');
+        if (!closedForm) {
+            return null;
+        }
+
+        const discount = this.discountFactor(this.T);
+        const payoffs = paths.map(path => Math.max(path[path.length - 1] - this.K, 0) * discount);
+        const ci = this.calculateConfidenceInterval(payoffs);
+
+        return {
+            model: closedForm.method,
+            samples: ci.samples,
+            ...compareWithAnalytical(ci, closedForm.price)
+        };
+    }
+
+    /**
+     * Checks local-volatility paths against the implied surface they were
+     * built from. Every quote up to the option's maturity is priced on the
+     * paths at the nearest grid date, as a put below the forward and a call
+     * above it, and compared with Black-Scholes at the fitted surface's
+     * volatility for that date. Quotes fewer than MIN_REPRICING_STEPS steps
+     * out are compared but not checked, as their time-discretisation bias
+     * can exceed the tolerance.
+     * @param {number[][]} paths - Paths from simulatePaths()
+     * @returns {object[]|null} Per quote, the quoted and fitted volatility,
+     *     the date, step and forward it was priced at, whether it is checked,
+     *     and the comparison of compareWithAnalytical() with passed null for
+     *     unchecked quotes; null unless the model is local volatility
+     */
+    calculateSurfaceRepricing(paths) {
+        if (this.model !== 'local-vol') {
+            return null;
+        }
+
+        return this.surface.quotes
+            .filter(quote => quote.maturity <= this.T + 0.5 * this.dt)
+            .map(({ maturity, strike, volatility }) => {
+                const step = Math.min(Math.max(Math.round(maturity / this.dt), 1), this.steps);
+                const time = step * this.dt;
+                const forward = this.forwardPrice(time);
+                const discount = this.discountFactor(time);
+                const type = strike < forward ? 'put' : 'call';
+                const surfaceVolatility = this.surface.volatility(strike, time);
+                const payoffs = paths.map(path => discount *
+                    Math.max(type === 'call' ? path[step] - strike : strike - path[step], 0));
+                const analytical = blackScholesPrice({
+                    spot: forward * discount,
+                    strike,
+                    rate: -Math.log(discount) / time,
+                    maturity: time,
+                    volatility: surfaceVolatility,
+                    type
+                });
+                const ci = this.calculateConfidenceInterval(payoffs);
+                const checked = step >= MIN_REPRICING_STEPS;
+                const comparison = compareWithAnalytical(ci, analytical);
+
+                return {
+                    maturity,
+                    strike,
+                    volatility,
+                    surfaceVolatility,
+                    time,
+                    step,
+                    forward,
+                    discount,
+                    type,
+                    checked,
+                    samples: ci.samples,
+                    ...comparison,
+                    passed: checked ? comparison.passed : null
+                };
+            });
+    }
+
+    /**
+     * Control variates for this payoff: path functionals with a known
+     * discounted expectation. By default the European vanilla of the same
+     * type and strike, priced in closed form under the simulated dynamics,
+     * which moves with most single-asset payoffs.
+     * @returns {{name: string, payoff: Function, price: number}[]} Controls,
+     *     each with its undiscounted payoff per path and its price
+     */
+    controlVariates() {
+        const closedForm = this.europeanClosedForm(this.type);
+        if (!closedForm) {
+            return [];
+        }
+        return [{
+            name: `European ${this.type} (${closedForm.method})`,
+            payoff: path => this.vanillaPayoff(path, this.type),
+            price: closedForm.price
+        }];
+    }
+
+    /**
+     * Reduces the variance of a price estimate with this payoff's control
+     * variates, simulated on the same paths. The coefficients are fitted on
+     * the independent samples, so antithetic pairs and QMC replications are
+     * treated as in the confidence interval. The result keeps the raw
+     * discounted payoffs, which are the position's cash flows for risk.
+     * @param {object} result - Result of calculatePrice(), with its paths
+     * @returns {object} Result with the controlled price and confidence
+     *     interval, plus { controls, rawConfidence, varianceReduction }
+     *     under controlVariate; unchanged if no control applies
+     */
+    applyControlVariates(result) {
+        const controls = this.controlVariates();
+        if (controls.length === 0) {
+            return result;
+        }
+
+        const discount = this.discountFactor(this.T);
+        const values = controls.map(control => result.paths.map(path => control.payoff(path) * discount));
+        const beta = optimalBeta(
+            this.getIndependentSamples(result.payoffs),
+            values.map(controlValues => this.getIndependentSamples(controlValues))
         );
-        const sortinoRatio = (meanReturn - this.r) / downstdDev;
-        
+        const controlled = applyControls(result.payoffs, values, controls.map(control => control.price), beta);
+        const confidence = this.calculateConfidenceInterval(controlled);
+
+        return {
+            ...result,
+            price: confidence.mean,
+            confidence,
+            controlVariate: {
+                controls: controls.map((control, k) => ({ name: control.name, price: control.price, beta: beta[k] })),
+                rawConfidence: result.confidence,
+                varianceReduction: Math.pow(result.confidence.stderr / confidence.stderr, 2)
+            }
+        };
+    }
+
+    /**
+     * Risk of a long position in the option bought at `premium`: VaR and
+     * Expected Shortfall of its P&L (discounted payoff less premium) at each
+     * confidence level with bootstrap bands, the probability of profit and
+     * payoff percentiles. Given the option's delta, the same measures are
+     * reported for the position hedged at inception by shorting delta units
+     * of the underlying. The bootstrap draws from its own substream, so the
+     * bands are reproducible with the seed.
+     * @param {number[][]} paths - Paths from simulatePaths()
+     * @param {object} [options]
+     * @param {number[]} [options.payoffs] - Discounted payoffs, by default from calculatePrice(paths)
+     * @param {number} [options.premium] - Price paid, by default the mean discounted payoff
+     * @param {number|number[]} [options.delta] - Hedge ratio, one per underlying asset
+     * @param {number[]} [options.levels=[0.95, 0.99]] - Confidence levels
+     * @param {number} [options.resamples=500] - Bootstrap resamples
+     * @returns {object} Position and hedged P&L risk plus the underlying's return metrics
+     */
+    calculateRiskMetrics(paths, {
+        payoffs = null,
+        premium = null,
+        delta = null,
+        levels = [0.95, 0.99],
+        resamples = 500
+    } = {}) {
+        if (!payoffs) {
+            payoffs = this.calculatePrice(paths).payoffs;
+        }
+        if (premium === null) {
+            premium = payoffs.reduce((a, b) => a + b) / payoffs.length;
+        }
+
+        const rng = this.createSubstream(2);
         return {
-            var95,
-            sharpeRatio,
-            sortinoRatio
+            ...this.calculateUnderlyingMetrics(paths),
+            ...positionRisk({
+                payoffs,
+                premium,
+                gains: delta === null ? null : paths.map(path => this.underlyingGains(path)),
+                delta,
+                levels,
+                random: () => rng.next(),
+                resamples
+            })
         };
     }
 
+    /**
+     * Present value of the gain from holding one unit of the underlying over
+     * the option's life, with the dividend yield reinvested and discrete
+     * dividends received in cash. Its expectation is zero under the pricing
+     * measure, which makes it the hedge instrument for delta-hedged P&L.
+     * @param {number[]} path - Simulated price path
+     * @returns {number[]} Gain per underlying asset
+     */
+    underlyingGains(path) {
+        const growth = t => this.discountFactor(t) * Math.exp(this.q * t);
+        let gain = growth(this.T) * path[this.steps] - this.S0;
+
+        this.dividends.forEach(({ step, amount, type }) => {
+            // Paths hold ex-dividend prices
+            const paid = type === 'cash'
+                ? (path[step] > 0 ? amount : 0)
+                : path[step] * amount / (1 - amount);
+            gain += growth(step * this.dt) * paid;
+        });
+
+        return [gain];
+    }
+
+    /**
+     * Log return of the underlying to maturity on each path
+     * @param {number[][]} paths - Simulated price paths
+     * @returns {number[]} One return per path
+     */
+    terminalReturns(paths) {
+        return paths.map(path => Math.log(path[path.length - 1] / this.S0));
+    }
+
+    /**
+     * VaR, Sharpe and Sortino ratios of the underlying's log return to maturity
+     * @param {number[][]} paths - Simulated price paths
+     * @returns {object} Return-based metrics
+     */
+    calculateUnderlyingMetrics(paths) {
+        return returnMetrics(this.terminalReturns(paths), this.r);
+    }
+
+    /**
+     * European vanilla payoff at this option's strike
+     * @param {number[]} path - Simulated price path
+     * @param {string} type - 'call' or 'put'
+     * @returns {number} Payoff at maturity
+     */
+    vanillaPayoff(path, type) {
+        const finalPrice = path[path.length - 1];
+        return type === 'call'
+            ? Math.max(finalPrice - this.K, 0)
+            : Math.max(this.K - finalPrice, 0);
+    }
+
+    /**
+     * Undiscounted payoff of a single path; subclasses override this
+     * @param {number[]} path - Simulated price path
+     * @returns {number} Payoff at maturity
+     */
+    payoff(path) {
+        return this.vanillaPayoff(path, this.type);
+    }
+
     calculatePrice(paths = null) {
         if (!paths) {
             paths = this.simulatePaths();
         }
 
-        const payoffs = paths.map(path => {
-            const finalPrice = path[path.length - 1];
-            return this.type === 'call' 
-                ? Math.max(finalPrice - this.K, 0)
-                : Math.max(this.K - finalPrice, 0);
-        });
-
         // Calculate present value
-        const price = payoffs.reduce((a, b) => a + b) / payoffs.length * Math.exp(-this.r * this.T);
-        const ci = this.calculateConfidenceInterval(payoffs.map(p => p * Math.exp(-this.r * this.T)));
+        const discount = this.discountFactor(this.T);
+        const payoffs = paths.map(path => this.payoff(path) * discount);
+        const price = payoffs.reduce((a, b) => a + b) / payoffs.length;
+        const ci = this.calculateConfidenceInterval(payoffs);
 
         return {
             price,
             confidence: ci,
             paths,
-            payoffs: payoffs.map(p => p * Math.exp(-this.r * this.T))
+            payoffs
         };
     }
-} 
\ No newline at end of file
+}
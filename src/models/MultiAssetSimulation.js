@@ -0,0 +1,288 @@
+import { MonteCarloSimulation } from './MonteCarloSimulation.js';
+import { GreeksEngine } from './GreeksEngine.js';
+import { cholesky, isValidCorrelationMatrix } from '../utils/matrixOperations.js';
+import { normalCDF } from '../utils/analytics.js';
+
+/**
+ * Correlated multi-asset GBM with basket, rainbow and spread payoffs.
+ *
+ * Each simulated path is an array with one price path per asset, so the
+ * inherited calculatePrice() works unchanged on payoff(path).
+ */
+export class MultiAssetSimulation extends MonteCarloSimulation {
+    constructor(params) {
+        const spots = params.spots || [params.spot];
+        super({ ...params, spot: spots[0], volatility: (params.volatilities || [params.volatility])[0] });
+
+        this.spots = spots;
+        this.assetCount = spots.length;
+        this.volatilities = params.volatilities || Array(this.assetCount).fill(params.volatility);
+        // Assets without a yield of their own pay the scalar dividendYield
+        this.dividendYields = params.dividendYields || Array(this.assetCount).fill(params.dividendYield || 0);
+        this.weights = params.weights || Array(this.assetCount).fill(1 / this.assetCount);
+        this.correlation = params.correlation || this.identity(this.assetCount);
+        this.payoffType = params.payoffType || 'basket'; // 'basket', 'best-of', 'worst-of' or 'spread'
+
+        if (this.volatilities.length !== this.assetCount || this.dividendYields.length !== this.assetCount ||
+            this.weights.length !== this.assetCount) {
+            throw new Error('Every asset needs a spot, volatility, dividend yield and weight');
+        }
+        if (this.correlation.length !== this.assetCount || !isValidCorrelationMatrix(this.correlation)) {
+            throw new Error('Correlation matrix must be symmetric, positive definite and have a unit diagonal');
+        }
+        if (this.model !== 'gbm') {
+            throw new Error('Multi-asset options support GBM dynamics only');
+        }
+        if (this.hasDiscreteDividends()) {
+            throw new Error('Multi-asset options take per-asset dividend yields only');
+        }
+        if (this.payoffType === 'spread' && this.assetCount !== 2) {
+            throw new Error('Spread options need exactly two assets');
+        }
+        if (this.jumpDiffusion) {
+            throw new Error('Multi-asset options do not support jump diffusion');
+        }
+
+        this.L = cholesky(this.correlation);
+    }
+
+    identity(n) {
+        return Array(n).fill().map((_, i) => Array(n).fill().map((_, j) => (i === j ? 1 : 0)));
+    }
+
+    /**
+     * Simulates every asset into one Float64Array. The shocks are drawn per
+     * step as independent normals and correlated with the Cholesky factor.
+     * @returns {Float64Array[][]} paths[sim][asset] is a view of steps + 1 prices
+     */
+    simulatePaths() {
+        const n = this.assetCount;
+        const steps = this.steps;
+        const width = steps + 1;
+        const buffer = new Float64Array(this.simulations * n * width);
+        const normals = new Float64Array(this.simulations * n * steps);
+
+        this.pathRng = this.rng.clone();
+        this.fillNormals(normals, n * steps, 0, n);
+
+        const drifts = this.volatilities.map((sigma, a) => Float64Array.from(this.stepRates, rate =>
+            rate - (this.dividendYields[a] + 0.5 * sigma * sigma) * this.dt));
+        const diffusions = this.volatilities.map(sigma => sigma * Math.sqrt(this.dt));
+        const correlated = new Float64Array(n);
+        const paths = new Array(this.simulations);
+
+        for (let sim = 0; sim < this.simulations; sim++) {
+            const rowOffset = sim * n * width;
+            const normalOffset = sim * n * steps;
+
+            for (let a = 0; a < n; a++) {
+                buffer[rowOffset + a * width] = this.spots[a];
+            }
+
+            for (let step = 1; step < width; step++) {
+                const z = normalOffset + (step - 1) * n;
+                for (let a = 0; a < n; a++) {
+                    let sum = 0;
+                    for (let b = 0; b <= a; b++) {
+                        sum += this.L[a][b] * normals[z + b];
+                    }
+                    correlated[a] = sum;
+                }
+                for (let a = 0; a < n; a++) {
+                    const index = rowOffset + a * width + step;
+                    buffer[index] = buffer[index - 1] * Math.exp(drifts[a][step] + diffusions[a] * correlated[a]);
+                }
+            }
+
+            paths[sim] = Array.from({ length: n }, (_, a) =>
+                buffer.subarray(rowOffset + a * width, rowOffset + (a + 1) * width));
+        }
+
+        return paths;
+    }
+
+    payoff(path) {
+        const last = path[0].length - 1;
+        const terminal = path.map(assetPath => assetPath[last]);
+        let underlying;
+
+        switch (this.payoffType) {
+            case 'basket':
+                underlying = terminal.reduce((sum, price, a) => sum + this.weights[a] * price, 0);
+                break;
+            case 'best-of':
+                underlying = Math.max(...terminal);
+                break;
+            case 'worst-of':
+                underlying = Math.min(...terminal);
+                break;
+            case 'spread':
+                underlying = terminal[0] - terminal[1];
+                break;
+            default:
+                throw new Error(`Invalid multi-asset payoff: ${this.payoffType}`);
+        }
+
+        return this.type === 'call'
+            ? Math.max(underlying - this.K, 0)
+            : Math.max(this.K - underlying, 0);
+    }
+
+    supportsPathDerivatives() {
+        return false;
+    }
+
+    hasDiscontinuousPayoff() {
+        return false;
+    }
+
+    /**
+     * Greeks per asset by central bumps on common random numbers. Delta,
+     * gamma and vega are arrays with one entry per asset.
+     * @param {Float64Array[][]} [paths] - Paths from simulatePaths()
+     * @returns {object} Greeks with their standard errors
+     */
+    calculateGreeks(paths = null) {
+        if (!paths || !this.pathRng) {
+            paths = this.simulatePaths();
+        }
+
+        const h = 0.01;
+        const engine = new GreeksEngine(this, { method: 'finite-difference', bump: h });
+        const base = this.calculatePrice(paths).payoffs;
+        const bumpAsset = (values, a, factor) => values.map((v, i) => (i === a ? v * factor : v));
+
+        const delta = [];
+        const gamma = [];
+        const vega = [];
+        for (let a = 0; a < this.assetCount; a++) {
+            const dS = h * this.spots[a];
+            const up = engine.revalue({ spots: bumpAsset(this.spots, a, 1 + h) });
+            const down = engine.revalue({ spots: bumpAsset(this.spots, a, 1 - h) });
+            delta.push(engine.summarize(up.map((u, i) => (u - down[i]) / (2 * dS))));
+            gamma.push(engine.summarize(base.map((b, i) => (up[i] - 2 * b + down[i]) / (dS * dS))));
+
+            const dSigma = h * this.volatilities[a];
+            const volUp = engine.revalue({ volatilities: bumpAsset(this.volatilities, a, 1 + h) });
+            const volDown = engine.revalue({ volatilities: bumpAsset(this.volatilities, a, 1 - h) });
+            vega.push(engine.summarize(volUp.map((u, i) => (u - volDown[i]) / (2 * dSigma))));
+        }
+
+        const theta = engine.summarize(engine.finiteDifferenceTheta(base));
+        const rateUp = engine.revalue(this.rateOverrides(1e-4));
+        const rateDown = engine.revalue(this.rateOverrides(-1e-4));
+        const rho = engine.summarize(rateUp.map((u, i) => (u - rateDown[i]) / 2e-4));
+
+        return {
+            delta: delta.map(g => g.value),
+            gamma: gamma.map(g => g.value),
+            theta: theta.value,
+            vega: vega.map(g => g.value),
+            rho: rho.value,
+            standardErrors: {
+                delta: delta.map(g => g.stderr),
+                gamma: gamma.map(g => g.stderr),
+                theta: theta.stderr,
+                vega: vega.map(g => g.stderr),
+                rho: rho.stderr
+            },
+            methods: {
+                delta: 'finite-difference',
+                gamma: 'finite-difference',
+                theta: 'finite-difference',
+                vega: 'finite-difference',
+                rho: 'finite-difference'
+            }
+        };
+    }
+
+    /**
+     * Discounted gain of holding each asset, with its dividend yield reinvested
+     * @param {Float64Array[]} path - One price path per asset
+     * @returns {number[]} Gain per asset
+     */
+    underlyingGains(path) {
+        const discount = this.discountFactor(this.T);
+        return path.map((assetPath, a) =>
+            discount * Math.exp(this.dividendYields[a] * this.T) * assetPath[this.steps] - this.spots[a]);
+    }
+
+    /**
+     * Log return to maturity of the weighted basket of the underlyings
+     * @param {Float64Array[][]} paths - Simulated paths
+     * @returns {number[]} One return per scenario
+     */
+    terminalReturns(paths) {
+        const initial = this.spots.reduce((sum, spot, a) => sum + this.weights[a] * spot, 0);
+        return paths.map(path => {
+            const last = path[0].length - 1;
+            const terminal = path.reduce((sum, assetPath, a) => sum + this.weights[a] * assetPath[last], 0);
+            return Math.log(terminal / initial);
+        });
+    }
+
+    /**
+     * Closed-form check for two-asset spread options: Margrabe's exchange
+     * option formula when the strike is zero, Kirk's approximation otherwise
+     * @returns {number} Spread option price
+     */
+    calculateAnalyticalPrice() {
+        if (this.payoffType !== 'spread') {
+            throw new Error('Closed form only available for two-asset spread options');
+        }
+
+        const [s1, s2] = this.spots;
+        const [sigma1, sigma2] = this.volatilities;
+        const [q1, q2] = this.dividendYields;
+        const rho = this.correlation[0][1];
+        const T = this.T;
+        const discount = Math.exp(-this.r * T);
+        const F1 = s1 * Math.exp((this.r - q1) * T);
+        const F2 = s2 * Math.exp((this.r - q2) * T);
+
+        // Margrabe is Kirk with K = 0, where the effective volatility is exact
+        const weight = F2 / (F2 + this.K);
+        const sigma = Math.sqrt(sigma1 * sigma1 - 2 * rho * sigma1 * sigma2 * weight +
+                                sigma2 * sigma2 * weight * weight);
+        const d1 = (Math.log(F1 / (F2 + this.K)) + 0.5 * sigma * sigma * T) / (sigma * Math.sqrt(T));
+        const d2 = d1 - sigma * Math.sqrt(T);
+        const call = discount * (F1 * normalCDF(d1) - (F2 + this.K) * normalCDF(d2));
+
+        return this.type === 'call'
+            ? call
+            : call - discount * (F1 - F2 - this.K);
+    }
+
+    /**
+     * Margrabe / Kirk price for two-asset spreads; other payoffs have no closed form
+     * @returns {{method: string, price: number}|null} Closed form, if any
+     */
+    closedForm() {
+        if (this.payoffType !== 'spread') {
+            return null;
+        }
+        return { method: this.K === 0 ? 'Margrabe' : 'Kirk', price: this.calculateAnalyticalPrice() };
+    }
+
+    /**
+     * The single-asset call benchmark reads path[steps] as a price, which a
+     * multi-asset path (one price array per asset) does not have
+     * @returns {null} Always
+     */
+    calculateEuropeanBenchmark() {
+        return null;
+    }
+
+    /**
+     * Each asset's terminal price as a control: its discounted expectation
+     * is the prepaid forward S0 e^{-qT}, whatever the payoff
+     * @returns {{name: string, payoff: Function, price: number}[]} One control per asset
+     */
+    controlVariates() {
+        return this.spots.map((spot, asset) => ({
+            name: `Asset ${asset + 1} forward`,
+            payoff: path => path[asset][path[asset].length - 1],
+            price: spot * Math.exp(-this.dividendYields[asset] * this.T)
+        }));
+    }
+}
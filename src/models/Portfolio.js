@@ -0,0 +1,230 @@
+import { createOption } from './productFactory.js';
+import { createSeed } from '../utils/random.js';
+import { positionRisk } from '../utils/riskMetrics.js';
+
+// Single-asset products that can be held in a portfolio
+export const PORTFOLIO_PRODUCTS = ['european', 'asian', 'barrier', 'lookback'];
+
+// Market data and simulation settings every position shares with the portfolio
+const SHARED_PARAMS = [
+    'spot', 'volatility', 'riskFreeRate', 'dividendYield', 'dividends', 'rateCurve', 'maturity',
+    'steps', 'simulations', 'useAntithetic', 'useStratified', 'useQuasiRandom', 'scramble',
+    'useBrownianBridge', 'qmcReplications', 'jumpDiffusion', 'jumpIntensity', 'jumpMean',
+    'jumpVolatility', 'model', 'heston', 'volatilitySurface', 'seed', 'stream', 'substream'
+];
+
+const GREEKS = ['delta', 'gamma', 'theta', 'vega', 'rho'];
+
+/**
+ * Preset strategies in European options, as [type, quantity, strike / spot]
+ * legs. The collar holds only its option legs, the protective put and the
+ * covered call written around a stock holding.
+ */
+export const STRATEGIES = {
+    'straddle': { name: 'Long Straddle', legs: [['call', 1, 1], ['put', 1, 1]] },
+    'strangle': { name: 'Long Strangle', legs: [['put', 1, 0.9], ['call', 1, 1.1]] },
+    'bull-call-spread': { name: 'Bull Call Spread', legs: [['call', 1, 1], ['call', -1, 1.1]] },
+    'bear-put-spread': { name: 'Bear Put Spread', legs: [['put', 1, 1], ['put', -1, 0.9]] },
+    'butterfly': { name: 'Call Butterfly', legs: [['call', 1, 0.9], ['call', -2, 1], ['call', 1, 1.1]] },
+    'collar': { name: 'Collar (option legs)', legs: [['put', 1, 0.9], ['call', -1, 1.1]] },
+    'risk-reversal': { name: 'Risk Reversal', legs: [['put', -1, 0.9], ['call', 1, 1.1]] }
+};
+
+/**
+ * Positions of a preset strategy around the spot
+ * @param {string} strategy - Key of STRATEGIES
+ * @param {number} spot - Spot price the strikes are set from
+ * @returns {object[]} Positions, strikes rounded to cents
+ */
+export function strategyPositions(strategy, spot) {
+    const preset = STRATEGIES[strategy];
+    if (!preset) {
+        throw new Error(`Unknown strategy: ${strategy}`);
+    }
+    return preset.legs.map(([type, quantity, moneyness]) => ({
+        optionType: `european-${type}`,
+        quantity,
+        strike: Math.round(spot * moneyness * 100) / 100
+    }));
+}
+
+/**
+ * Signed positions in options on one underlying, priced on one shared set
+ * of paths.
+ *
+ * Each position is `{ optionType, quantity, ...terms }`: a product name as
+ * for createOption(), a quantity that is negative for short positions, and
+ * its own contract terms (strike, barrier, averaging, ...). The market data,
+ * maturity and simulation settings belong to the portfolio. Every position
+ * is simulated with the same seed, so all of them see the same scenarios:
+ * the portfolio's P&L on a path is the sum of its positions' P&L, and its
+ * risk measures net the positions against each other.
+ */
+export class Portfolio {
+    /**
+     * @param {object} params - Shared pricing parameters plus `positions`
+     */
+    constructor({ positions, ...params }) {
+        if (!positions || positions.length === 0) {
+            throw new Error('Portfolio has no positions');
+        }
+
+        const seed = params.seed === null || params.seed === undefined ? createSeed() : params.seed;
+        // Control variates would leave the positions' prices out of line
+        // with the per-path payoffs the portfolio adds up
+        this.params = { ...params, seed, useControlVariate: false };
+        this.riskLevels = params.riskLevels || [0.95, 0.99];
+
+        this.positions = positions.map((position, index) => {
+            const { optionType, quantity, label, ...terms } = position;
+            const product = (optionType || '').split('-')[0];
+            if (!PORTFOLIO_PRODUCTS.includes(product)) {
+                throw new Error(`Position ${index + 1}: ${optionType} cannot be held in a portfolio`);
+            }
+            if (!isFinite(quantity) || quantity === 0) {
+                throw new Error(`Position ${index + 1}: quantity must be a non-zero number`);
+            }
+            const shared = SHARED_PARAMS.find(key => key in terms);
+            if (shared) {
+                throw new Error(`Position ${index + 1} sets ${shared}, which all positions share`);
+            }
+
+            return {
+                label: label || `${quantity > 0 ? 'Long' : 'Short'} ${Math.abs(quantity)} ${optionType}`,
+                optionType,
+                quantity,
+                option: createOption({ ...this.params, ...terms, optionType })
+            };
+        });
+    }
+
+    /**
+     * Prices one position on the shared paths, per unit
+     * @param {object} position - Entry of this.positions
+     * @param {number[][]} paths - Shared paths
+     * @returns {object} Price with its continuous-monitoring correction, Greeks and closed-form check
+     */
+    pricePosition({ option, optionType }, paths) {
+        const result = option.calculatePrice(paths);
+
+        // Corrected first, so the Greeks are those of the corrected contract
+        let finalResult = result;
+        if (optionType.startsWith('barrier')) {
+            finalResult = option.adjustForContinuousBarrier(result);
+        } else if (optionType.startsWith('lookback')) {
+            finalResult = option.adjustForContinuousMonitoring(result);
+        }
+        const greeks = option.calculateGreeks(paths);
+
+        return { result: finalResult, greeks, validation: option.validateClosedForm(finalResult) };
+    }
+
+    /**
+     * Prices every position and the portfolio on one set of paths
+     * @returns {object} Portfolio price, confidence interval, Greeks and risk
+     *     metrics, with the same per position under `positions`. Values are
+     *     for the held quantities; position Greeks are the unit Greeks times
+     *     the quantity, and portfolio Greeks their sum.
+     */
+    price() {
+        const base = this.positions[0].option;
+        const paths = base.simulatePaths();
+        const priced = this.positions.map(position => ({ ...position, ...this.pricePosition(position, paths) }));
+
+        // Portfolio value on each path
+        const payoffs = new Array(paths.length).fill(0);
+        priced.forEach(({ quantity, result }) => {
+            result.payoffs.forEach((payoff, i) => {
+                payoffs[i] += quantity * payoff;
+            });
+        });
+        const price = payoffs.reduce((a, b) => a + b, 0) / payoffs.length;
+        const greeks = sumGreeks(priced.map(({ quantity, greeks }) => scaleGreeks(greeks, quantity)));
+
+        const positions = priced.map(({ label, optionType, quantity, option, result, greeks, validation }) => {
+            const rng = option.createSubstream(2);
+            return {
+                label,
+                optionType,
+                quantity,
+                unitPrice: result.price,
+                value: quantity * result.price,
+                confidence: scaleConfidence(result.confidence, quantity),
+                greeks: scaleGreeks(greeks, quantity),
+                validation,
+                riskMetrics: positionRisk({
+                    payoffs: result.payoffs.map(payoff => quantity * payoff),
+                    premium: quantity * result.price,
+                    levels: this.riskLevels,
+                    random: () => rng.next()
+                })
+            };
+        });
+
+        return {
+            price,
+            confidence: base.calculateConfidenceInterval(payoffs),
+            greeks,
+            positions,
+            seed: this.params.seed,
+            simulations: paths.length,
+            paths: paths.slice(0, 10).map(path => Array.from(path)),
+            payoffs,
+            riskMetrics: base.calculateRiskMetrics(paths, {
+                payoffs,
+                premium: price,
+                delta: greeks.delta,
+                levels: this.riskLevels
+            })
+        };
+    }
+}
+
+/**
+ * Position estimate from a unit estimate
+ * @param {object} confidence - Confidence interval per unit
+ * @param {number} quantity - Signed quantity
+ * @returns {object} Interval for the position, lower below upper
+ */
+function scaleConfidence(confidence, quantity) {
+    const [lower, upper] = [confidence.lower * quantity, confidence.upper * quantity].sort((a, b) => a - b);
+    return {
+        ...confidence,
+        mean: confidence.mean * quantity,
+        stderr: confidence.stderr * Math.abs(quantity),
+        lower,
+        upper
+    };
+}
+
+/**
+ * @param {object} greeks - Unit Greeks with standard errors
+ * @param {number} quantity - Signed quantity
+ * @returns {object} Greeks of the position
+ */
+function scaleGreeks(greeks, quantity) {
+    const scaled = { standardErrors: {}, methods: greeks.methods };
+    GREEKS.forEach(name => {
+        scaled[name] = greeks[name] * quantity;
+        scaled.standardErrors[name] = greeks.standardErrors[name] * Math.abs(quantity);
+    });
+    return scaled;
+}
+
+/**
+ * Portfolio Greeks as the sum of the positions'. The positions' estimates
+ * share their paths and are correlated, so the summed standard errors are
+ * an upper bound on the portfolio's.
+ * @param {object[]} parts - Position Greeks
+ * @returns {object} Portfolio Greeks
+ */
+function sumGreeks(parts) {
+    const total = { standardErrors: {}, methods: {}, standardErrorsAreBounds: true };
+    GREEKS.forEach(name => {
+        total[name] = parts.reduce((sum, part) => sum + part[name], 0);
+        total.standardErrors[name] = parts.reduce((sum, part) => sum + part.standardErrors[name], 0);
+        const methods = [...new Set(parts.map(part => part.methods[name]))];
+        total.methods[name] = methods.join(' / ');
+    });
+    return total;
+}
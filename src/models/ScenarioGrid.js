@@ -0,0 +1,152 @@
+import { createOption } from './productFactory.js';
+
+// Second axis of a grid, against spot
+export const GRID_AXES = ['volatility', 'maturity'];
+
+// Surfaces a grid produces, price first
+export const GRID_SURFACES = ['price', 'delta', 'gamma', 'vega'];
+
+const MAX_AXIS_POINTS = 41;
+
+const MULTI_ASSET_PRODUCTS = ['basket', 'rainbow', 'spread'];
+
+/**
+ * Evenly spaced points of a grid axis
+ * @param {{min: number, max: number, count: number}} range - Axis range
+ * @param {string} name - Axis name for error messages
+ * @returns {number[]} Points from min to max
+ */
+export function gridPoints({ min, max, count }, name) {
+    if (!(min > 0) || !(max > min)) {
+        throw new Error(`${name} range needs 0 < min < max`);
+    }
+    if (!Number.isInteger(count) || count < 2 || count > MAX_AXIS_POINTS) {
+        throw new Error(`${name} axis needs between 2 and ${MAX_AXIS_POINTS} points`);
+    }
+    return Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+}
+
+/**
+ * Scenario grid: the option repriced across spot and one of volatility or
+ * time to maturity, on common random numbers.
+ *
+ * Every cell simulates with the same seed, stream and number of steps, so
+ * all cells see the same normal draws and differences between them are
+ * smooth in the inputs rather than Monte Carlo noise; only the path scale
+ * changes from cell to cell. Each cell reports its price and the Greeks
+ * from calculateGreeks(), with the continuous-monitoring corrections the
+ * page applies. A cell the option cannot be set up at, such as a spot
+ * already beyond a barrier monitored today, is left empty.
+ *
+ * Rows run over the second axis, so a pool can price them in parallel.
+ */
+export class ScenarioGrid {
+    /**
+     * @param {object} params - Pricing parameters as for createOption(), plus
+     *     `grid: { axis, spot: {min, max, count}, values: {min, max, count} }`
+     *     with axis 'volatility' or 'maturity'
+     */
+    constructor({ grid, ...params }) {
+        if (MULTI_ASSET_PRODUCTS.includes((params.optionType || '').split('-')[0])) {
+            throw new Error('A scenario grid needs an option on a single underlying');
+        }
+        if (!grid || !GRID_AXES.includes(grid.axis)) {
+            throw new Error(`Grid axis must be one of: ${GRID_AXES.join(', ')}`);
+        }
+        if (params.seed === null || params.seed === undefined) {
+            throw new Error('A scenario grid needs a seed shared by its cells');
+        }
+        this.axis = grid.axis;
+        this.spots = gridPoints(grid.spot, 'Spot');
+        this.values = gridPoints(grid.values, grid.axis === 'volatility' ? 'Volatility' : 'Maturity');
+        // Control variates fit different coefficients in every cell, which
+        // would bring back the noise common random numbers take out
+        this.params = { ...params, useControlVariate: false };
+    }
+
+    /**
+     * Constructor arguments that set the second axis. Under Heston the
+     * initial variance follows the volatility; under local volatility the
+     * implied surface shifts in parallel to the volatility at the strike.
+     * @param {number} value - Volatility or time to maturity
+     * @returns {object} Overrides for createOption()
+     */
+    axisOverrides(value) {
+        if (this.axis === 'maturity') {
+            return { maturity: value };
+        }
+        if (this.params.model === 'local-vol') {
+            this.base = this.base || createOption(this.params);
+            return this.base.volatilityOverrides(value);
+        }
+        return this.params.model === 'heston'
+            ? { heston: { ...this.params.heston, v0: value * value } }
+            : { volatility: value };
+    }
+
+    /**
+     * Prices one cell
+     * @param {number} spot - Spot price
+     * @param {number} value - Volatility or time to maturity
+     * @returns {object} Price, Greeks and their standard errors
+     */
+    priceCell(spot, value) {
+        const { optionType } = this.params;
+        const option = createOption({ ...this.params, ...this.axisOverrides(value), spot });
+        const paths = option.simulatePaths();
+        let result = option.calculatePrice(paths);
+
+        // Corrected first, so the Greeks are those of the corrected contract
+        if (optionType.startsWith('barrier')) {
+            result = option.adjustForContinuousBarrier(result);
+        } else if (optionType.startsWith('lookback')) {
+            result = option.adjustForContinuousMonitoring(result);
+        }
+        const greeks = option.calculateGreeks(paths);
+
+        return {
+            price: result.price,
+            delta: greeks.delta,
+            gamma: greeks.gamma,
+            vega: greeks.vega,
+            standardErrors: {
+                price: result.confidence.stderr,
+                delta: greeks.standardErrors.delta,
+                gamma: greeks.standardErrors.gamma,
+                vega: greeks.standardErrors.vega
+            },
+            methods: greeks.methods
+        };
+    }
+
+    /**
+     * Prices the cells of one row, across the spot axis
+     * @param {number} index - Row index on the second axis
+     * @returns {object} Row with one value per spot for each surface and
+     *     its standard errors; null where the cell could not be priced
+     */
+    priceRow(index) {
+        const value = this.values[index];
+        const row = { index, value, standardErrors: {}, errors: [], methods: null };
+        GRID_SURFACES.forEach(name => {
+            row[name] = [];
+            row.standardErrors[name] = [];
+        });
+
+        this.spots.forEach(spot => {
+            let cell = null;
+            try {
+                cell = this.priceCell(spot, value);
+            } catch (error) {
+                row.errors.push(`S = ${spot.toFixed(2)}: ${error.message}`);
+            }
+            GRID_SURFACES.forEach(name => {
+                row[name].push(cell ? cell[name] : null);
+                row.standardErrors[name].push(cell ? cell.standardErrors[name] : null);
+            });
+            row.methods = row.methods || (cell && cell.methods);
+        });
+
+        return row;
+    }
+}
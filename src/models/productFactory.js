@@ -0,0 +1,63 @@
+import { EuropeanOption } from './EuropeanOption.js';
+import { AsianOption } from './AsianOption.js';
+import { BarrierOption, parseBarrierProduct } from './BarrierOption.js';
+import { LookbackOption } from './LookbackOption.js';
+import { MultiAssetSimulation } from './MultiAssetSimulation.js';
+import { AmericanOption } from './AmericanOption.js';
+
+/**
+ * Creates the option for a product name such as 'asian-call',
+ * 'barrier-up-out-put' or 'rainbow-best-call', from the same parameters the
+ * pricing worker takes
+ * @param {object} params - Pricing parameters, including optionType
+ * @returns {MonteCarloSimulation} Option ready to simulate
+ */
+export function createOption(params) {
+    const [baseType, subType] = params.optionType.split('-');
+
+    switch (baseType) {
+        case 'european':
+            return new EuropeanOption({
+                ...params,
+                type: subType
+            });
+        case 'asian':
+            return new AsianOption({
+                ...params,
+                type: subType
+            });
+        case 'barrier':
+            return new BarrierOption({
+                ...params,
+                ...parseBarrierProduct(params.optionType)
+            });
+        case 'lookback':
+            return new LookbackOption({
+                ...params,
+                lookbackType: subType,
+                type: params.optionType.endsWith('put') ? 'put' : 'call'
+            });
+        case 'basket':
+        case 'spread':
+            return new MultiAssetSimulation({
+                ...params,
+                payoffType: baseType,
+                type: subType
+            });
+        case 'rainbow':
+            return new MultiAssetSimulation({
+                ...params,
+                payoffType: `${subType}-of`,
+                type: params.optionType.endsWith('put') ? 'put' : 'call'
+            });
+        case 'american':
+        case 'bermudan':
+            return new AmericanOption({
+                ...params,
+                exerciseStyle: baseType,
+                type: subType
+            });
+        default:
+            throw new Error(`Invalid option type: ${params.optionType}`);
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * Closed-form building blocks shared by the pricing models: the normal
+ * distribution to double precision, the bivariate normal CDF, and
+ * Black-Scholes-Merton prices, Greeks and implied volatility.
+ */
+
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+const INV_SQRT_PI = 1 / Math.sqrt(Math.PI);
+
+// Cody's (1969) rational approximations to erf / erfc, as in CALERF
+const ERF_A = [3.16112374387056560e0, 1.13864154151050156e2, 3.77485237685302021e2,
+    3.20937758913846947e3, 1.85777706184603153e-1];
+const ERF_B = [2.36012909523441209e1, 2.44024637934444173e2, 1.28261652607737228e3,
+    2.84423683343917062e3];
+const ERFC_C = [5.64188496988670089e-1, 8.88314979438837594e0, 6.61191906371416295e1,
+    2.98635138197400131e2, 8.81952221241769090e2, 1.71204761263407058e3,
+    2.05107837782607147e3, 1.23033935479799725e3, 2.15311535474403846e-8];
+const ERFC_D = [1.57449261107098347e1, 1.17693950891312499e2, 5.37181101862009858e2,
+    1.62138957456669019e3, 3.29079923573345963e3, 4.36261909014324716e3,
+    3.43936767414372164e3, 1.23033935480374942e3];
+const ERFC_P = [3.05326634961232344e-1, 3.60344899949804439e-1, 1.25781726111229246e-1,
+    1.60837851487422766e-2, 6.58749161529837803e-4, 1.63153871373020978e-2];
+const ERFC_Q = [2.56852019228982242e0, 1.87295284992346725e0, 5.27905102951428412e-1,
+    6.05183413124413191e-2, 2.33520497626869185e-3];
+
+// Acklam's rational approximation to the normal quantile
+const ACKLAM_A = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.383577518672690e2, -3.066479806614716e1, 2.506628277459239e0];
+const ACKLAM_B = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1];
+const ACKLAM_C = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838e0,
+    -2.549732539343734e0, 4.374664141464968e0, 2.938163982698783e0];
+const ACKLAM_D = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996e0,
+    3.754408661907416e0];
+const ACKLAM_P_LOW = 0.02425;
+
+// Gauss-Legendre nodes (negative half) and weights on [-1, 1] with 6, 12
+// and 20 points, for Genz's bivariate normal algorithm
+const GAUSS_LEGENDRE = [
+    {
+        x: [-0.9324695142031521, -0.6612093864662645, -0.2386191860831969],
+        w: [0.1713244923791704, 0.3607615730481386, 0.4679139345726910]
+    },
+    {
+        x: [-0.9815606342467192, -0.9041172563704749, -0.7699026741943047,
+            -0.5873179542866175, -0.3678314989981802, -0.1252334085114689],
+        w: [0.04717533638651182, 0.1069393259953184, 0.1600783285433462,
+            0.2031674267230659, 0.2334925365383548, 0.2491470458134028]
+    },
+    {
+        x: [-0.9931285991850949, -0.9639719272779138, -0.9122344282513259,
+            -0.8391169718222188, -0.7463319064601508, -0.6360536807265150,
+            -0.5108670019508271, -0.3737060887154195, -0.2277858511416451,
+            -0.07652652113349734],
+        w: [0.01761400713915212, 0.04060142980038694, 0.06267204833410907,
+            0.08327674157670475, 0.1019301198172404, 0.1181945319615184,
+            0.1316886384491766, 0.1420961093183820, 0.1491729864726037,
+            0.1527533871307258]
+    }
+];
+
+// Implied volatility search interval and tolerance
+const MIN_VOLATILITY = 1e-6;
+const MAX_VOLATILITY = 10;
+const IMPLIED_VOL_TOLERANCE = 1e-12;
+const IMPLIED_VOL_MAX_ITERATIONS = 100;
+
+/**
+ * Complementary error function to full double precision, including the
+ * far tails (Cody 1969)
+ * @param {number} x - Input value
+ * @returns {number} erfc(x)
+ */
+export function erfc(x) {
+    const y = Math.abs(x);
+    let result;
+
+    if (y <= 0.46875) {
+        const ysq = y * y;
+        let num = ERF_A[4] * ysq;
+        let den = ysq;
+        for (let i = 0; i < 3; i++) {
+            num = (num + ERF_A[i]) * ysq;
+            den = (den + ERF_B[i]) * ysq;
+        }
+        const erf = x * (num + ERF_A[3]) / (den + ERF_B[3]);
+        return 1 - erf;
+    }
+
+    if (y <= 4) {
+        let num = ERFC_C[8] * y;
+        let den = y;
+        for (let i = 0; i < 7; i++) {
+            num = (num + ERFC_C[i]) * y;
+            den = (den + ERFC_D[i]) * y;
+        }
+        result = (num + ERFC_C[7]) / (den + ERFC_D[7]);
+    } else {
+        const ysq = 1 / (y * y);
+        let num = ERFC_P[5] * ysq;
+        let den = ysq;
+        for (let i = 0; i < 4; i++) {
+            num = (num + ERFC_P[i]) * ysq;
+            den = (den + ERFC_Q[i]) * ysq;
+        }
+        result = (INV_SQRT_PI - ysq * (num + ERFC_P[4]) / (den + ERFC_Q[4])) / y;
+    }
+
+    // exp(-y^2) split so the rounding of y^2 does not cost accuracy
+    const truncated = Math.trunc(y * 16) / 16;
+    const remainder = (y - truncated) * (y + truncated);
+    result *= Math.exp(-truncated * truncated) * Math.exp(-remainder);
+
+    return x < 0 ? 2 - result : result;
+}
+
+/**
+ * Standard normal density
+ * @param {number} x - Input value
+ * @returns {number} PDF value
+ */
+export function normalPDF(x) {
+    return Math.exp(-0.5 * x * x) / SQRT_2PI;
+}
+
+/**
+ * Standard normal CDF to double precision, with full relative accuracy in
+ * the lower tail
+ * @param {number} x - Input value
+ * @returns {number} CDF value
+ */
+export function normalCDF(x) {
+    return 0.5 * erfc(-x / Math.SQRT2);
+}
+
+/**
+ * Standard normal quantile: Acklam's approximation (relative error 1e-9)
+ * refined by one Halley step against normalCDF(), which brings it to double
+ * precision. The upper half is mirrored from the lower, where 1 - p is exact.
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} x with normalCDF(x) = p
+ */
+export function normalInverse(p) {
+    if (p > 0.5) {
+        return -normalInverse(1 - p);
+    }
+    if (p <= 0) {
+        return -Infinity;
+    }
+
+    let x;
+    if (p < ACKLAM_P_LOW) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        x = (((((ACKLAM_C[0] * q + ACKLAM_C[1]) * q + ACKLAM_C[2]) * q + ACKLAM_C[3]) * q + ACKLAM_C[4]) * q + ACKLAM_C[5]) /
+            ((((ACKLAM_D[0] * q + ACKLAM_D[1]) * q + ACKLAM_D[2]) * q + ACKLAM_D[3]) * q + 1);
+    } else {
+        const q = p - 0.5;
+        const r = q * q;
+        x = (((((ACKLAM_A[0] * r + ACKLAM_A[1]) * r + ACKLAM_A[2]) * r + ACKLAM_A[3]) * r + ACKLAM_A[4]) * r + ACKLAM_A[5]) * q /
+            (((((ACKLAM_B[0] * r + ACKLAM_B[1]) * r + ACKLAM_B[2]) * r + ACKLAM_B[3]) * r + ACKLAM_B[4]) * r + 1);
+    }
+
+    // Halley step on normalCDF(x) - p
+    const u = (normalCDF(x) - p) * SQRT_2PI * Math.exp(0.5 * x * x);
+    return x - u / (1 + 0.5 * x * u);
+}
+
+/**
+ * Bivariate standard normal CDF, P(X <= x, Y <= y) with correlation rho,
+ * to about 1e-15 (Genz 2004, after Drezner and Wesolowsky)
+ * @param {number} x - First upper limit
+ * @param {number} y - Second upper limit
+ * @param {number} rho - Correlation in [-1, 1]
+ * @returns {number} Joint probability
+ */
+export function bivariateNormalCDF(x, y, rho) {
+    const { x: nodes, w: weights } = GAUSS_LEGENDRE[Math.abs(rho) < 0.3 ? 0 : Math.abs(rho) < 0.75 ? 1 : 2];
+    // Genz works with the upper orthant P(X > h, Y > k)
+    const h = -x;
+    let k = -y;
+    let hk = h * k;
+    let bvn = 0;
+
+    if (Math.abs(rho) < 0.925) {
+        // Integrate the density in the correlation from 0 to rho
+        const hs = (h * h + k * k) / 2;
+        const asr = Math.asin(rho);
+        for (let i = 0; i < nodes.length; i++) {
+            for (const side of [-1, 1]) {
+                const sn = Math.sin(asr * (side * nodes[i] + 1) / 2);
+                bvn += weights[i] * Math.exp((sn * hk - hs) / (1 - sn * sn));
+            }
+        }
+        return bvn * asr / (4 * Math.PI) + normalCDF(-h) * normalCDF(-k);
+    }
+
+    // Near-perfect correlation: expand around rho = +-1
+    if (rho < 0) {
+        k = -k;
+        hk = -hk;
+    }
+    if (Math.abs(rho) < 1) {
+        const as = (1 - rho) * (1 + rho);
+        let a = Math.sqrt(as);
+        const bs = (h - k) * (h - k);
+        const c = (4 - hk) / 8;
+        const d = (12 - hk) / 16;
+        bvn = a * Math.exp(-(bs / as + hk) / 2) * (1 - c * (bs - as) * (1 - d * bs / 5) / 3 + c * d * as * as / 5);
+        if (hk > -160) {
+            const b = Math.sqrt(bs);
+            bvn -= Math.exp(-hk / 2) * SQRT_2PI * normalCDF(-b / a) * b * (1 - c * bs * (1 - d * bs / 5) / 3);
+        }
+        a /= 2;
+        for (let i = 0; i < nodes.length; i++) {
+            for (const side of [-1, 1]) {
+                const xs = Math.pow(a * (side * nodes[i] + 1), 2);
+                const rs = Math.sqrt(1 - xs);
+                const exponent = -(bs / xs + hk) / 2;
+                if (exponent > -100) {
+                    bvn += a * weights[i] * Math.exp(exponent) *
+                        (Math.exp(-hk * (1 - rs) / (2 * (1 + rs))) / rs - (1 + c * xs * (1 + d * xs)));
+                }
+            }
+        }
+        bvn = -bvn / (2 * Math.PI);
+    }
+
+    if (rho > 0) {
+        return bvn + normalCDF(-Math.max(h, k));
+    }
+    return -bvn + Math.max(0, normalCDF(-h) - normalCDF(-k));
+}
+
+/**
+ * d1 and d2 of the Black-Scholes-Merton formula
+ * @param {object} params - See blackScholesPrice()
+ * @returns {{d1: number, d2: number}} Standardized moneyness terms
+ */
+function blackScholesTerms({ spot, strike, rate, dividendYield = 0, volatility, maturity }) {
+    const sigmaRootT = volatility * Math.sqrt(maturity);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + 0.5 * volatility * volatility) * maturity) / sigmaRootT;
+    return { d1, d2: d1 - sigmaRootT };
+}
+
+/**
+ * Black-Scholes-Merton price of a European option on an asset paying a
+ * continuous dividend yield
+ * @param {object} params
+ * @param {number} params.spot - Spot price
+ * @param {number} params.strike - Strike price
+ * @param {number} params.rate - Continuously compounded rate to maturity
+ * @param {number} [params.dividendYield=0] - Continuous dividend yield
+ * @param {number} params.volatility - Volatility
+ * @param {number} params.maturity - Time to maturity in years
+ * @param {string} [params.type='call'] - 'call' or 'put'
+ * @returns {number} Option price
+ */
+export function blackScholesPrice(params) {
+    const { spot, strike, rate, dividendYield = 0, maturity, type = 'call' } = params;
+    const { d1, d2 } = blackScholesTerms(params);
+    const forwardDiscount = Math.exp(-dividendYield * maturity);
+    const discount = Math.exp(-rate * maturity);
+
+    return type === 'call'
+        ? spot * forwardDiscount * normalCDF(d1) - strike * discount * normalCDF(d2)
+        : strike * discount * normalCDF(-d2) - spot * forwardDiscount * normalCDF(-d1);
+}
+
+/**
+ * Black-Scholes-Merton Greeks, on the same conventions as the Monte Carlo
+ * estimators: theta is the value change per year as calendar time passes,
+ * vega and rho are per unit (not per percentage point) of volatility and rate
+ * @param {object} params - See blackScholesPrice()
+ * @returns {{delta: number, gamma: number, theta: number, vega: number, rho: number}} Greeks
+ */
+export function blackScholesGreeks(params) {
+    const { spot, strike, rate, dividendYield = 0, volatility, maturity, type = 'call' } = params;
+    const { d1, d2 } = blackScholesTerms(params);
+    const forwardDiscount = Math.exp(-dividendYield * maturity);
+    const discount = Math.exp(-rate * maturity);
+    const rootT = Math.sqrt(maturity);
+    const density = normalPDF(d1);
+    const sign = type === 'call' ? 1 : -1;
+
+    return {
+        delta: sign * forwardDiscount * normalCDF(sign * d1),
+        gamma: forwardDiscount * density / (spot * volatility * rootT),
+        theta: -spot * forwardDiscount * density * volatility / (2 * rootT) +
+               sign * (dividendYield * spot * forwardDiscount * normalCDF(sign * d1) -
+                       rate * strike * discount * normalCDF(sign * d2)),
+        vega: spot * forwardDiscount * density * rootT,
+        rho: sign * strike * maturity * discount * normalCDF(sign * d2)
+    };
+}
+
+/**
+ * Black-Scholes-Merton implied volatility by safeguarded Newton iteration:
+ * Newton steps on vega, falling back to bisection whenever a step would
+ * leave the bracket that the monotone price keeps around the root
+ * @param {object} params - See blackScholesPrice(), without volatility
+ * @param {number} params.price - Option price to match
+ * @returns {number} Implied volatility, or NaN if the price is outside
+ *     the no-arbitrage bounds
+ */
+export function impliedVolatility({ price, ...contract }) {
+    const { spot, strike, rate, dividendYield = 0, maturity, type = 'call' } = contract;
+    const forward = spot * Math.exp(-dividendYield * maturity);
+    const discounted = strike * Math.exp(-rate * maturity);
+    const intrinsic = Math.max(type === 'call' ? forward - discounted : discounted - forward, 0);
+    const upper = type === 'call' ? forward : discounted;
+    if (!(price > intrinsic && price < upper)) {
+        return NaN;
+    }
+
+    let low = MIN_VOLATILITY;
+    let high = MAX_VOLATILITY;
+    // Start at the inflection point of the price in volatility
+    let sigma = Math.max(Math.sqrt(2 * Math.abs(Math.log(forward / discounted)) / maturity), 0.2);
+
+    for (let i = 0; i < IMPLIED_VOL_MAX_ITERATIONS; i++) {
+        const error = blackScholesPrice({ ...contract, volatility: sigma }) - price;
+        if (Math.abs(error) < IMPLIED_VOL_TOLERANCE * Math.max(price, 1)) {
+            return sigma;
+        }
+        if (error > 0) {
+            high = sigma;
+        } else {
+            low = sigma;
+        }
+
+        const vega = blackScholesGreeks({ ...contract, volatility: sigma }).vega;
+        const step = sigma - error / vega;
+        sigma = step > low && step < high ? step : 0.5 * (low + high);
+        if (high - low < IMPLIED_VOL_TOLERANCE) {
+            return sigma;
+        }
+    }
+
+    return sigma;
+}
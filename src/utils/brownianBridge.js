@@ -0,0 +1,86 @@
+/**
+ * Brownian-bridge path construction on an equally spaced grid.
+ *
+ * The first normal fixes the terminal value W(T), the second the midpoint,
+ * then the quarter points and so on, each conditioned on its neighbours.
+ * With low-discrepancy inputs this puts most of the path's variance in the
+ * first few (best distributed) dimensions.
+ */
+export class BrownianBridge {
+    /**
+     * @param {number} steps - Number of time steps on the grid
+     */
+    constructor(steps) {
+        this.steps = steps;
+        this.bridgeIndex = new Int32Array(steps);
+        this.leftIndex = new Int32Array(steps);
+        this.rightIndex = new Int32Array(steps);
+        this.leftWeight = new Float64Array(steps);
+        this.rightWeight = new Float64Array(steps);
+        this.stdDev = new Float64Array(steps);
+        this.path = new Float64Array(steps);
+
+        // Grid point i sits at time i + 1, so the output increments are
+        // standard normal and can be scaled by sqrt(dt) like ordinary draws
+        const time = i => i + 1;
+        const map = new Int32Array(steps);
+
+        map[steps - 1] = 1;
+        this.bridgeIndex[0] = steps - 1;
+        this.stdDev[0] = Math.sqrt(time(steps - 1));
+
+        for (let i = 1, j = 0; i < steps; i++) {
+            // Find the next unfilled gap [j, k) and fill its midpoint l
+            while (map[j]) {
+                j++;
+            }
+            let k = j;
+            while (!map[k]) {
+                k++;
+            }
+            const l = j + ((k - 1 - j) >> 1);
+            const start = j > 0 ? time(j - 1) : 0;
+
+            map[l] = i + 1;
+            this.bridgeIndex[i] = l;
+            this.leftIndex[i] = j;
+            this.rightIndex[i] = k;
+            this.leftWeight[i] = (time(k) - time(l)) / (time(k) - start);
+            this.rightWeight[i] = (time(l) - start) / (time(k) - start);
+            this.stdDev[i] = Math.sqrt((time(l) - start) * (time(k) - time(l)) / (time(k) - start));
+
+            j = k + 1;
+            if (j >= steps) {
+                j = 0;
+            }
+        }
+    }
+
+    /**
+     * Maps independent normals to the standardized increments of a Brownian
+     * path, in place
+     * @param {Float64Array} z - Normals in, increments out
+     * @param {number} [offset=0] - Index of the first entry to use
+     * @param {number} [stride=1] - Distance between consecutive entries
+     * @returns {Float64Array} The same buffer
+     */
+    transform(z, offset = 0, stride = 1) {
+        const steps = this.steps;
+        const w = this.path;
+
+        w[steps - 1] = this.stdDev[0] * z[offset];
+        for (let i = 1; i < steps; i++) {
+            const j = this.leftIndex[i];
+            const k = this.rightIndex[i];
+            const l = this.bridgeIndex[i];
+            const left = j > 0 ? this.leftWeight[i] * w[j - 1] : 0;
+            w[l] = left + this.rightWeight[i] * w[k] + this.stdDev[i] * z[offset + i * stride];
+        }
+
+        z[offset] = w[0];
+        for (let i = 1; i < steps; i++) {
+            z[offset + i * stride] = w[i] - w[i - 1];
+        }
+        return z;
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Control variates for Monte Carlo estimators.
+ *
+ * A control is a quantity X simulated on the same paths as the target Y
+ * whose expectation mu is known exactly. The estimator
+ *
+ *   Y_cv = Y - beta (X - mu)
+ *
+ * has the same mean as Y for any beta, and the smallest variance for the
+ * regression coefficient of Y on X. With several controls beta is the vector
+ * of multiple-regression coefficients, and the variance falls by the factor
+ * 1 - R^2 of that regression.
+ */
+
+import { leastSquares } from './matrixOperations.js';
+
+/**
+ * Variance-minimizing control coefficients, the least-squares slopes of the
+ * target on the controls. Both should be independent samples, e.g. antithetic
+ * pair averages, so the fit sees the same noise as the error estimate.
+ * @param {number[]} targets - Target samples
+ * @param {number[][]} controls - Samples of each control, aligned with targets
+ * @returns {number[]} One coefficient per control
+ */
+export function optimalBeta(targets, controls) {
+    const n = targets.length;
+    const mean = values => values.reduce((a, b) => a + b, 0) / n;
+    const targetMean = mean(targets);
+    const controlMeans = controls.map(mean);
+
+    // Centering the data removes the intercept from the regression
+    const design = targets.map((_, i) => controls.map((values, k) => values[i] - controlMeans[k]));
+    const response = targets.map(value => value - targetMean);
+    return leastSquares(design, response);
+}
+
+/**
+ * Applies control variates path by path
+ * @param {number[]} targets - Target value per path
+ * @param {number[][]} controls - Value of each control per path
+ * @param {number[]} means - Known expectation of each control
+ * @param {number[]} beta - Control coefficients
+ * @returns {number[]} Controlled value per path
+ */
+export function applyControls(targets, controls, means, beta) {
+    return targets.map((value, i) =>
+        controls.reduce((sum, values, k) => sum - beta[k] * (values[i] - means[k]), value));
+}
@@ -0,0 +1,104 @@
+/**
+ * Comma-separated values as in RFC 4180: fields are quoted when they contain
+ * a comma, a quote or a line break, with quotes inside doubled.
+ */
+
+/**
+ * Splits CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, without blank lines
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into one record per line
+ * @param {string} text - CSV text
+ * @returns {object[]} Records keyed by the header names, with string values
+ */
+export function parseCsv(text) {
+    const [header, ...rows] = parseRows(text);
+    if (!header) {
+        return [];
+    }
+    const names = header.map(name => name.trim());
+    return rows.map((fields, line) => {
+        if (fields.length > names.length) {
+            throw new Error(`CSV line ${line + 2} has more fields than the header`);
+        }
+        const record = {};
+        names.forEach((name, k) => {
+            record[name] = fields[k] === undefined ? '' : fields[k];
+        });
+        return record;
+    });
+}
+
+/**
+ * @param {*} value - Field value; null and undefined give an empty field
+ * @returns {string} Field, quoted if needed
+ */
+function formatField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats records as CSV with a header row
+ * @param {object[]} records - Records to write
+ * @param {string[]} [columns] - Column order; by default every key, in
+ *     order of first appearance
+ * @returns {string} CSV text
+ */
+export function formatCsv(records, columns = null) {
+    if (!columns) {
+        const seen = new Set();
+        records.forEach(record => Object.keys(record).forEach(key => seen.add(key)));
+        columns = [...seen];
+    }
+    const lines = [columns.map(formatField).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => formatField(record[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
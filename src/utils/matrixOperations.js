@@ -158,4 +158,82 @@ export function transpose(matrix) {
     }
     
     return result;
-} 
\ No newline at end of file
+}
+
+/**
+ * Solves the linear system A x = b by Gaussian elimination with partial pivoting
+ * @param {number[][]} a - Square coefficient matrix
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]} Solution vector
+ */
+export function solveLinearSystem(a, b) {
+    const n = a.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(m[pivot][col]) < 1e-14) {
+            throw new Error('Matrix is singular');
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= m[row][k] * x[k];
+        }
+        x[row] = sum / m[row][row];
+    }
+
+    return x;
+}
+
+/**
+ * Ordinary least squares fit of y on the columns of X via the normal equations.
+ * A tiny ridge term keeps nearly collinear bases solvable.
+ * @param {number[][]} X - Design matrix, one row per observation
+ * @param {number[]} y - Observations
+ * @returns {number[]} Fitted coefficients
+ */
+export function leastSquares(X, y) {
+    const p = X[0].length;
+    const xtx = Array(p).fill().map(() => Array(p).fill(0));
+    const xty = Array(p).fill(0);
+
+    for (let i = 0; i < X.length; i++) {
+        const row = X[i];
+        for (let j = 0; j < p; j++) {
+            xty[j] += row[j] * y[i];
+            for (let k = 0; k <= j; k++) {
+                xtx[j][k] += row[j] * row[k];
+            }
+        }
+    }
+
+    let trace = 0;
+    for (let j = 0; j < p; j++) {
+        for (let k = 0; k < j; k++) {
+            xtx[k][j] = xtx[j][k];
+        }
+        trace += xtx[j][j];
+    }
+    for (let j = 0; j < p; j++) {
+        xtx[j][j] += 1e-12 * trace / p;
+    }
+
+    return solveLinearSystem(xtx, xty);
+}
@@ -0,0 +1,68 @@
+/**
+ * Closed-form pricing under Merton's (1976) jump-diffusion model
+ *
+ *   dS / S- = (r - lambda k) dt + sigma dW + (J - 1) dN,   ln J ~ N(muJ, sigmaJ^2)
+ *
+ * where N is a Poisson process with intensity lambda and k = E[J - 1] is the
+ * mean relative jump, which compensates the drift so that e^{-rt} S_t is a
+ * martingale.
+ */
+
+import { blackScholesPrice } from './analytics.js';
+
+// Terms of the Poisson series beyond this weight are negligible
+const SERIES_TOLERANCE = 1e-14;
+const MAX_SERIES_TERMS = 200;
+
+/**
+ * Mean relative jump size k = E[J] - 1 for log-normal jumps
+ * @param {number} jumpMean - Mean of the log jump, muJ
+ * @param {number} jumpVolatility - Standard deviation of the log jump, sigmaJ
+ * @returns {number} Drift compensator per unit intensity
+ */
+export function jumpCompensator(jumpMean, jumpVolatility) {
+    return Math.exp(jumpMean + 0.5 * jumpVolatility * jumpVolatility) - 1;
+}
+
+/**
+ * European option price as Merton's Poisson-weighted series of Black-Scholes
+ * prices: conditional on n jumps the log price is normal with variance
+ * sigma^2 T + n sigmaJ^2, and the rate r_n absorbs the jump drift.
+ * @param {object} params - { spot, strike, volatility, riskFreeRate, maturity,
+ *     jumpIntensity, jumpMean, jumpVolatility, type }
+ * @returns {number} Option price
+ */
+export function mertonPrice({
+    spot,
+    strike,
+    volatility,
+    riskFreeRate,
+    maturity,
+    jumpIntensity,
+    jumpMean,
+    jumpVolatility,
+    type = 'call'
+}) {
+    const k = jumpCompensator(jumpMean, jumpVolatility);
+    // Poisson weights use the intensity under the jump-size-weighted measure
+    const intensityT = jumpIntensity * (1 + k) * maturity;
+    let weight = Math.exp(-intensityT);
+    let price = 0;
+    let cumulative = 0;
+
+    for (let n = 0; n < MAX_SERIES_TERMS; n++) {
+        if (n > 0) {
+            weight *= intensityT / n;
+        }
+        const sigmaN = Math.sqrt(volatility * volatility + n * jumpVolatility * jumpVolatility / maturity);
+        const rateN = riskFreeRate - jumpIntensity * k + n * Math.log(1 + k) / maturity;
+        price += weight * blackScholesPrice({ spot, strike, rate: rateN, volatility: sigmaN, maturity, type });
+        cumulative += weight;
+
+        if (n > intensityT && 1 - cumulative < SERIES_TOLERANCE) {
+            break;
+        }
+    }
+
+    return price;
+}
@@ -0,0 +1,150 @@
+/**
+ * Seedable pseudo-random number generation.
+ *
+ * The generator is xoshiro128** (Blackman & Vigna), which keeps 128 bits of
+ * state in four 32-bit words and is fast with Math.imul. Independent streams
+ * are carved out of one seed with the generator's jump functions:
+ * long jumps (2^96 draws) separate streams, e.g. one per worker, and short
+ * jumps (2^64 draws) separate substreams within a stream, e.g. one per bump.
+ */
+
+const JUMP = [0x8764000b, 0xf542d2d3, 0x6fa035c3, 0x77f2db5b];
+const LONG_JUMP = [0xb523952e, 0x0b6f099f, 0xccf5a0ef, 0x1c580662];
+const TWO_POW_26 = 67108864;
+const TWO_POW_53 = 9007199254740992;
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Expands a 32-bit seed into well-mixed state words (splitmix32)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {function(): number} Function returning successive state words
+ */
+function splitmix32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x9e3779b9) | 0;
+        let z = state;
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+        return (z ^ (z >>> 16)) >>> 0;
+    };
+}
+
+export class Xoshiro128 {
+    /**
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    constructor(seed) {
+        const mix = splitmix32(seed);
+        this.s = new Uint32Array([mix(), mix(), mix(), mix()]);
+        if ((this.s[0] | this.s[1] | this.s[2] | this.s[3]) === 0) {
+            this.s[0] = 1;
+        }
+    }
+
+    /**
+     * @returns {number} Next unsigned 32-bit integer
+     */
+    nextUint32() {
+        const s = this.s;
+        const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl(s[3], 11);
+
+        return result;
+    }
+
+    /**
+     * Returns a double with 53 random bits, strictly inside (0, 1) so it can
+     * be fed to an inverse CDF without guarding against 0 or 1
+     * @returns {number} Uniform variate
+     */
+    next() {
+        const a = this.nextUint32() >>> 5;
+        const b = this.nextUint32() >>> 6;
+        return (a * TWO_POW_26 + b + 0.5) / TWO_POW_53;
+    }
+
+    /**
+     * @returns {Xoshiro128} Independent copy positioned at the same state
+     */
+    clone() {
+        const copy = Object.create(Xoshiro128.prototype);
+        copy.s = this.s.slice();
+        return copy;
+    }
+
+    /**
+     * Advances the state by 2^64 draws
+     * @returns {Xoshiro128} This generator
+     */
+    jump() {
+        return this.applyJump(JUMP);
+    }
+
+    /**
+     * Advances the state by 2^96 draws
+     * @returns {Xoshiro128} This generator
+     */
+    longJump() {
+        return this.applyJump(LONG_JUMP);
+    }
+
+    applyJump(polynomial) {
+        const acc = new Uint32Array(4);
+
+        for (let i = 0; i < polynomial.length; i++) {
+            for (let b = 0; b < 32; b++) {
+                if (polynomial[i] & (1 << b)) {
+                    acc[0] ^= this.s[0];
+                    acc[1] ^= this.s[1];
+                    acc[2] ^= this.s[2];
+                    acc[3] ^= this.s[3];
+                }
+                this.nextUint32();
+            }
+        }
+
+        this.s.set(acc);
+        return this;
+    }
+}
+
+/**
+ * Picks a fresh seed for runs that did not ask for one
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Creates the generator for one (stream, substream) pair of a seed.
+ * Different pairs never overlap for fewer than 2^64 draws per substream.
+ * @param {number} seed - Unsigned 32-bit seed
+ * @param {number} [stream=0] - Stream index, e.g. worker or chunk number
+ * @param {number} [substream=0] - Substream index within the stream
+ * @returns {Xoshiro128} Positioned generator
+ */
+export function createRandomStream(seed, stream = 0, substream = 0) {
+    const rng = new Xoshiro128(seed);
+    for (let i = 0; i < stream; i++) {
+        rng.longJump();
+    }
+    for (let i = 0; i < substream; i++) {
+        rng.jump();
+    }
+    return rng;
+}
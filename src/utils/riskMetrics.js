@@ -0,0 +1,207 @@
+/**
+ * Risk measures on simulated profit and loss.
+ *
+ * Losses are negative P&L. At confidence level c the tail is the
+ * k = ceil((1 - c) n) worst outcomes: VaR is the smallest loss in the tail
+ * and Expected Shortfall the average loss over it, so ES >= VaR always.
+ */
+
+const PAYOFF_PERCENTILES = [1, 5, 25, 50, 75, 95, 99];
+
+/**
+ * Quantile of sorted values with linear interpolation between order statistics
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} Quantile
+ */
+export function quantile(sorted, p) {
+    const position = p * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+/**
+ * Value at Risk and Expected Shortfall of a P&L sample
+ * @param {number[]} sortedPnl - P&L in ascending order
+ * @param {number} level - Confidence level, e.g. 0.99
+ * @returns {{valueAtRisk: number, expectedShortfall: number}} Both as positive losses
+ */
+export function tailRisk(sortedPnl, level) {
+    // 1 - level is inexact, e.g. (1 - 0.99) * 100 = 1.0000000000000009
+    const tail = Math.max(1, Math.ceil((1 - level) * sortedPnl.length - 1e-9));
+    let sum = 0;
+    for (let i = 0; i < tail; i++) {
+        sum += sortedPnl[i];
+    }
+    return {
+        valueAtRisk: -sortedPnl[tail - 1],
+        expectedShortfall: -sum / tail
+    };
+}
+
+/**
+ * @param {number[]} pnl - P&L per scenario
+ * @returns {number} Fraction of scenarios with a strictly positive P&L
+ */
+export function probabilityOfProfit(pnl) {
+    return pnl.reduce((count, value) => count + (value > 0 ? 1 : 0), 0) / pnl.length;
+}
+
+/**
+ * Point estimates of VaR, ES and probability of profit at each level
+ * @param {number[]} sortedPnl - P&L in ascending order
+ * @param {number[]} levels - Confidence levels
+ * @returns {number[]} [VaR_1, ES_1, VaR_2, ES_2, ..., PoP]
+ */
+function pnlStatistics(sortedPnl, levels) {
+    const values = [];
+    levels.forEach(level => {
+        const { valueAtRisk, expectedShortfall } = tailRisk(sortedPnl, level);
+        values.push(valueAtRisk, expectedShortfall);
+    });
+    values.push(probabilityOfProfit(sortedPnl));
+    return values;
+}
+
+/**
+ * Bootstrap percentile bands for a vector of statistics. Each resample
+ * draws n values with replacement and is sorted before the statistics see it.
+ * @param {number[]} values - Sample
+ * @param {Function} statistics - Maps a sorted sample to an array of numbers
+ * @param {object} options
+ * @param {Function} options.random - Uniform generator on (0, 1)
+ * @param {number} [options.resamples=500] - Number of bootstrap resamples
+ * @param {number} [options.confidence=0.95] - Coverage of the bands
+ * @returns {{lower: number[], upper: number[]}} Band per statistic
+ */
+export function bootstrapBands(values, statistics, { random, resamples = 500, confidence = 0.95 }) {
+    const n = values.length;
+    const sample = new Float64Array(n);
+    const draws = [];
+
+    for (let b = 0; b < resamples; b++) {
+        for (let i = 0; i < n; i++) {
+            sample[i] = values[Math.floor(random() * n)];
+        }
+        sample.sort();
+        draws.push(statistics(sample));
+    }
+
+    const alpha = (1 - confidence) / 2;
+    const lower = [];
+    const upper = [];
+    draws[0].forEach((_, k) => {
+        const sorted = draws.map(draw => draw[k]).sort((a, b) => a - b);
+        lower.push(quantile(sorted, alpha));
+        upper.push(quantile(sorted, 1 - alpha));
+    });
+
+    return { lower, upper };
+}
+
+/**
+ * VaR and ES at several confidence levels plus the probability of profit,
+ * each with bootstrap confidence bands
+ * @param {number[]} pnl - P&L per scenario
+ * @param {number[]} levels - Confidence levels, e.g. [0.95, 0.99]
+ * @param {object} options - See bootstrapBands()
+ * @returns {object} { mean, levels: [{ level, valueAtRisk, expectedShortfall }], probabilityOfProfit },
+ *     where every measure is { value, lower, upper }
+ */
+export function analyzePnl(pnl, levels, options) {
+    const sorted = Float64Array.from(pnl).sort();
+    const estimates = pnlStatistics(sorted, levels);
+    const bands = bootstrapBands(pnl, sample => pnlStatistics(sample, levels), options);
+    const measure = k => ({ value: estimates[k], lower: bands.lower[k], upper: bands.upper[k] });
+
+    return {
+        mean: pnl.reduce((a, b) => a + b, 0) / pnl.length,
+        levels: levels.map((level, i) => ({
+            level,
+            valueAtRisk: measure(2 * i),
+            expectedShortfall: measure(2 * i + 1)
+        })),
+        probabilityOfProfit: measure(2 * levels.length)
+    };
+}
+
+/**
+ * Percentiles of the discounted payoff distribution
+ * @param {number[]} payoffs - Discounted payoff per scenario
+ * @param {number[]} [percentiles] - Percentiles in [0, 100]
+ * @returns {{percentile: number, value: number}[]} Payoff at each percentile
+ */
+export function payoffPercentiles(payoffs, percentiles = PAYOFF_PERCENTILES) {
+    const sorted = Float64Array.from(payoffs).sort();
+    return percentiles.map(percentile => ({
+        percentile,
+        value: quantile(sorted, percentile / 100)
+    }));
+}
+
+/**
+ * Risk of a long option position bought at `premium`, optionally also
+ * hedged at inception with `delta` units of each underlying
+ * @param {object} inputs
+ * @param {number[]} inputs.payoffs - Discounted payoff per scenario
+ * @param {number} inputs.premium - Price paid
+ * @param {number[][]} [inputs.gains] - Discounted gain of each underlying per scenario
+ * @param {number|number[]} [inputs.delta] - Hedge ratio, one per underlying
+ * @param {number[]} [inputs.levels] - Confidence levels
+ * @param {Function} inputs.random - Uniform generator for the bootstrap
+ * @param {number} [inputs.resamples] - Bootstrap resamples
+ * @returns {object} { premium, position, payoffPercentiles, hedged? }
+ */
+export function positionRisk({ payoffs, premium, gains = null, delta = null, levels = [0.95, 0.99], random, resamples }) {
+    const options = { random, resamples };
+    const pnl = Array.from(payoffs, payoff => payoff - premium);
+    const risk = {
+        premium,
+        position: analyzePnl(pnl, levels, options),
+        payoffPercentiles: payoffPercentiles(payoffs)
+    };
+
+    if (gains && delta !== null) {
+        const deltas = Array.isArray(delta) ? delta : [delta];
+        const hedged = pnl.map((value, i) =>
+            gains[i].reduce((sum, gain, asset) => sum - deltas[asset] * gain, value));
+        risk.hedged = analyzePnl(hedged, levels, options);
+    }
+
+    return risk;
+}
+
+/**
+ * VaR, Sharpe and Sortino ratios of a sample of log returns
+ * @param {number[]} returns - Log return per scenario
+ * @param {number} rate - Risk-free rate used as the benchmark
+ * @returns {object} { var95, sharpeRatio, sortinoRatio }
+ */
+export function returnMetrics(returns, rate) {
+    // Calculate Value at Risk (VaR)
+    const sortedReturns = Float64Array.from(returns).sort();
+    const var95 = -sortedReturns[Math.floor(0.05 * returns.length)];
+
+    // Calculate mean return and standard deviation
+    const meanReturn = returns.reduce((a, b) => a + b) / returns.length;
+    const stdDev = Math.sqrt(
+        returns.reduce((a, b) => a + Math.pow(b - meanReturn, 2), 0) / (returns.length - 1)
+    );
+
+    // Calculate Sharpe Ratio (assuming risk-free rate as benchmark)
+    const sharpeRatio = (meanReturn - rate) / stdDev;
+
+    // Calculate Sortino Ratio (using only negative returns)
+    const negativeReturns = Array.from(returns).filter(r => r < 0);
+    const downstdDev = Math.sqrt(
+        negativeReturns.reduce((a, b) => a + Math.pow(b, 2), 0) / negativeReturns.length
+    );
+    const sortinoRatio = (meanReturn - rate) / downstdDev;
+
+    return {
+        var95,
+        sharpeRatio,
+        sortinoRatio
+    };
+}
@@ -0,0 +1,259 @@
+/**
+ * Sobol low-discrepancy sequence with optional randomization.
+ *
+ * The first dimension is the van der Corput sequence in base 2. Dimensions
+ * 2-21 use the primitive polynomials and initial direction numbers of
+ * Joe & Kuo (2008). Further dimensions take the next primitive polynomials in
+ * the same order (by degree, then coefficients), found by direct search, with
+ * odd initial direction numbers drawn from a fixed-seed generator as in
+ * Bratley & Fox. That keeps every dimension a valid Sobol sequence up to
+ * MAX_DIMENSIONS; the leading dimensions, which carry most of the variance
+ * under Brownian-bridge construction, get the tuned numbers.
+ */
+
+import { Xoshiro128 } from './random.js';
+
+export const MAX_DIMENSIONS = 4096;
+
+const BITS = 32;
+const TWO_POW_32 = 4294967296;
+const DIRECTION_SEED = 0x5eed501;
+
+// [degree, coefficients a, initial direction numbers m_1..m_degree]
+const JOE_KUO = [
+    [1, 0, [1]],
+    [2, 1, [1, 3]],
+    [3, 1, [1, 3, 1]],
+    [3, 2, [1, 1, 1]],
+    [4, 1, [1, 1, 3, 3]],
+    [4, 4, [1, 3, 5, 13]],
+    [5, 2, [1, 1, 5, 5, 17]],
+    [5, 4, [1, 1, 5, 5, 5]],
+    [5, 7, [1, 1, 7, 11, 19]],
+    [5, 11, [1, 1, 5, 1, 1]],
+    [5, 13, [1, 1, 1, 3, 11]],
+    [5, 14, [1, 3, 5, 5, 31]],
+    [6, 1, [1, 3, 3, 9, 7, 49]],
+    [6, 13, [1, 1, 1, 15, 21, 21]],
+    [6, 16, [1, 3, 1, 13, 27, 49]],
+    [6, 19, [1, 1, 1, 15, 7, 5]],
+    [6, 22, [1, 3, 1, 15, 13, 25]],
+    [6, 25, [1, 1, 5, 5, 19, 61]],
+    [7, 1, [1, 3, 7, 11, 23, 15, 103]],
+    [7, 4, [1, 3, 7, 13, 13, 15, 69]]
+];
+
+// Primitive polynomials found so far, shared by all sequences
+const polynomials = JOE_KUO.map(([degree, a]) => ({ degree, a }));
+let searchDegree = 7;
+let searchCoefficients = 5;
+
+/**
+ * Multiplies two GF(2) polynomials modulo `modulus` (degree `degree`)
+ */
+function mulMod(x, y, modulus, degree) {
+    let result = 0;
+    const top = 1 << degree;
+    while (y) {
+        if (y & 1) {
+            result ^= x;
+        }
+        y >>>= 1;
+        x <<= 1;
+        if (x & top) {
+            x ^= modulus;
+        }
+    }
+    return result;
+}
+
+function powMod(exponent, modulus, degree) {
+    let result = 1;
+    let base = 2; // the polynomial x
+    while (exponent > 0) {
+        if (exponent % 2 === 1) {
+            result = mulMod(result, base, modulus, degree);
+        }
+        base = mulMod(base, base, modulus, degree);
+        exponent = Math.floor(exponent / 2);
+    }
+    return result;
+}
+
+function primeFactors(n) {
+    const factors = [];
+    for (let p = 2; p * p <= n; p++) {
+        if (n % p === 0) {
+            factors.push(p);
+            while (n % p === 0) {
+                n /= p;
+            }
+        }
+    }
+    if (n > 1) {
+        factors.push(n);
+    }
+    return factors;
+}
+
+/**
+ * A polynomial of degree s is primitive when x has order exactly 2^s - 1
+ */
+function isPrimitive(modulus, degree) {
+    const order = Math.pow(2, degree) - 1;
+    if (powMod(order, modulus, degree) !== 1) {
+        return false;
+    }
+    return primeFactors(order).every(q => powMod(order / q, modulus, degree) !== 1);
+}
+
+function ensurePolynomials(count) {
+    while (polynomials.length < count) {
+        const limit = 1 << (searchDegree - 1);
+        for (; searchCoefficients < limit && polynomials.length < count; searchCoefficients++) {
+            const modulus = (1 << searchDegree) | (searchCoefficients << 1) | 1;
+            if (isPrimitive(modulus, searchDegree)) {
+                polynomials.push({ degree: searchDegree, a: searchCoefficients });
+            }
+        }
+        if (searchCoefficients >= limit) {
+            searchDegree++;
+            searchCoefficients = 0;
+        }
+    }
+}
+
+/**
+ * Builds the 32 direction numbers of every dimension
+ * @param {number} dimensions - Number of dimensions
+ * @returns {Uint32Array[]} Direction numbers per dimension
+ */
+function buildDirectionNumbers(dimensions) {
+    ensurePolynomials(dimensions - 1);
+    const filler = new Xoshiro128(DIRECTION_SEED);
+    const directions = [];
+
+    const first = new Uint32Array(BITS);
+    for (let k = 0; k < BITS; k++) {
+        first[k] = (1 << (BITS - 1 - k)) >>> 0;
+    }
+    directions.push(first);
+
+    for (let d = 1; d < dimensions; d++) {
+        const { degree: s, a } = polynomials[d - 1];
+        const m = d - 1 < JOE_KUO.length ? JOE_KUO[d - 1][2] : null;
+        const v = new Uint32Array(BITS);
+
+        for (let k = 0; k < Math.min(s, BITS); k++) {
+            // m_k must be odd and below 2^(k+1)
+            const mk = m ? m[k] : ((filler.nextUint32() % (1 << k)) * 2 + 1);
+            v[k] = (mk << (BITS - 1 - k)) >>> 0;
+        }
+        for (let k = s; k < BITS; k++) {
+            let value = v[k - s] ^ (v[k - s] >>> s);
+            for (let i = 1; i < s; i++) {
+                if ((a >>> (s - 1 - i)) & 1) {
+                    value ^= v[k - i];
+                }
+            }
+            v[k] = value >>> 0;
+        }
+        directions.push(v);
+    }
+
+    return directions;
+}
+
+function parity(x) {
+    x ^= x >>> 16;
+    x ^= x >>> 8;
+    x ^= x >>> 4;
+    x ^= x >>> 2;
+    x ^= x >>> 1;
+    return x & 1;
+}
+
+/**
+ * Applies a random lower-triangular binary matrix with unit diagonal to each
+ * direction number (Matoušek's linear matrix scramble)
+ */
+function scrambleDirections(v, rng) {
+    const rows = new Uint32Array(BITS);
+    for (let i = 0; i < BITS; i++) {
+        // Row i produces output digit i (counted from the most significant
+        // bit) from input digits 0..i
+        const diagonal = (1 << (BITS - 1 - i)) >>> 0;
+        const above = i === 0 ? 0 : (rng.nextUint32() & ~((diagonal << 1) - 1)) >>> 0;
+        rows[i] = (above | diagonal) >>> 0;
+    }
+
+    return v.map(value => {
+        let scrambled = 0;
+        for (let i = 0; i < BITS; i++) {
+            if (parity(rows[i] & value)) {
+                scrambled |= 1 << (BITS - 1 - i);
+            }
+        }
+        return scrambled >>> 0;
+    });
+}
+
+export class SobolSequence {
+    /**
+     * @param {number} dimensions - Number of coordinates per point
+     * @param {object} [options]
+     * @param {object} [options.rng] - Generator with nextUint32(); when given
+     *     the sequence is randomized with a random digital shift
+     * @param {boolean} [options.scramble=false] - Also apply a linear matrix
+     *     scramble (requires rng)
+     */
+    constructor(dimensions, { rng = null, scramble = false } = {}) {
+        if (dimensions < 1 || dimensions > MAX_DIMENSIONS) {
+            throw new Error(`Sobol sequence supports 1 to ${MAX_DIMENSIONS} dimensions`);
+        }
+
+        this.dimensions = dimensions;
+        this.directions = buildDirectionNumbers(dimensions);
+        this.state = new Uint32Array(dimensions);
+        this.index = 0;
+
+        if (rng) {
+            if (scramble) {
+                this.directions = this.directions.map(v => scrambleDirections(v, rng));
+            }
+            for (let d = 0; d < dimensions; d++) {
+                this.state[d] = rng.nextUint32();
+            }
+        } else {
+            // The unrandomized first point is the origin, which has no
+            // normal quantile; start from the second point instead
+            this.next(new Float64Array(dimensions));
+        }
+    }
+
+    /**
+     * Writes the next point (Gray-code order) into `out`
+     * @param {Float64Array} out - Buffer of length dimensions
+     * @returns {Float64Array} Point with coordinates in (0, 1)
+     */
+    next(out) {
+        if (this.index > 0) {
+            // Flip the direction number of the lowest zero bit of index - 1
+            let c = 0;
+            let value = this.index - 1;
+            while (value & 1) {
+                value >>>= 1;
+                c++;
+            }
+            for (let d = 0; d < this.dimensions; d++) {
+                this.state[d] ^= this.directions[d][c];
+            }
+        }
+        this.index++;
+
+        for (let d = 0; d < this.dimensions; d++) {
+            out[d] = (this.state[d] + 0.5) / TWO_POW_32;
+        }
+        return out;
+    }
+}
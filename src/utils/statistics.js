@@ -0,0 +1,73 @@
+// Monte Carlo estimates within this many standard errors of a closed form pass validation
+const VALIDATION_TOLERANCE = 3;
+
+/**
+ * 97.5% quantile of Student's t distribution, via the Cornish-Fisher
+ * expansion around the normal quantile (Abramowitz & Stegun 26.7.5)
+ * @param {number} df - Degrees of freedom
+ * @returns {number} Two-sided 95% critical value
+ */
+export function studentT975(df) {
+    const z = 1.959963984540054;
+    const z2 = z * z;
+    const g1 = (z2 + 1) * z / 4;
+    const g2 = ((5 * z2 + 16) * z2 + 3) * z / 96;
+    const g3 = (((3 * z2 + 19) * z2 + 17) * z2 - 15) * z / 384;
+    const g4 = ((((79 * z2 + 776) * z2 + 1482) * z2 - 1920) * z2 - 945) * z / 92160;
+    return z + g1 / df + g2 / (df * df) + g3 / Math.pow(df, 3) + g4 / Math.pow(df, 4);
+}
+
+/**
+ * Combines estimates from disjoint batches of independent samples into one,
+ * as if all samples had been pooled (Chan et al.'s parallel variance update).
+ * Each batch is summarized by its mean, the standard error of that mean and
+ * its number of independent samples.
+ * @param {{mean: number, stderr: number, samples: number}[]} parts - Batch estimates
+ * @param {object} [options]
+ * @param {boolean} [options.studentT=false] - Use a t quantile for the interval,
+ *     for estimates built from few samples such as QMC replications
+ * @returns {{mean: number, stderr: number, lower: number, upper: number, samples: number}} Pooled estimate
+ */
+export function mergeEstimates(parts, { studentT = false } = {}) {
+    const samples = parts.reduce((sum, part) => sum + part.samples, 0);
+    const mean = parts.reduce((sum, part) => sum + part.samples * part.mean, 0) / samples;
+
+    // Sum of squared deviations: within each batch plus between batch means
+    const m2 = parts.reduce((sum, part) => {
+        const within = part.samples > 1 ? part.stderr * part.stderr * part.samples * (part.samples - 1) : 0;
+        return sum + within + part.samples * Math.pow(part.mean - mean, 2);
+    }, 0);
+
+    const stderr = samples > 1 ? Math.sqrt(m2 / (samples - 1) / samples) : NaN;
+    const ci95 = (studentT ? studentT975(samples - 1) : 1.96) * stderr;
+
+    return {
+        mean,
+        stderr,
+        lower: mean - ci95,
+        upper: mean + ci95,
+        samples
+    };
+}
+
+/**
+ * Compares a Monte Carlo estimate with the exact value it should reproduce
+ * @param {{mean: number, stderr: number}} estimate - Monte Carlo estimate
+ * @param {number} analytical - Closed-form value
+ * @param {number} [tolerance] - Largest accepted error in standard errors
+ * @returns {{analytical: number, monteCarlo: number, stderr: number,
+ *     errorInStdErrs: number, passed: boolean}} Comparison
+ */
+export function compareWithAnalytical({ mean, stderr }, analytical, tolerance = VALIDATION_TOLERANCE) {
+    // A zero-variance estimate that hits the value exactly, e.g. a payoff
+    // that is always zero, is a match rather than 0 / 0
+    const error = mean - analytical;
+    const errorInStdErrs = error === 0 ? 0 : error / stderr;
+    return {
+        analytical,
+        monteCarlo: mean,
+        stderr,
+        errorInStdErrs,
+        passed: Math.abs(errorInStdErrs) <= tolerance
+    };
+}
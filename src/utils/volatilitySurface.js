@@ -0,0 +1,461 @@
+/**
+ * Implied volatility surfaces and the Dupire local volatility they imply.
+ *
+ * Quotes are Black-Scholes implied volatilities by strike and maturity.
+ * Each maturity's smile is fitted with Gatheral's raw SVI parameterization
+ * of total implied variance w = sigma^2 T in log-forward-moneyness
+ * k = ln(K / F(T)):
+ *
+ *     w(k) = a + b (rho (k - m) + sqrt((k - m)^2 + s^2))
+ *
+ * The fit is constrained to be free of butterfly arbitrage (a non-negative
+ * risk-neutral density) and of calendar arbitrage (total variance
+ * non-decreasing in maturity at every k). Between maturities total variance
+ * is interpolated linearly in time at fixed k, which keeps both. Quotes the
+ * constrained fit cannot match within a volatility point are rejected as
+ * arbitrageable.
+ */
+
+import { parseCsv } from './csv.js';
+
+// Penalty weight on arbitrage violations in the SVI objective
+const ARBITRAGE_PENALTY = 1e4;
+
+// Tolerances of the arbitrage checks after fitting
+const BUTTERFLY_TOLERANCE = 1e-6;
+const CALENDAR_TOLERANCE = 1e-6;
+
+// Largest distance of a fitted volatility from its quote; beyond it the
+// quotes are taken to be arbitrageable rather than noisy
+const MAX_FIT_ERROR = 0.01;
+
+// Points of the log-moneyness grid the constraints are checked on
+const CHECK_POINTS = 31;
+
+const NELDER_MEAD_ITERATIONS = 3000;
+const NELDER_MEAD_TOLERANCE = 1e-10;
+
+// Fitted smiles by quotes and forwards, so the chunks of a run and the
+// bumped copies that share a surface fit it once per worker
+const fitCache = new Map();
+const FIT_CACHE_SIZE = 32;
+
+// Bounds on local variance, 1% to 300% volatility, for the far wings the
+// surface extrapolates into
+const MIN_LOCAL_VARIANCE = 1e-4;
+const MAX_LOCAL_VARIANCE = 9;
+
+/**
+ * Reads implied volatility quotes from CSV or JSON text. JSON is either an
+ * array of `{ maturity, strike, volatility }` quotes or a grid
+ * `{ maturities, strikes, volatilities }` with one row of volatilities per
+ * maturity. CSV is either long, with `maturity`, `strike` and `volatility`
+ * columns, or wide, with a `maturity` column followed by one column per
+ * strike. Volatilities are decimals (0.2 for 20%).
+ * @param {string} text - CSV or JSON text
+ * @returns {object[]} Quotes, see surfaceQuotes()
+ */
+export function parseVolatilitySurface(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return surfaceQuotes(JSON.parse(trimmed));
+    }
+
+    const records = parseCsv(trimmed);
+    if (records.length === 0) {
+        throw new Error('Volatility surface is empty');
+    }
+    const columns = Object.keys(records[0]);
+    if (!columns.includes('maturity')) {
+        throw new Error('Volatility surface CSV needs a maturity column');
+    }
+    if (columns.includes('strike')) {
+        return surfaceQuotes(records.map(record => ({
+            maturity: parseFloat(record.maturity),
+            strike: parseFloat(record.strike),
+            volatility: parseFloat(record.volatility)
+        })));
+    }
+
+    const strikes = columns.filter(column => column !== 'maturity');
+    return surfaceQuotes({
+        maturities: records.map(record => parseFloat(record.maturity)),
+        strikes: strikes.map(strike => parseFloat(strike)),
+        volatilities: records.map(record => strikes.map(strike =>
+            (record[strike].trim() === '' ? null : parseFloat(record[strike]))))
+    });
+}
+
+/**
+ * Validates implied volatility quotes, given as a list or as a grid (see
+ * parseVolatilitySurface()). Empty grid cells are skipped.
+ * @param {object[]|object} surface - Quotes or grid
+ * @returns {{maturity: number, strike: number, volatility: number}[]}
+ *     Quotes sorted by maturity, then strike
+ */
+export function surfaceQuotes(surface) {
+    let quotes = surface;
+    if (!Array.isArray(surface)) {
+        const { maturities, strikes, volatilities } = surface || {};
+        if (!Array.isArray(maturities) || !Array.isArray(strikes) || !Array.isArray(volatilities) ||
+            volatilities.length !== maturities.length ||
+            volatilities.some(row => !Array.isArray(row) || row.length !== strikes.length)) {
+            throw new Error('Volatility grid needs one row of volatilities per maturity, one per strike');
+        }
+        quotes = maturities.flatMap((maturity, i) => strikes.map((strike, j) => ({
+            maturity,
+            strike,
+            volatility: volatilities[i][j]
+        }))).filter(quote => quote.volatility !== null && quote.volatility !== undefined);
+    }
+
+    const seen = new Set();
+    quotes.forEach(({ maturity, strike, volatility }) => {
+        if (!(maturity > 0) || !(strike > 0) || !(volatility > 0) ||
+            !isFinite(maturity) || !isFinite(strike) || !isFinite(volatility)) {
+            throw new Error(`Invalid volatility quote: T = ${maturity}, K = ${strike}, σ = ${volatility}`);
+        }
+        const key = `${maturity}:${strike}`;
+        if (seen.has(key)) {
+            throw new Error(`Duplicate volatility quote at T = ${maturity}, K = ${strike}`);
+        }
+        seen.add(key);
+    });
+
+    return quotes
+        .map(({ maturity, strike, volatility }) => ({ maturity, strike, volatility }))
+        .sort((a, b) => a.maturity - b.maturity || a.strike - b.strike);
+}
+
+/**
+ * Raw SVI total variance and its first two derivatives in k
+ * @param {{a: number, b: number, rho: number, m: number, s: number}} svi - Parameters
+ * @param {number} k - Log-forward-moneyness
+ * @returns {{w: number, dw: number, d2w: number}} Total variance and derivatives
+ */
+export function sviVariance({ a, b, rho, m, s }, k) {
+    const x = k - m;
+    const root = Math.sqrt(x * x + s * s);
+    return {
+        w: a + b * (rho * x + root),
+        dw: b * (rho + x / root),
+        d2w: b * s * s / (root * root * root)
+    };
+}
+
+/**
+ * Gatheral's density function of a smile in total variance; the
+ * risk-neutral density is non-negative where g is, and g is also the
+ * denominator of Dupire's formula in total variance
+ * @param {number} k - Log-forward-moneyness
+ * @param {{w: number, dw: number, d2w: number}} slice - Total variance and derivatives at k
+ * @returns {number} g(k)
+ */
+export function densityFunction(k, { w, dw, d2w }) {
+    const skew = 1 - k * dw / (2 * w);
+    return skew * skew - dw * dw / 4 * (1 / w + 0.25) + d2w / 2;
+}
+
+/**
+ * Minimizes a function by the Nelder-Mead simplex method
+ * @param {Function} f - Objective of a parameter vector
+ * @param {number[]} start - Starting point
+ * @param {number[]} scale - Initial simplex edge along each parameter
+ * @returns {{x: number[], value: number}} Best point found and its value
+ */
+function nelderMead(f, start, scale) {
+    const n = start.length;
+    let simplex = [start, ...scale.map((step, i) => start.map((x, j) => (i === j ? x + step : x)))]
+        .map(x => ({ x, value: f(x) }));
+    const towards = (from, to, t) => from.map((x, i) => x + t * (to[i] - x));
+
+    for (let iteration = 0; iteration < NELDER_MEAD_ITERATIONS; iteration++) {
+        simplex.sort((p, q) => p.value - q.value);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (worst.value - best.value <= NELDER_MEAD_TOLERANCE * (Math.abs(best.value) + NELDER_MEAD_TOLERANCE)) {
+            break;
+        }
+
+        const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[i], 0) / n);
+        const reflected = towards(centroid, worst.x, -1);
+        const reflectedValue = f(reflected);
+
+        if (reflectedValue < best.value) {
+            const expanded = towards(centroid, worst.x, -2);
+            const expandedValue = f(expanded);
+            simplex[n] = expandedValue < reflectedValue
+                ? { x: expanded, value: expandedValue }
+                : { x: reflected, value: reflectedValue };
+        } else if (reflectedValue < simplex[n - 1].value) {
+            simplex[n] = { x: reflected, value: reflectedValue };
+        } else {
+            const contracted = reflectedValue < worst.value
+                ? towards(centroid, reflected, 0.5)
+                : towards(centroid, worst.x, 0.5);
+            const contractedValue = f(contracted);
+            if (contractedValue < Math.min(reflectedValue, worst.value)) {
+                simplex[n] = { x: contracted, value: contractedValue };
+            } else {
+                // Shrink towards the best point
+                simplex = simplex.map((p, i) => {
+                    if (i === 0) return p;
+                    const x = towards(best.x, p.x, 0.5);
+                    return { x, value: f(x) };
+                });
+            }
+        }
+    }
+
+    simplex.sort((p, q) => p.value - q.value);
+    return simplex[0];
+}
+
+/**
+ * SVI parameters from the unconstrained vector the optimizer works on:
+ * b and s are positive and rho lies in (-1, 1) by construction
+ * @param {number[]} x - [a, ln b, atanh rho, m, ln s]
+ * @returns {object} SVI parameters
+ */
+function sviFromVector([a, logB, atanhRho, m, logS]) {
+    return { a, b: Math.exp(logB), rho: Math.tanh(atanhRho), m, s: Math.exp(logS) };
+}
+
+/**
+ * Fits one maturity's smile with raw SVI, by least squares in total
+ * variance with penalties on arbitrage: negative variance, wings steeper
+ * than Lee's moment bound, a negative density, and total variance below
+ * the previous maturity's
+ * @param {number[]} ks - Log-forward-moneyness of the quotes
+ * @param {number[]} ws - Quoted total variances
+ * @param {number[]} checks - Log-moneyness points the constraints are checked at
+ * @param {Function|null} floor - Total variance of the previous maturity at k, or null
+ * @returns {object} SVI parameters
+ */
+function fitSlice(ks, ws, checks, floor) {
+    const level = ws.reduce((sum, w) => sum + w, 0) / ws.length;
+    const floors = floor ? checks.map(floor) : null;
+
+    const objective = x => {
+        const svi = sviFromVector(x);
+        let error = 0;
+        ks.forEach((k, i) => {
+            error += ((sviVariance(svi, k).w - ws[i]) / level) ** 2;
+        });
+
+        let violation = Math.max(0, svi.b * (1 + Math.abs(svi.rho)) - 2) ** 2;
+        violation += Math.max(0, -(svi.a + svi.b * svi.s * Math.sqrt(1 - svi.rho * svi.rho)) / level) ** 2;
+        checks.forEach((k, i) => {
+            const slice = sviVariance(svi, k);
+            if (slice.w <= 0) {
+                violation += 1 + (slice.w / level) ** 2;
+                return;
+            }
+            violation += Math.max(0, -densityFunction(k, slice)) ** 2;
+            if (floors) {
+                violation += Math.max(0, (floors[i] - slice.w) / level) ** 2;
+            }
+        });
+
+        return error + ARBITRAGE_PENALTY * violation;
+    };
+
+    // Start from a flat smile at the quoted level, tilted to the quoted skew
+    const slope = (ws[ws.length - 1] - ws[0]) / Math.max(ks[ks.length - 1] - ks[0], 1e-8);
+    const b0 = Math.max(Math.abs(slope), 0.1 * level, 1e-4);
+    const rho0 = Math.max(-0.9, Math.min(0.9, slope / b0));
+    const s0 = 0.1;
+    const a0 = Math.max(Math.min(...ws) - b0 * s0 * Math.sqrt(1 - rho0 * rho0), 1e-6);
+
+    let best = null;
+    [[a0, Math.log(b0), Math.atanh(rho0), 0, Math.log(s0)],
+        [Math.min(...ws), Math.log(0.5 * b0), 0, 0, Math.log(0.3)]].forEach(start => {
+        // Restart from the optimum so a collapsed simplex gets a fresh shape
+        let fit = nelderMead(objective, start, [0.1 * level, 0.5, 0.5, 0.1, 0.5]);
+        fit = nelderMead(objective, fit.x, [0.05 * level, 0.2, 0.2, 0.05, 0.2]);
+        if (!best || fit.value < best.value) {
+            best = fit;
+        }
+    });
+
+    return sviFromVector(best.x);
+}
+
+/**
+ * Implied volatility surface with its Dupire local volatility
+ */
+export class VolatilitySurface {
+    /**
+     * @param {object[]|object} surface - Implied volatility quotes, see surfaceQuotes()
+     * @param {Function} forward - Forward price F(t) of the underlying for delivery at t
+     */
+    constructor(surface, forward) {
+        this.quotes = surfaceQuotes(surface);
+        this.forward = forward;
+
+        const maturities = [...new Set(this.quotes.map(quote => quote.maturity))];
+        const slices = maturities.map(maturity => {
+            const quotes = this.quotes.filter(quote => quote.maturity === maturity);
+            if (quotes.length < 3) {
+                throw new Error(`Maturity ${maturity} needs at least 3 strikes to fit its smile`);
+            }
+            const logForward = Math.log(forward(maturity));
+            return {
+                maturity,
+                ks: quotes.map(quote => Math.log(quote.strike) - logForward),
+                ws: quotes.map(quote => quote.volatility * quote.volatility * maturity)
+            };
+        });
+        if (slices.length === 0) {
+            throw new Error('Volatility surface has no quotes');
+        }
+
+        // Constraints are checked across all quoted moneyness and beyond
+        const allKs = slices.flatMap(slice => slice.ks);
+        const low = Math.min(...allKs);
+        const high = Math.max(...allKs);
+        const margin = 0.5 * Math.max(high - low, 0.2);
+        this.checks = Array.from({ length: CHECK_POINTS },
+            (_, i) => low - margin + (high - low + 2 * margin) * i / (CHECK_POINTS - 1));
+
+        this.maturities = maturities;
+        const key = JSON.stringify([this.quotes, maturities.map(forward)]);
+        this.slices = fitCache.get(key);
+        if (this.slices) {
+            return;
+        }
+
+        this.slices = [];
+        slices.forEach(({ ks, ws }, i) => {
+            const previous = this.slices[i - 1];
+            const floor = previous ? k => sviVariance(previous, k).w : null;
+            this.slices.push(fitSlice(ks, ws, this.checks, floor));
+            this.checkFit(i, ks, ws);
+            this.checkArbitrage(i);
+        });
+        if (fitCache.size >= FIT_CACHE_SIZE) {
+            fitCache.delete(fitCache.keys().next().value);
+        }
+        fitCache.set(key, this.slices);
+    }
+
+    /**
+     * Rejects a slice whose fit had to move away from the quotes, which
+     * happens when the quotes themselves are arbitrageable, typically with
+     * total variance falling from one maturity to the next
+     * @param {number} i - Slice index
+     * @param {number[]} ks - Log-forward-moneyness of the quotes
+     * @param {number[]} ws - Quoted total variances
+     */
+    checkFit(i, ks, ws) {
+        const maturity = this.maturities[i];
+        ks.forEach((k, j) => {
+            const fitted = Math.sqrt(Math.max(sviVariance(this.slices[i], k).w, 0) / maturity);
+            const quoted = Math.sqrt(ws[j] / maturity);
+            if (Math.abs(fitted - quoted) > MAX_FIT_ERROR) {
+                throw new Error(`Implied volatilities at T = ${maturity} cannot be fitted without arbitrage: ` +
+                    `${(quoted * 100).toFixed(2)}% at K = ${(this.forward(maturity) * Math.exp(k)).toFixed(2)} ` +
+                    `fits as ${(fitted * 100).toFixed(2)}%`);
+            }
+        });
+    }
+
+    /**
+     * Rejects a fitted slice that still has arbitrage, which happens when
+     * the quotes themselves are arbitrageable beyond what the fit can smooth
+     * @param {number} i - Slice index
+     */
+    checkArbitrage(i) {
+        const svi = this.slices[i];
+        const previous = this.slices[i - 1];
+        this.checks.forEach(k => {
+            const slice = sviVariance(svi, k);
+            if (!(slice.w > 0) || densityFunction(k, slice) < -BUTTERFLY_TOLERANCE) {
+                throw new Error(`Implied volatilities at T = ${this.maturities[i]} have butterfly arbitrage ` +
+                    `near K = ${(this.forward(this.maturities[i]) * Math.exp(k)).toFixed(2)}`);
+            }
+            if (previous && slice.w < sviVariance(previous, k).w - CALENDAR_TOLERANCE) {
+                throw new Error(`Total variance falls between T = ${this.maturities[i - 1]} and ` +
+                    `T = ${this.maturities[i]}: calendar arbitrage`);
+            }
+        });
+    }
+
+    /**
+     * Total implied variance at fixed log-moneyness, linear in time between
+     * the fitted maturities and proportional to time before the first and
+     * after the last (constant implied volatility)
+     * @param {number} k - Log-forward-moneyness
+     * @param {number} t - Time in years
+     * @returns {{w: number, dw: number, d2w: number, dwdt: number}} Total
+     *     variance, its derivatives in k and its derivative in t
+     */
+    totalVariance(k, t) {
+        const times = this.maturities;
+        const last = times.length - 1;
+        if (t <= times[0] || t >= times[last]) {
+            const i = t <= times[0] ? 0 : last;
+            const slice = sviVariance(this.slices[i], k);
+            const scale = t / times[i];
+            return {
+                w: slice.w * scale,
+                dw: slice.dw * scale,
+                d2w: slice.d2w * scale,
+                dwdt: slice.w / times[i]
+            };
+        }
+
+        let i = 0;
+        while (times[i + 1] < t) {
+            i++;
+        }
+        const before = sviVariance(this.slices[i], k);
+        const after = sviVariance(this.slices[i + 1], k);
+        const span = times[i + 1] - times[i];
+        const weight = (t - times[i]) / span;
+        const mix = name => before[name] + weight * (after[name] - before[name]);
+        return { w: mix('w'), dw: mix('dw'), d2w: mix('d2w'), dwdt: (after.w - before.w) / span };
+    }
+
+    /**
+     * @param {number} strike - Strike price
+     * @param {number} t - Maturity in years
+     * @returns {number} Black-Scholes implied volatility from the fitted surface
+     */
+    volatility(strike, t) {
+        const k = Math.log(strike / this.forward(t));
+        return Math.sqrt(this.totalVariance(k, t).w / t);
+    }
+
+    /**
+     * Dupire local variance in total implied variance (Gatheral):
+     * sigma_loc^2(k, t) = (dw/dt) / g(k), with g the density function.
+     * Kept within bounds where the surface is extrapolated far into a wing.
+     * @param {number} k - Log-forward-moneyness ln(S / F(t))
+     * @param {number} t - Time in years
+     * @returns {number} Local variance
+     */
+    localVariance(k, t) {
+        const slice = this.totalVariance(k, t);
+        const density = slice.w > 0 ? densityFunction(k, slice) : 0;
+        const variance = density > 0 ? slice.dwdt / density : MAX_LOCAL_VARIANCE;
+        return Math.min(Math.max(variance, MIN_LOCAL_VARIANCE), MAX_LOCAL_VARIANCE);
+    }
+
+    /**
+     * Local volatility tabulated for simulation
+     * @param {number[]} times - Times of the rows
+     * @param {{min: number, max: number, count: number}} grid - Log-forward-moneyness nodes
+     * @returns {Float64Array} Local volatility, one row of grid.count nodes per time
+     */
+    localVolatilityTable(times, { min, max, count }) {
+        const table = new Float64Array(times.length * count);
+        times.forEach((t, row) => {
+            for (let node = 0; node < count; node++) {
+                const k = min + (max - min) * node / (count - 1);
+                table[row * count + node] = Math.sqrt(this.localVariance(k, t));
+            }
+        });
+        return table;
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * Zero-coupon yield curve built from continuously compounded zero rates at
+ * a set of pillar times.
+ *
+ * Two interpolation schemes are supported:
+ * - 'piecewise-flat': instantaneous forward rates are constant between
+ *   pillars, i.e. r(t) * t is linear in t
+ * - 'linear': zero rates are interpolated linearly between pillars
+ * Both extrapolate flat: the first zero rate before the first pillar and
+ * the last forward (piecewise-flat) or zero rate (linear) after the last.
+ */
+export class YieldCurve {
+    /**
+     * @param {object} curve
+     * @param {number[]} curve.times - Pillar times in years, strictly increasing and positive
+     * @param {number[]} curve.rates - Zero rates at the pillars
+     * @param {string} [curve.interpolation='piecewise-flat'] - 'piecewise-flat' or 'linear'
+     */
+    constructor({ times, rates, interpolation = 'piecewise-flat' }) {
+        if (!times || !rates || times.length === 0 || times.length !== rates.length) {
+            throw new Error('Yield curve needs one zero rate per pillar time');
+        }
+        if (times.some((t, i) => !(t > 0) || (i > 0 && t <= times[i - 1]))) {
+            throw new Error('Yield curve times must be positive and strictly increasing');
+        }
+        if (rates.some(rate => !isFinite(rate))) {
+            throw new Error('Invalid yield curve rate');
+        }
+        if (interpolation !== 'piecewise-flat' && interpolation !== 'linear') {
+            throw new Error(`Invalid yield curve interpolation: ${interpolation}`);
+        }
+
+        this.times = times;
+        this.rates = rates;
+        this.interpolation = interpolation;
+    }
+
+    /**
+     * Curve with the same zero rate at every maturity
+     * @param {number} rate - Continuously compounded rate
+     * @returns {YieldCurve} Flat curve
+     */
+    static flat(rate) {
+        return new YieldCurve({ times: [1], rates: [rate] });
+    }
+
+    /**
+     * Continuously compounded zero rate to time t
+     * @param {number} t - Time in years
+     * @returns {number} Zero rate
+     */
+    zeroRate(t) {
+        const { times, rates } = this;
+        const last = times.length - 1;
+
+        if (t <= times[0]) {
+            return rates[0];
+        }
+        if (t >= times[last]) {
+            if (this.interpolation === 'linear' || last === 0) {
+                return rates[last];
+            }
+            const forward = (rates[last] * times[last] - rates[last - 1] * times[last - 1]) /
+                            (times[last] - times[last - 1]);
+            return (rates[last] * times[last] + forward * (t - times[last])) / t;
+        }
+
+        let i = 1;
+        while (times[i] < t) {
+            i++;
+        }
+        const weight = (t - times[i - 1]) / (times[i] - times[i - 1]);
+        if (this.interpolation === 'linear') {
+            return rates[i - 1] + weight * (rates[i] - rates[i - 1]);
+        }
+        const integrated = rates[i - 1] * times[i - 1] + weight * (rates[i] * times[i] - rates[i - 1] * times[i - 1]);
+        return integrated / t;
+    }
+
+    /**
+     * @param {number} t - Time in years
+     * @returns {number} Price of a zero-coupon bond paying 1 at t
+     */
+    discountFactor(t) {
+        return t <= 0 ? 1 : Math.exp(-this.zeroRate(t) * t);
+    }
+
+    /**
+     * Continuously compounded forward rate between two times
+     * @param {number} t1 - Start time
+     * @param {number} t2 - End time, after t1
+     * @returns {number} Forward rate
+     */
+    forwardRate(t1, t2) {
+        return Math.log(this.discountFactor(t1) / this.discountFactor(t2)) / (t2 - t1);
+    }
+}
@@ -0,0 +1,154 @@
+import { BarrierOption } from '../models/BarrierOption.js';
+import { AmericanOption } from '../models/AmericanOption.js';
+import { MultiAssetSimulation } from '../models/MultiAssetSimulation.js';
+import { createOption } from '../models/productFactory.js';
+import { Portfolio } from '../models/Portfolio.js';
+import { DeltaHedger } from '../models/DeltaHedger.js';
+import { ScenarioGrid } from '../models/ScenarioGrid.js';
+import { createRandomStream } from '../utils/random.js';
+import { positionRisk, returnMetrics } from '../utils/riskMetrics.js';
+
+/**
+ * Runs one task from the PricingPool, for the web worker or for an
+ * in-process worker in headless runs:
+ * - 'chunk' prices one chunk of a run. The chunk's simulations draw from
+ *   their own random stream; everything the pool needs to merge chunks is
+ *   sent back: the price and Greek estimates with their sample counts, plus
+ *   per-path payoffs, hedge gains and returns for the risk metrics.
+ * - 'risk' computes the risk metrics on the merged chunks.
+ * - 'portfolio' prices a whole portfolio, whose positions share one set of
+ *   paths and so are not split into chunks.
+ * - 'hedge' backtests delta hedging along every path of one run.
+ * - 'grid-row' prices one row of a scenario grid.
+ * @param {object} data - Task message from the pool
+ * @returns {{message: object, transfer: ArrayBuffer[]}} Reply, and the
+ *     buffers it can hand over without copying
+ */
+export function handleTask(data) {
+    if (data.task === 'risk') {
+        return { message: { riskMetrics: mergedRiskMetrics(data) }, transfer: [] };
+    }
+    if (data.task === 'portfolio') {
+        return { message: { taskResult: new Portfolio(data.params).price() }, transfer: [] };
+    }
+    if (data.task === 'hedge') {
+        return { message: { taskResult: new DeltaHedger(data.params).run() }, transfer: [] };
+    }
+    if (data.task === 'grid-row') {
+        return { message: { gridRow: new ScenarioGrid(data.params).priceRow(data.row) }, transfer: [] };
+    }
+
+    const message = priceChunk(data.params, data.chunk);
+    return {
+        message,
+        transfer: [message.payoffs.buffer, message.gains.buffer, message.returns.buffer]
+    };
+}
+
+/**
+ * Prices one chunk of a run
+ * @param {object} params - Pricing parameters with the chunk's simulations and stream
+ * @param {{index: number}} chunk - Chunk being priced
+ * @returns {object} Chunk result for PricingPool.merge()
+ */
+function priceChunk(params, chunk) {
+    const option = createOption(params);
+
+    // Calculate price and metrics
+    const paths = option.simulatePaths();
+    const result = option.calculatePrice(paths);
+
+    // Apply continuous monitoring correction if applicable, before the
+    // Greeks so that they are those of the corrected contract
+    let finalResult = result;
+    if (params.optionType.startsWith('barrier')) {
+        finalResult = option.adjustForContinuousBarrier(result);
+    } else if (params.optionType.startsWith('lookback')) {
+        finalResult = option.adjustForContinuousMonitoring(result);
+    }
+    const greeks = option.calculateGreeks(paths);
+
+    // Control variates reduce the variance of the price, not of the Greeks
+    if (option.useControlVariate) {
+        finalResult = option.applyControlVariates(finalResult);
+    }
+
+    const message = {
+        chunk: chunk.index,
+        seed: option.seed,
+        simulations: option.simulations,
+        price: finalResult.price,
+        confidence: finalResult.confidence,
+        greeks,
+        samplePaths: samplePaths(paths),
+        exerciseBoundary: finalResult.exerciseBoundary,
+        controlVariate: finalResult.controlVariate,
+        payoffs: Float64Array.from(finalResult.payoffs),
+        gains: Float64Array.from(paths.flatMap(path => option.underlyingGains(path))),
+        returns: Float64Array.from(option.terminalReturns(paths)),
+        rate: option.r
+    };
+
+    // Barrier levels for the path chart
+    if (option instanceof BarrierOption) {
+        message.barriers = option.barrierLevels();
+    }
+
+    // Closed form of the same contract, which the merged price is checked against
+    message.closedForm = option.closedForm();
+
+    // Andersen-Broadie dual bound brackets the LSM (lower bound) price.
+    // Its nested simulation is expensive, so only the first chunk runs it.
+    if (chunk.index === 0 && option instanceof AmericanOption && option.supportsUpperBound()) {
+        message.upperBound = option.calculateUpperBound(result);
+    }
+
+    // European call on the Heston / jump-diffusion / local-volatility paths
+    // against its closed form; single-asset paths only
+    if (!(option instanceof MultiAssetSimulation) && (option.model !== 'gbm' || option.jumpDiffusion)) {
+        message.europeanBenchmark = option.calculateEuropeanBenchmark(paths);
+    }
+
+    // Local-volatility paths repricing the implied surface they came from
+    if (option.model === 'local-vol') {
+        message.surfaceRepricing = option.calculateSurfaceRepricing(paths);
+    }
+
+
+    return message;
+}
+
+/**
+ * Risk metrics of the whole run from the payoffs, hedge gains and returns of
+ * all its chunks. The bootstrap uses the same substream as a single-worker
+ * run, so bands are reproducible with the seed.
+ * @param {object} data - { payoffs, gains, returns, rate, premium, delta, levels, seed }
+ * @returns {object} Same shape as MonteCarloSimulation.calculateRiskMetrics()
+ */
+function mergedRiskMetrics({ payoffs, gains, returns, rate, premium, delta, levels, seed }) {
+    const assetCount = gains.length / payoffs.length;
+    const rng = createRandomStream(seed, 0, 2);
+    return {
+        ...returnMetrics(returns, rate),
+        ...positionRisk({
+            payoffs,
+            premium,
+            gains: Array.from(payoffs, (_, i) => gains.subarray(i * assetCount, (i + 1) * assetCount)),
+            delta,
+            levels,
+            random: () => rng.next()
+        })
+    };
+}
+
+/**
+ * Copies the first few paths for the chart. Paths are views into one large
+ * buffer, which would otherwise be cloned whole into the message.
+ * @param {Array} paths - Simulated paths, single- or multi-asset
+ * @returns {Array} Up to ten paths as plain arrays
+ */
+function samplePaths(paths) {
+    return paths.slice(0, 10).map(path => (typeof path[0] === 'number'
+        ? Array.from(path)
+        : path.map(assetPath => Array.from(assetPath))));
+}
@@ -0,0 +1,38 @@
+import { handleTask } from './chunkPricing.js';
+
+/**
+ * Stand-in for a web worker that runs PricingPool tasks on the calling
+ * thread, for headless runs without web workers. Replies are delivered
+ * asynchronously, as from a real worker, so the pool behaves the same.
+ */
+export class InlineWorker {
+    constructor() {
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+    }
+
+    /**
+     * Queues a task; its reply goes to onmessage unless the worker is
+     * terminated first
+     * @param {object} data - Task message from the pool
+     */
+    postMessage(data) {
+        setTimeout(() => {
+            if (this.terminated) {
+                return;
+            }
+            let message;
+            try {
+                message = handleTask(data).message;
+            } catch (error) {
+                message = { error: error.message, stack: error.stack, name: error.name };
+            }
+            this.onmessage({ data: message });
+        }, 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
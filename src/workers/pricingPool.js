@@ -0,0 +1,651 @@
+import { createSeed } from '../utils/random.js';
+import { compareWithAnalytical, mergeEstimates } from '../utils/statistics.js';
+import { impliedVolatility } from '../utils/analytics.js';
+import { ScenarioGrid, GRID_SURFACES } from '../models/ScenarioGrid.js';
+
+// Chunks smaller than this spend more time on setup than on simulation
+const MIN_CHUNK_SIMULATIONS = 2000;
+// More chunks than workers keeps every core busy and progress updates frequent
+const CHUNKS_PER_WORKER = 4;
+// Simulations per chunk in accuracy mode (Sobol points per replication under RQMC)
+const ADAPTIVE_BATCH_SIMULATIONS = 2048;
+// Chunks needed before the interval is trusted enough to stop on
+const MIN_ADAPTIVE_CHUNKS = 2;
+const MIN_ADAPTIVE_REPLICATIONS = 4;
+
+const GREEKS = ['delta', 'gamma', 'theta', 'vega', 'rho'];
+
+/**
+ * Prices an option on several web workers at once.
+ *
+ * The simulations are split into chunks that all share the run's seed but
+ * each draw from their own random stream (the chunk index), so the chunks
+ * are independent and the run stays reproducible whatever the pool size.
+ * Under quasi-Monte Carlo whole replications are handed out instead, since
+ * only those are independent. Chunk estimates are pooled with their sample
+ * counts, so the merged price and standard error match a single run over
+ * all the simulations.
+ *
+ * In accuracy mode (`params.accuracy`) the run has no fixed size: chunks of
+ * ADAPTIVE_BATCH_SIMULATIONS keep coming until the 95% interval is narrow
+ * enough or the simulation budget is spent. Stopping is decided on the
+ * chunks in index order, so a seed gives the same result on any number of
+ * cores; chunks still running past that point are discarded.
+ */
+export class PricingPool {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.size] - Number of workers, one per core by default
+     * @param {Function} [options.workerFactory] - Creates a worker-like object
+     *     with postMessage(), terminate() and onmessage / onerror handlers;
+     *     a web worker by default
+     */
+    constructor({
+        size = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4,
+        workerFactory = null
+    } = {}) {
+        this.size = Math.max(1, size);
+        this.workerFactory = workerFactory;
+        this.workers = [];
+        this.run = null;
+    }
+
+    /**
+     * Splits a run into chunks
+     * @param {object} params - Pricing parameters
+     * @returns {{index: number, simulations: number, qmcReplications?: number}[]} Chunks
+     */
+    planChunks(params) {
+        const maxChunks = this.size * CHUNKS_PER_WORKER;
+
+        if (params.useQuasiRandom) {
+            const perReplication = Math.ceil(params.simulations / params.qmcReplications);
+            const count = Math.max(1, Math.min(
+                maxChunks,
+                params.qmcReplications,
+                Math.floor(params.qmcReplications * perReplication / MIN_CHUNK_SIMULATIONS)
+            ));
+            return splitEvenly(params.qmcReplications, count).map((replications, index) => ({
+                index,
+                simulations: replications * perReplication,
+                qmcReplications: replications
+            }));
+        }
+
+        const count = Math.max(1, Math.min(maxChunks, Math.floor(params.simulations / MIN_CHUNK_SIMULATIONS)));
+        return splitEvenly(params.simulations, count).map((simulations, index) => ({ index, simulations }));
+    }
+
+    /**
+     * Number of chunks an accuracy-mode run may use at most
+     * @param {object} params - Pricing parameters with `accuracy`
+     * @returns {number} Chunk budget
+     */
+    adaptiveChunkLimit(params) {
+        const budget = params.accuracy.maxSimulations;
+        // RQMC replications must have equal size, so only whole batches fit
+        return Math.max(1, params.useQuasiRandom
+            ? Math.floor(budget / ADAPTIVE_BATCH_SIMULATIONS)
+            : Math.ceil(budget / ADAPTIVE_BATCH_SIMULATIONS));
+    }
+
+    /**
+     * Next chunk to simulate, or null when the run needs no more
+     * @param {object} run - Current run
+     * @returns {object|null} Chunk
+     */
+    takeChunk(run) {
+        if (run.next >= run.total) {
+            return null;
+        }
+        if (run.chunks) {
+            return run.chunks[run.next++];
+        }
+
+        const index = run.next++;
+        if (run.params.useQuasiRandom) {
+            return { index, simulations: ADAPTIVE_BATCH_SIMULATIONS, qmcReplications: 1 };
+        }
+        const remaining = run.params.accuracy.maxSimulations - index * ADAPTIVE_BATCH_SIMULATIONS;
+        return { index, simulations: Math.min(ADAPTIVE_BATCH_SIMULATIONS, remaining) };
+    }
+
+    /**
+     * Prices an option across the pool
+     * @param {object} params - Pricing parameters, including optionType. With
+     *     `accuracy: { target, relative, maxSimulations }` the run stops once
+     *     the 95% half-width is at most `target` (a fraction of the price when
+     *     `relative`), and `simulations` is ignored.
+     * @param {object} [options]
+     * @param {Function} [options.onProgress] - Called after every chunk with
+     *     { completed, total, simulations, estimate, convergence }, where
+     *     estimate is the running price with its confidence interval and
+     *     convergence the estimate after each chunk in index order
+     * @returns {Promise<object>} Merged result; `cancelled` is set when cancel()
+     *     stopped the run early, and `accuracy` reports whether the target was met
+     */
+    price(params, { onProgress = () => {} } = {}) {
+        if (this.run) {
+            return Promise.reject(new Error('A calculation is already running'));
+        }
+
+        const seed = params.seed === null || params.seed === undefined ? createSeed() : params.seed;
+        const chunks = params.accuracy ? null : this.planChunks(params);
+        const total = chunks ? chunks.length : this.adaptiveChunkLimit(params);
+
+        return new Promise((resolve, reject) => {
+            this.run = {
+                params: { ...params, seed },
+                chunks,
+                total,
+                results: [],
+                ordered: [],
+                convergence: [],
+                next: 0,
+                onProgress,
+                resolve,
+                reject
+            };
+
+            const workerCount = Math.min(this.size, total);
+            for (let i = 0; i < workerCount; i++) {
+                this.dispatch(this.createWorker());
+            }
+        });
+    }
+
+    /**
+     * Prices a portfolio on one worker. Its positions share one set of paths,
+     * so the run is not split into chunks.
+     * @param {object} params - Shared pricing parameters plus `positions`, see Portfolio
+     * @returns {Promise<object>} Result of Portfolio.price(); cancel() rejects
+     *     it with an AbortError
+     */
+    pricePortfolio(params) {
+        return this.runTask('portfolio', params);
+    }
+
+    /**
+     * Backtests delta hedging on one worker, which walks every path
+     * @param {object} params - Pricing parameters plus the hedging settings, see DeltaHedger
+     * @returns {Promise<object>} Result of DeltaHedger.run(); cancel() rejects
+     *     it with an AbortError
+     */
+    backtestHedge(params) {
+        return this.runTask('hedge', params);
+    }
+
+    /**
+     * Prices a scenario grid, one row of the second axis per task, across
+     * the pool. All cells share the run's seed, so the grid is on common
+     * random numbers whichever worker prices a row.
+     * @param {object} params - Pricing parameters plus `grid`, see ScenarioGrid
+     * @param {object} [options]
+     * @param {Function} [options.onProgress] - Called after every row with { completed, total }
+     * @returns {Promise<object>} Axes and surfaces, see assembleGrid();
+     *     cancel() rejects it with an AbortError
+     */
+    scanGrid(params, { onProgress = () => {} } = {}) {
+        if (this.run) {
+            return Promise.reject(new Error('A calculation is already running'));
+        }
+
+        const seed = params.seed === null || params.seed === undefined ? createSeed() : params.seed;
+        const grid = new ScenarioGrid({ ...params, seed });
+        return new Promise((resolve, reject) => {
+            this.run = {
+                params: { ...params, seed },
+                grid,
+                rows: [],
+                next: 0,
+                total: grid.values.length,
+                results: [],
+                onProgress,
+                resolve,
+                reject
+            };
+
+            const workerCount = Math.min(this.size, this.run.total);
+            for (let i = 0; i < workerCount; i++) {
+                this.dispatchRow(this.createWorker());
+            }
+        });
+    }
+
+    /**
+     * Sends the next grid row to a worker
+     * @param {Worker} worker - Idle worker
+     */
+    dispatchRow(worker) {
+        const run = this.run;
+        if (run.next < run.total) {
+            worker.postMessage({ task: 'grid-row', params: run.params, row: run.next++ });
+        }
+    }
+
+    /**
+     * Runs a task that needs all of its paths together on a single worker
+     * @param {string} task - Task name, see handleTask()
+     * @param {object} params - Task parameters; a missing seed is drawn here
+     * @returns {Promise<object>} The task's result
+     */
+    runTask(task, params) {
+        if (this.run) {
+            return Promise.reject(new Error('A calculation is already running'));
+        }
+
+        const seed = params.seed === null || params.seed === undefined ? createSeed() : params.seed;
+        return new Promise((resolve, reject) => {
+            this.run = {
+                params: { ...params, seed },
+                results: [],
+                resolve,
+                reject
+            };
+            this.createWorker().postMessage({ task, params: this.run.params });
+        });
+    }
+
+    /**
+     * Stops the run. The result resolves with the estimate from the chunks
+     * finished so far, or rejects with an AbortError if none has finished yet.
+     */
+    cancel() {
+        const run = this.run;
+        if (!run) {
+            return;
+        }
+
+        this.terminate();
+        if (run.results.length === 0) {
+            this.finish(null, new DOMException('Calculation cancelled', 'AbortError'));
+        } else {
+            this.finish(this.merge(run, run.results, true));
+        }
+    }
+
+    createWorker() {
+        const worker = this.workerFactory
+            ? this.workerFactory()
+            : new Worker(new URL('./pricingWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = e => this.handleMessage(worker, e.data);
+        worker.onerror = e => this.fail(new Error('Error in calculation worker: ' + e.message));
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Sends the next pending chunk to a worker
+     * @param {Worker} worker - Idle worker
+     */
+    dispatch(worker) {
+        const run = this.run;
+        const chunk = this.takeChunk(run);
+        if (!chunk) {
+            return;
+        }
+        const params = {
+            ...run.params,
+            simulations: chunk.simulations,
+            stream: chunk.index
+        };
+        if (chunk.qmcReplications) {
+            params.qmcReplications = chunk.qmcReplications;
+        }
+
+        worker.postMessage({
+            task: 'chunk',
+            params,
+            optionType: params.optionType,
+            chunk: { index: chunk.index }
+        });
+    }
+
+    handleMessage(worker, data) {
+        const run = this.run;
+        if (!run) {
+            return;
+        }
+        if (data.error) {
+            this.fail(new Error(data.error));
+            return;
+        }
+
+        if (data.taskResult) {
+            this.terminate();
+            this.finish(data.taskResult);
+            return;
+        }
+
+        if (data.gridRow) {
+            run.rows[data.gridRow.index] = data.gridRow;
+            const completed = run.rows.filter(Boolean).length;
+            run.onProgress({ completed, total: run.total });
+            if (this.run !== run) {
+                return;
+            }
+            if (completed === run.total) {
+                this.terminate();
+                this.finish(assembleGrid(run));
+            } else {
+                this.dispatchRow(worker);
+            }
+            return;
+        }
+
+        if (data.riskMetrics) {
+            this.terminate();
+            this.finish({ ...run.merged, riskMetrics: data.riskMetrics });
+            return;
+        }
+
+        run.results.push(data);
+        const stopped = this.advance(run);
+        run.onProgress({
+            completed: run.results.length,
+            total: run.total,
+            simulations: run.results.reduce((sum, part) => sum + part.simulations, 0),
+            estimate: mergeEstimates(run.results.map(part => part.confidence), {
+                studentT: run.params.useQuasiRandom
+            }),
+            convergence: run.convergence
+        });
+        // The progress callback may have cancelled the run
+        if (this.run !== run) {
+            return;
+        }
+
+        if (!stopped) {
+            this.dispatch(worker);
+            return;
+        }
+
+        // Risk metrics need every payoff at once; one worker computes them so
+        // the page stays responsive. Chunks beyond the stopping point are dropped.
+        this.terminate(worker);
+        run.merged = this.merge(run, run.ordered, false);
+        worker.postMessage(this.riskTask(run), [run.riskInputs.payoffs.buffer,
+            run.riskInputs.gains.buffer, run.riskInputs.returns.buffer]);
+    }
+
+    /**
+     * Extends the run of consecutive finished chunks, recording the estimate
+     * after each one for the convergence chart
+     * @param {object} run - Current run
+     * @returns {boolean} Whether the run is complete
+     */
+    advance(run) {
+        const byIndex = new Map(run.results.map(part => [part.chunk, part]));
+        const studentT = run.params.useQuasiRandom;
+
+        while (byIndex.has(run.ordered.length)) {
+            run.ordered.push(byIndex.get(run.ordered.length));
+            const estimate = mergeEstimates(run.ordered.map(part => part.confidence), { studentT });
+            run.convergence.push({
+                simulations: run.ordered.reduce((sum, part) => sum + part.simulations, 0),
+                mean: estimate.mean,
+                lower: estimate.lower,
+                upper: estimate.upper
+            });
+            if (run.ordered.length === run.total || this.targetMet(run, estimate)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @param {object} run - Current run
+     * @param {object} estimate - Estimate over the consecutive finished chunks
+     * @returns {boolean} Whether an accuracy-mode run can stop
+     */
+    targetMet(run, estimate) {
+        const accuracy = run.params.accuracy;
+        const minimum = run.params.useQuasiRandom ? MIN_ADAPTIVE_REPLICATIONS : MIN_ADAPTIVE_CHUNKS;
+        if (!accuracy || run.ordered.length < minimum) {
+            return false;
+        }
+        const halfWidth = (estimate.upper - estimate.lower) / 2;
+        return halfWidth <= (accuracy.relative ? accuracy.target * Math.abs(estimate.mean) : accuracy.target);
+    }
+
+    /**
+     * Pools finished chunks into one result
+     * @param {object} run - Current run
+     * @param {object[]} results - Chunks to pool
+     * @param {boolean} cancelled - Whether the run was stopped early
+     * @returns {object} Merged result, without risk metrics
+     */
+    merge(run, results, cancelled) {
+        const parts = [...results].sort((a, b) => a.chunk - b.chunk);
+        const studentT = run.params.useQuasiRandom;
+        const simulations = parts.reduce((sum, part) => sum + part.simulations, 0);
+        const first = parts[0];
+
+        const result = {
+            price: parts.reduce((sum, part) => sum + part.simulations * part.price, 0) / simulations,
+            confidence: mergeEstimates(parts.map(part => part.confidence), { studentT }),
+            greeks: mergeGreeks(parts, studentT),
+            seed: run.params.seed,
+            simulations,
+            qmcReplications: run.params.useQuasiRandom
+                ? parts.reduce((sum, part) => sum + part.confidence.samples, 0)
+                : null,
+            chunks: { completed: parts.length, total: run.total },
+            workers: this.size,
+            paths: first.samplePaths,
+            exerciseBoundary: first.exerciseBoundary,
+            barriers: first.barriers,
+            payoffs: concat(parts.map(part => part.payoffs)),
+            convergence: run.convergence,
+            cancelled
+        };
+
+        if (run.params.accuracy) {
+            const { target, relative, maxSimulations } = run.params.accuracy;
+            const halfWidth = (result.confidence.upper - result.confidence.lower) / 2;
+            result.accuracy = {
+                target,
+                relative,
+                maxSimulations,
+                halfWidth,
+                met: halfWidth <= (relative ? target * Math.abs(result.confidence.mean) : target)
+            };
+        }
+
+        if (first.controlVariate) {
+            const rawConfidence = mergeEstimates(parts.map(part => part.controlVariate.rawConfidence), { studentT });
+            result.controlVariate = {
+                // Each chunk fits its own coefficients; report their sample-weighted mean
+                controls: first.controlVariate.controls.map((control, k) => ({
+                    ...control,
+                    beta: parts.reduce((sum, part) =>
+                        sum + part.confidence.samples * part.controlVariate.controls[k].beta, 0) / result.confidence.samples
+                })),
+                rawConfidence,
+                varianceReduction: Math.pow(rawConfidence.stderr / result.confidence.stderr, 2)
+            };
+        }
+
+        if (first.closedForm) {
+            result.validation = {
+                method: first.closedForm.method,
+                ...compareWithAnalytical({ mean: result.price, stderr: result.confidence.stderr }, first.closedForm.price)
+            };
+        }
+        if (first.chunk === 0 && first.upperBound) {
+            result.upperBound = first.upperBound;
+        }
+        if (first.europeanBenchmark) {
+            const benchmarks = parts.map(part => part.europeanBenchmark);
+            const estimate = mergeEstimates(benchmarks.map(b => ({ mean: b.monteCarlo, stderr: b.stderr, samples: b.samples })), { studentT });
+            result.europeanBenchmark = {
+                model: first.europeanBenchmark.model,
+                samples: estimate.samples,
+                ...compareWithAnalytical(estimate, first.europeanBenchmark.analytical)
+            };
+        }
+        if (first.surfaceRepricing) {
+            result.surfaceRepricing = first.surfaceRepricing.map((quote, i) => {
+                const estimate = mergeEstimates(parts.map(part => {
+                    const { monteCarlo, stderr, samples } = part.surfaceRepricing[i];
+                    return { mean: monteCarlo, stderr, samples };
+                }), { studentT });
+                const { monteCarlo, stderr, errorInStdErrs, passed, ...terms } = quote;
+                const comparison = compareWithAnalytical(estimate, quote.analytical);
+                return {
+                    ...terms,
+                    samples: estimate.samples,
+                    ...comparison,
+                    passed: quote.checked ? comparison.passed : null,
+                    // Volatility the simulated price implies, against the quote
+                    impliedVolatility: impliedVolatility({
+                        price: estimate.mean,
+                        spot: quote.forward * quote.discount,
+                        strike: quote.strike,
+                        rate: -Math.log(quote.discount) / quote.time,
+                        maturity: quote.time,
+                        type: quote.type
+                    })
+                };
+            });
+        }
+
+        run.riskInputs = {
+            payoffs: result.payoffs.slice(),
+            gains: concat(parts.map(part => part.gains)),
+            returns: concat(parts.map(part => part.returns)),
+            rate: first.rate
+        };
+
+        return result;
+    }
+
+    /**
+     * @param {object} run - Run whose chunks are merged
+     * @returns {object} Message asking a worker for the merged risk metrics
+     */
+    riskTask(run) {
+        return {
+            task: 'risk',
+            ...run.riskInputs,
+            premium: run.merged.price,
+            delta: run.merged.greeks.delta,
+            levels: run.params.riskLevels,
+            seed: run.params.seed
+        };
+    }
+
+    fail(error) {
+        this.terminate();
+        this.finish(null, error);
+    }
+
+    finish(result, error = null) {
+        const run = this.run;
+        this.run = null;
+        if (!run) {
+            return;
+        }
+        if (error) {
+            run.reject(error);
+        } else {
+            run.resolve(result);
+        }
+    }
+
+    /**
+     * @param {Worker} [keep] - Worker to leave running
+     */
+    terminate(keep = null) {
+        this.workers.forEach(worker => {
+            if (worker !== keep) {
+                worker.terminate();
+            }
+        });
+        this.workers = keep ? [keep] : [];
+    }
+}
+
+/**
+ * Splits a total into `count` near-equal integer parts
+ * @param {number} total - Amount to split
+ * @param {number} count - Number of parts
+ * @returns {number[]} Parts summing to total
+ */
+function splitEvenly(total, count) {
+    const base = Math.floor(total / count);
+    return Array.from({ length: count }, (_, i) => base + (i < total % count ? 1 : 0));
+}
+
+/**
+ * @param {Float64Array[]} arrays - Arrays to join
+ * @returns {Float64Array} Concatenation in order
+ */
+function concat(arrays) {
+    const joined = new Float64Array(arrays.reduce((sum, array) => sum + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+        joined.set(array, offset);
+        offset += array.length;
+    });
+    return joined;
+}
+
+/**
+ * Pools each chunk's Greeks, element by element for per-asset Greeks. Greek
+ * estimates are averages over the same independent samples as the price.
+ * @param {object[]} parts - Chunk results in chunk order
+ * @param {boolean} studentT - Whether intervals use a t quantile
+ * @returns {object} Greeks with standard errors and methods
+ */
+function mergeGreeks(parts, studentT) {
+    const greeks = { standardErrors: {}, methods: parts[0].greeks.methods };
+
+    GREEKS.forEach(name => {
+        const pool = select => mergeEstimates(parts.map(part => ({
+            mean: select(part.greeks[name]),
+            stderr: select(part.greeks.standardErrors[name]),
+            samples: part.confidence.samples
+        })), { studentT });
+
+        if (Array.isArray(parts[0].greeks[name])) {
+            const merged = parts[0].greeks[name].map((_, k) => pool(values => values[k]));
+            greeks[name] = merged.map(estimate => estimate.mean);
+            greeks.standardErrors[name] = merged.map(estimate => estimate.stderr);
+        } else {
+            const merged = pool(value => value);
+            greeks[name] = merged.mean;
+            greeks.standardErrors[name] = merged.stderr;
+        }
+    });
+
+    return greeks;
+}
+
+/**
+ * Joins the priced rows of a scenario grid
+ * @param {object} run - Finished grid run
+ * @returns {object} { axis, spots, values, surfaces, standardErrors, methods,
+ *     errors, seed, simulations }, where each surface is a matrix with one
+ *     row per value of the second axis and one column per spot
+ */
+function assembleGrid(run) {
+    const { grid, rows } = run;
+    const result = {
+        axis: grid.axis,
+        spots: grid.spots,
+        values: grid.values,
+        surfaces: {},
+        standardErrors: {},
+        methods: (rows.find(row => row.methods) || {}).methods || null,
+        errors: rows.flatMap(row => row.errors),
+        seed: run.params.seed,
+        simulations: run.params.simulations
+    };
+    GRID_SURFACES.forEach(name => {
+        result.surfaces[name] = rows.map(row => row[name]);
+        result.standardErrors[name] = rows.map(row => row.standardErrors[name]);
+    });
+    return result;
+}
@@ -0,0 +1,80 @@
+import { AmericanOption } from '../src/models/AmericanOption.js';
+
+const MARKET = {
+    spot: 100,
+    strike: 100,
+    volatility: 0.2,
+    riskFreeRate: 0.05,
+    maturity: 1,
+    steps: 20,
+    simulations: 4000,
+    seed: 11
+};
+
+// Black-Scholes call at S = K = 100, r = 5%, sigma = 20%, T = 1
+const BS_CALL = { price: 10.450583572185565, delta: 0.6368306511756191, rho: 53.232481545376345 };
+
+describe('American options', () => {
+    test('a call without dividends has the Black-Scholes delta and rho', () => {
+        const option = new AmericanOption({ ...MARKET, type: 'call', simulations: 8000, greeksMethod: 'finite-difference' });
+        const paths = option.simulatePaths();
+        option.calculatePrice(paths);
+        const greeks = option.calculateGreeks(paths);
+
+        // Bumps follow the base run's exercise policy, so only sampling noise remains
+        expect(greeks.standardErrors.rho).toBeLessThan(2);
+        expect(Math.abs(greeks.delta - BS_CALL.delta)).toBeLessThan(3 * greeks.standardErrors.delta + 0.01);
+        expect(Math.abs(greeks.rho - BS_CALL.rho)).toBeLessThan(3 * greeks.standardErrors.rho + 1);
+    });
+
+    test('bumped copies follow the base run\'s policy instead of refitting', () => {
+        const option = new AmericanOption(MARKET);
+        const paths = option.simulatePaths();
+        const base = option.calculatePrice(paths);
+
+        // On the base paths the policy reproduces the fitted price
+        const repriced = option.clone({ rng: option.pathRng.clone() }).calculatePrice(null, option.policy);
+        expect(repriced.price).toBeCloseTo(base.price, 10);
+
+        const bumped = option.clone({ spot: 101, rng: option.pathRng.clone() });
+        bumped.calculatePrice(null, option.policy);
+        expect(bumped.policy).toBe(option.policy);
+    });
+
+    test('a deep in-the-money put prices inside its own confidence interval', () => {
+        const option = new AmericanOption({ ...MARKET, spot: 60 });
+        const result = option.calculatePrice();
+
+        expect(result.price).toBe(40);
+        expect(result.confidence.mean).toBe(result.price);
+        expect(result.payoffs.every(payoff => payoff === 40)).toBe(true);
+    });
+});
+
+describe('Bermudan options', () => {
+    const BERMUDAN = { ...MARKET, type: 'put', exerciseStyle: 'bermudan' };
+
+    test('an exercise date at maturity prices with Greeks', () => {
+        const option = new AmericanOption({ ...BERMUDAN, exerciseDates: [0.25, 0.5, 0.75, 1] });
+        const paths = option.simulatePaths();
+        const result = option.calculatePrice(paths);
+        const greeks = option.calculateGreeks(paths);
+
+        expect(option.exerciseSteps).toEqual([5, 10, 15, 20]);
+        expect(result.price).toBeGreaterThan(0);
+        expect(Number.isFinite(greeks.theta)).toBe(true);
+        expect(greeks.delta).toBeLessThan(0);
+    });
+
+    test('a shortened copy moves dates past its maturity to the last step', () => {
+        const option = new AmericanOption({ ...BERMUDAN, exerciseDates: [0.5, 1] });
+        const shortened = option.clone({ maturity: 0.99 });
+
+        expect(shortened.exerciseSteps).toEqual([10, 20]);
+    });
+
+    test('exercise dates must be positive', () => {
+        expect(() => new AmericanOption({ ...BERMUDAN, exerciseDates: [0, 1] }))
+            .toThrow('Exercise dates must be positive times');
+    });
+});
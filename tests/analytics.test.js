@@ -0,0 +1,62 @@
+import { bivariateNormalCDF, blackScholesPrice, impliedVolatility, normalCDF } from '../src/utils/analytics.js';
+
+describe('bivariate normal CDF', () => {
+    // Haug, The Complete Guide to Option Pricing Formulas, table of M(a, b; rho)
+    test.each([
+        [0, 0, 0, 0.25],
+        [0, 0, -0.5, 0.166667],
+        [0, 0, 0.5, 0.333333],
+        [0, -0.5, 0, 0.154269],
+        [0, -0.5, -0.5, 0.081660],
+        [0, -0.5, 0.5, 0.226878],
+        [0.5, -0.5, -0.5, 0.145218],
+        [0.5, -0.5, 0.5, 0.272239],
+        [0.5, 0.5, -0.5, 0.419223],
+        [0.5, 0.5, 0.5, 0.546244]
+    ])('M(%s, %s; %s) = %s', (x, y, rho, expected) => {
+        expect(bivariateNormalCDF(x, y, rho)).toBeCloseTo(expected, 6);
+    });
+
+    // Near-perfect correlation takes the expansion around rho = +-1
+    test.each([
+        [-0.5, -0.5, 0.95, 0.263982272819],
+        [1, 2, -0.95, 0.818594614120],
+        [-1, 0.3, 0.99, 0.158655253931]
+    ])('M(%s, %s; %s) = %s', (x, y, rho, expected) => {
+        expect(bivariateNormalCDF(x, y, rho)).toBeCloseTo(expected, 10);
+    });
+
+    test('the origin follows Sheppard\'s formula and the limits are exact', () => {
+        [-0.99, -0.6, -0.2, 0.1, 0.4, 0.8, 0.97].forEach(rho => {
+            expect(bivariateNormalCDF(0, 0, rho)).toBeCloseTo(0.25 + Math.asin(rho) / (2 * Math.PI), 14);
+        });
+        expect(bivariateNormalCDF(0.3, -0.7, 1)).toBeCloseTo(normalCDF(-0.7), 14);
+        expect(bivariateNormalCDF(0.3, -0.7, -1)).toBeCloseTo(Math.max(0, normalCDF(0.3) - normalCDF(0.7)), 14);
+    });
+});
+
+describe('implied volatility', () => {
+    const CONTRACT = { spot: 100, rate: 0.05, dividendYield: 0.02, maturity: 0.75 };
+
+    test('Black-Scholes prices invert to their volatility', () => {
+        [80, 90, 100, 110, 125].forEach(strike => {
+            ['call', 'put'].forEach(type => {
+                [0.1, 0.2, 0.6, 1.5].forEach(volatility => {
+                    const contract = { ...CONTRACT, strike, type };
+                    const price = blackScholesPrice({ ...contract, volatility });
+                    const implied = impliedVolatility({ ...contract, price });
+
+                    expect(implied).toBeCloseTo(volatility, 6);
+                    expect(blackScholesPrice({ ...contract, volatility: implied })).toBeCloseTo(price, 7);
+                });
+            });
+        });
+    });
+
+    test('prices outside the no-arbitrage bounds have no implied volatility', () => {
+        const contract = { ...CONTRACT, strike: 100, type: 'call' };
+
+        expect(impliedVolatility({ ...contract, price: 0 })).toBeNaN();
+        expect(impliedVolatility({ ...contract, price: 100 })).toBeNaN();
+    });
+});
@@ -0,0 +1,98 @@
+import { BarrierOption } from '../src/models/BarrierOption.js';
+import { LookbackOption } from '../src/models/LookbackOption.js';
+
+const BARRIER = {
+    type: 'call',
+    barrierType: 'up-and-out',
+    spot: 100,
+    strike: 100,
+    barrier: 130,
+    volatility: 0.25,
+    riskFreeRate: 0.05,
+    dividendYield: 0.02,
+    maturity: 1,
+    steps: 10,
+    simulations: 8000,
+    seed: 17
+};
+
+const HESTON = { kappa: 2, theta: 0.0625, xi: 0.4, rho: -0.6, v0: 0.0625 };
+
+describe('barrier continuity corrections', () => {
+    test('the Brownian bridge reprices the continuous barrier on a coarse grid', () => {
+        const option = new BarrierOption({ ...BARRIER, continuityCorrection: 'brownian-bridge' });
+        const check = option.validateClosedForm(option.adjustForContinuousBarrier(option.calculatePrice()));
+
+        expect(check.passed).toBe(true);
+    });
+
+    test.each([
+        ['Heston', { model: 'heston', heston: HESTON }],
+        ['jump diffusion', { jumpDiffusion: true, jumpIntensity: 1, jumpMean: -0.05, jumpVolatility: 0.1 }],
+        ['discrete dividends', { dividends: [{ time: 0.5, amount: 1, type: 'cash' }] }]
+    ])('the Brownian bridge is refused under %s', (_, dynamics) => {
+        expect(() => new BarrierOption({ ...BARRIER, ...dynamics, continuityCorrection: 'brownian-bridge' }))
+            .toThrow('The Brownian-bridge correction needs constant-coefficient GBM');
+        expect(() => new BarrierOption({ ...BARRIER, ...dynamics })).not.toThrow();
+    });
+
+    test('discretely monitored barriers ignore the correction choice', () => {
+        const option = new BarrierOption({
+            ...BARRIER,
+            model: 'heston',
+            heston: HESTON,
+            continuityCorrection: 'brownian-bridge',
+            monitoringDates: [0.5, 1]
+        });
+
+        expect(option.usesBrownianBridge()).toBe(false);
+    });
+});
+
+/**
+ * Price of the continuous contract: the grid price with its BGK correction
+ */
+function correctedPrice(Product, params) {
+    const option = new Product(params);
+    const result = option.calculatePrice();
+    return option instanceof BarrierOption
+        ? option.adjustForContinuousBarrier(result).price
+        : option.adjustForContinuousMonitoring(result).price;
+}
+
+describe('Greeks of BGK-corrected contracts', () => {
+    test.each([
+        ['up-and-out call', BarrierOption, {}],
+        ['fixed lookback call', LookbackOption, { lookbackType: 'fixed' }]
+    ])('%s delta and vega reprice the corrected contract', (_, Product, terms) => {
+        const params = { ...BARRIER, ...terms, simulations: 2000 };
+        const option = new Product(params);
+        const paths = option.simulatePaths();
+        const result = option.calculatePrice(paths);
+        if (option instanceof BarrierOption) {
+            option.adjustForContinuousBarrier(result);
+        } else {
+            option.adjustForContinuousMonitoring(result);
+        }
+        const greeks = option.calculateGreeks(paths);
+
+        // The same bumps, each corrected for its own spot and volatility
+        const h = 0.01;
+        const delta = (correctedPrice(Product, { ...params, spot: 100 * (1 + h) }) -
+            correctedPrice(Product, { ...params, spot: 100 * (1 - h) })) / (2 * h * 100);
+        const vega = (correctedPrice(Product, { ...params, volatility: 0.25 * (1 + h) }) -
+            correctedPrice(Product, { ...params, volatility: 0.25 * (1 - h) })) / (2 * h * 0.25);
+
+        expect(greeks.methods.delta).toBe('finite-difference');
+        expect(greeks.delta).toBeCloseTo(delta, 8);
+        expect(greeks.vega).toBeCloseTo(vega, 8);
+    });
+
+    test('the correction leaves the contract barriers alone', () => {
+        const option = new BarrierOption(BARRIER);
+        option.adjustForContinuousBarrier(option.calculatePrice());
+
+        expect(option.barrierLevels().levels).toEqual([{ name: 'Upper barrier', level: 130 }]);
+        expect(option.monitoredBarriers.upper).toBeLessThan(130);
+    });
+});
@@ -0,0 +1,70 @@
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCsv } from '../src/utils/csv.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+function run(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+describe('batch CLI', () => {
+    let dir;
+    beforeAll(() => {
+        dir = mkdtempSync(join(tmpdir(), 'mc-price-'));
+    });
+    afterAll(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('--help prints the usage and succeeds', () => {
+        const { status, stdout } = run(['--help']);
+
+        expect(status).toBe(0);
+        expect(stdout).toContain('Usage: node src/cli.js');
+    });
+
+    test('a missing trades file is a usage error', () => {
+        const { status, stderr } = run([]);
+
+        expect(status).toBe(2);
+        expect(stderr).toContain('Usage: node src/cli.js');
+    });
+
+    test('prices a CSV batch, reporting failed trades with exit code 1', () => {
+        const input = join(dir, 'trades.csv');
+        const output = join(dir, 'results.csv');
+        writeFileSync(input, [
+            'id,optionType,spot,strike,volatility,riskFreeRate,maturity,steps,simulations,seed',
+            'atm,european-call,100,100,0.2,0.05,1,10,4000,7',
+            'bad,no-such-option,100,100,0.2,0.05,1,10,4000,7'
+        ].join('\n'));
+
+        const { status } = run([input, '--output', output]);
+        const [priced, failed] = parseCsv(readFileSync(output, 'utf8'));
+
+        expect(status).toBe(1);
+        expect(priced.id).toBe('atm');
+        expect(Math.abs(Number(priced.price) - 10.4506)).toBeLessThan(0.5);
+        expect(failed.id).toBe('bad');
+        expect(failed.error).not.toBe('');
+    });
+
+    test('the same seed gives the same JSON results', () => {
+        const input = join(dir, 'trades.json');
+        writeFileSync(input, JSON.stringify([{
+            optionType: 'asian-call', spot: 100, strike: 100, volatility: 0.2,
+            riskFreeRate: 0.05, maturity: 1, steps: 10, simulations: 2000, seed: 3
+        }]));
+
+        const first = run([input]);
+        const second = run([input]);
+
+        expect(first.status).toBe(0);
+        expect(JSON.parse(first.stdout)[0].result.price).toBeGreaterThan(0);
+        expect(second.stdout).toBe(first.stdout);
+    });
+});
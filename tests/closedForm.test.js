@@ -0,0 +1,87 @@
+import { MonteCarloSimulation } from '../src/models/MonteCarloSimulation.js';
+import { AsianOption } from '../src/models/AsianOption.js';
+import { BarrierOption } from '../src/models/BarrierOption.js';
+import { LookbackOption } from '../src/models/LookbackOption.js';
+import { MultiAssetSimulation } from '../src/models/MultiAssetSimulation.js';
+
+const MARKET = {
+    spot: 100,
+    strike: 100,
+    volatility: 0.25,
+    riskFreeRate: 0.05,
+    dividendYield: 0.02,
+    maturity: 1,
+    steps: 50,
+    simulations: 8000,
+    seed: 2024
+};
+
+const SPREAD = {
+    ...MARKET,
+    type: 'call',
+    payoffType: 'spread',
+    spots: [100, 95],
+    volatilities: [0.25, 0.2],
+    correlation: [[1, 0.4], [0.4, 1]]
+};
+
+/**
+ * Prices a product with its continuous-monitoring correction and checks it
+ * against the closed form
+ */
+function validate(option) {
+    let result = option.calculatePrice();
+    if (option instanceof BarrierOption) {
+        result = option.adjustForContinuousBarrier(result);
+    } else if (option instanceof LookbackOption) {
+        result = option.adjustForContinuousMonitoring(result);
+    }
+    return option.validateClosedForm(result);
+}
+
+describe('closed-form validation', () => {
+    test.each([
+        ['european call', () => new MonteCarloSimulation({ ...MARKET, type: 'call' }), 'Black-Scholes'],
+        ['european put', () => new MonteCarloSimulation({ ...MARKET, type: 'put' }), 'Black-Scholes'],
+        ['up-and-out call', () => new BarrierOption({ ...MARKET, type: 'call', barrierType: 'up-and-out', barrier: 130 }), null],
+        ['down-and-in put', () => new BarrierOption({ ...MARKET, type: 'put', barrierType: 'down-and-in', barrier: 85 }), null],
+        ['double knock-out call', () => new BarrierOption({
+            ...MARKET,
+            type: 'call',
+            barrierType: 'double-and-out',
+            lowerBarrier: 80,
+            upperBarrier: 130
+        }), null],
+        ['fixed lookback call', () => new LookbackOption({ ...MARKET, type: 'call', lookbackType: 'fixed' }), null],
+        ['floating lookback put', () => new LookbackOption({ ...MARKET, type: 'put', lookbackType: 'floating' }), null],
+        ['geometric asian call', () => new AsianOption({ ...MARKET, type: 'call', averageType: 'geometric' }), null],
+        ['geometric asian put', () => new AsianOption({ ...MARKET, type: 'put', averageType: 'geometric' }), null]
+    ])('%s matches its closed form within 3 standard errors', (_, create, method) => {
+        const check = validate(create());
+
+        expect(check).not.toBeNull();
+        if (method) {
+            expect(check.method).toBe(method);
+        }
+        expect(Math.abs(check.errorInStdErrs)).toBeLessThanOrEqual(3);
+        expect(check.passed).toBe(true);
+    });
+
+    test('exchange option matches Margrabe', () => {
+        const check = validate(new MultiAssetSimulation({ ...SPREAD, strike: 0 }));
+
+        expect(check.method).toBe('Margrabe');
+        expect(check.passed).toBe(true);
+    });
+
+    test('spread option matches Kirk', () => {
+        const check = validate(new MultiAssetSimulation({ ...SPREAD, strike: 5 }));
+
+        expect(check.method).toBe('Kirk');
+        expect(check.passed).toBe(true);
+    });
+
+    test('arithmetic Asians have no closed form', () => {
+        expect(new AsianOption({ ...MARKET, type: 'call' }).closedForm()).toBeNull();
+    });
+});
@@ -0,0 +1,35 @@
+import { parseCsv, formatCsv } from '../src/utils/csv.js';
+
+describe('CSV', () => {
+    test('quoted fields keep commas, quotes and line breaks', () => {
+        const text = 'id,note\r\n1,"a, ""b""\nc"\r\n\r\n2,plain\n';
+
+        expect(parseCsv(text)).toEqual([
+            { id: '1', note: 'a, "b"\nc' },
+            { id: '2', note: 'plain' }
+        ]);
+    });
+
+    test('formatting and parsing round-trip', () => {
+        const records = [
+            { id: 1, note: 'a, "b"', dates: '[0.5, 1]' },
+            { id: 2, extra: null }
+        ];
+        const text = formatCsv(records);
+
+        expect(text.split('\n')[0]).toBe('id,note,dates,extra');
+        expect(parseCsv(text)).toEqual([
+            { id: '1', note: 'a, "b"', dates: '[0.5, 1]', extra: '' },
+            { id: '2', note: '', dates: '', extra: '' }
+        ]);
+    });
+
+    test('explicit columns set the order', () => {
+        expect(formatCsv([{ a: 1, b: 2 }], ['b', 'a'])).toBe('b,a\n2,1\n');
+    });
+
+    test('malformed input is rejected', () => {
+        expect(() => parseCsv('a,b\n"open')).toThrow('Unterminated quoted field in CSV');
+        expect(() => parseCsv('a\n1,2')).toThrow('CSV line 2 has more fields than the header');
+    });
+});
@@ -0,0 +1,40 @@
+import { DeltaHedger } from '../src/models/DeltaHedger.js';
+
+const HEDGE = {
+    optionType: 'european-call',
+    spot: 100,
+    strike: 100,
+    volatility: 0.2,
+    riskFreeRate: 0.05,
+    dividendYield: 0,
+    maturity: 0.5,
+    steps: 64,
+    simulations: 2000,
+    seed: 23
+};
+
+describe('delta hedging', () => {
+    test('the hedging error shrinks with more frequent rebalancing', () => {
+        const runs = [16, 4, 1].map(rebalanceEvery => new DeltaHedger({ ...HEDGE, rebalanceEvery }).run());
+        const stdevs = runs.map(run => run.statistics.stdev);
+
+        expect(runs.map(run => run.deltaMethod)).toEqual(['analytical', 'analytical', 'analytical']);
+
+        // Each fourfold increase in frequency about halves the error
+        expect(stdevs[1]).toBeLessThan(0.7 * stdevs[0]);
+        expect(stdevs[2]).toBeLessThan(0.7 * stdevs[1]);
+    });
+
+    test('transaction costs lower the mean hedging P&L', () => {
+        const free = new DeltaHedger({ ...HEDGE, rebalanceEvery: 4 }).run().statistics;
+        const costly = new DeltaHedger({ ...HEDGE, rebalanceEvery: 4, transactionCost: 0.001 }).run().statistics;
+
+        expect(costly.meanCost).toBeGreaterThan(0);
+        expect(costly.mean).toBeCloseTo(free.mean - costly.meanCost, 8);
+    });
+
+    test('the rebalancing interval must be a whole number of steps', () => {
+        expect(() => new DeltaHedger({ ...HEDGE, rebalanceEvery: 0 }))
+            .toThrow('Rebalancing interval must be a whole number of steps');
+    });
+});
@@ -0,0 +1,36 @@
+import { hestonPrice } from '../src/utils/heston.js';
+import { MonteCarloSimulation } from '../src/models/MonteCarloSimulation.js';
+
+// Fang & Oosterlee (2008), with the Feller condition violated
+const HESTON = { kappa: 1.5768, theta: 0.0398, xi: 0.5751, rho: -0.5711, v0: 0.0175 };
+const MARKET = { spot: 100, strike: 100, riskFreeRate: 0, maturity: 1 };
+const REFERENCE_CALL = 5.785155450;
+
+describe('Heston model', () => {
+    test('semi-analytic price matches the reference value', () => {
+        expect(hestonPrice({ ...MARKET, ...HESTON })).toBeCloseTo(REFERENCE_CALL, 6);
+    });
+
+    test('calls and puts satisfy put-call parity', () => {
+        const params = { ...MARKET, ...HESTON, strike: 110, riskFreeRate: 0.03 };
+        const call = hestonPrice(params);
+        const put = hestonPrice({ ...params, type: 'put' });
+
+        expect(call - put).toBeCloseTo(100 - 110 * Math.exp(-0.03), 6);
+    });
+
+    test('QE paths price the call within three standard errors', () => {
+        const option = new MonteCarloSimulation({
+            ...MARKET,
+            volatility: Math.sqrt(HESTON.v0),
+            steps: 50,
+            simulations: 20000,
+            model: 'heston',
+            heston: HESTON,
+            seed: 1993
+        });
+        const { price, confidence } = option.calculatePrice();
+
+        expect(Math.abs(price - REFERENCE_CALL)).toBeLessThan(3 * confidence.stderr);
+    });
+});
@@ -0,0 +1,37 @@
+import { mertonPrice } from '../src/utils/merton.js';
+import { MonteCarloSimulation } from '../src/models/MonteCarloSimulation.js';
+
+const JUMPS = { jumpIntensity: 1, jumpMean: -0.1, jumpVolatility: 0.15 };
+const MARKET = { spot: 100, strike: 100, volatility: 0.2, riskFreeRate: 0.05, maturity: 1 };
+
+function jumpOption(params) {
+    return new MonteCarloSimulation({
+        ...MARKET,
+        ...params,
+        jumpDiffusion: true,
+        steps: 50,
+        simulations: 20000,
+        seed: 1976
+    });
+}
+
+describe('Merton jump diffusion', () => {
+    test('the series reduces to Black-Scholes without jumps', () => {
+        expect(mertonPrice({ ...MARKET, ...JUMPS, jumpIntensity: 0 })).toBeCloseTo(10.450583572185565, 4);
+    });
+
+    test('simulated European call matches the series within three standard errors', () => {
+        const { price, confidence } = jumpOption(JUMPS).calculatePrice();
+
+        expect(Math.abs(price - mertonPrice({ ...MARKET, ...JUMPS }))).toBeLessThan(3 * confidence.stderr);
+    });
+
+    test.each([0, 0.03])('the compensated drift makes the discounted price a martingale (q = %s)', dividendYield => {
+        const option = jumpOption({ ...JUMPS, jumpIntensity: 3, dividendYield });
+        const paths = option.simulatePaths();
+        const growth = Math.exp((MARKET.riskFreeRate - dividendYield) * MARKET.maturity);
+        const { mean, stderr } = option.calculateConfidenceInterval(paths.map(path => path[option.steps] / growth));
+
+        expect(Math.abs(mean - MARKET.spot)).toBeLessThan(3 * stderr);
+    });
+});
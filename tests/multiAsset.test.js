@@ -0,0 +1,50 @@
+import { MultiAssetSimulation } from '../src/models/MultiAssetSimulation.js';
+import { handleTask } from '../src/workers/chunkPricing.js';
+
+const BASKET = {
+    type: 'call',
+    payoffType: 'basket',
+    spots: [100, 90],
+    volatilities: [0.2, 0.3],
+    correlation: [[1, 0.5], [0.5, 1]],
+    strike: 95,
+    riskFreeRate: 0.05,
+    maturity: 1,
+    steps: 10,
+    simulations: 2000,
+    seed: 5
+};
+
+describe('multi-asset options', () => {
+    test('jump diffusion is refused rather than ignored', () => {
+        expect(() => new MultiAssetSimulation({ ...BASKET, jumpDiffusion: true }))
+            .toThrow('Multi-asset options do not support jump diffusion');
+    });
+
+    test('assets default to the scalar dividend yield', () => {
+        const option = new MultiAssetSimulation({ ...BASKET, dividendYield: 0.03 });
+        const explicit = new MultiAssetSimulation({ ...BASKET, dividendYields: [0.03, 0.03] });
+
+        expect(option.dividendYields).toEqual([0.03, 0.03]);
+        expect(option.calculatePrice().price).toBe(explicit.calculatePrice().price);
+        expect(option.calculatePrice().price).toBeLessThan(new MultiAssetSimulation(BASKET).calculatePrice().price);
+    });
+
+    test('per-asset yields override the scalar one', () => {
+        const option = new MultiAssetSimulation({ ...BASKET, dividendYield: 0.03, dividendYields: [0, 0.01] });
+
+        expect(option.dividendYields).toEqual([0, 0.01]);
+    });
+
+    test('chunks carry no single-asset European benchmark', () => {
+        const option = new MultiAssetSimulation(BASKET);
+        expect(option.calculateEuropeanBenchmark(option.simulatePaths())).toBeNull();
+
+        const { message } = handleTask({
+            params: { ...BASKET, optionType: 'basket-call', greeksMethod: 'pathwise' },
+            chunk: { index: 0 }
+        });
+        expect(message.europeanBenchmark).toBeUndefined();
+        expect(message.price).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,49 @@
+import { Portfolio, strategyPositions } from '../src/models/Portfolio.js';
+
+const MARKET = {
+    spot: 100,
+    volatility: 0.2,
+    riskFreeRate: 0.05,
+    dividendYield: 0,
+    maturity: 1,
+    steps: 20,
+    simulations: 2000,
+    greeksMethod: 'finite-difference',
+    seed: 5
+};
+
+const GREEKS = ['delta', 'gamma', 'theta', 'vega', 'rho'];
+
+describe('portfolios', () => {
+    test.each([
+        ['european-call', { strike: 100 }],
+        ['barrier-up-out-call', { strike: 100, barrier: 130 }]
+    ])('a long and short %s net to exactly zero', (optionType, terms) => {
+        const { price, greeks, payoffs, positions } = new Portfolio({
+            ...MARKET,
+            positions: [
+                { optionType, quantity: 2, ...terms },
+                { optionType, quantity: -2, ...terms }
+            ]
+        }).price();
+
+        expect(positions[0].value).toBeGreaterThan(0);
+        expect(price).toBe(0);
+        expect(payoffs.every(payoff => payoff === 0)).toBe(true);
+        GREEKS.forEach(name => expect(greeks[name]).toBe(0));
+    });
+
+    test('the portfolio price is the sum of its position values', () => {
+        const { price, positions } = new Portfolio({
+            ...MARKET,
+            positions: strategyPositions('butterfly', MARKET.spot)
+        }).price();
+
+        expect(price).toBeCloseTo(positions.reduce((sum, position) => sum + position.value, 0), 10);
+    });
+
+    test('positions may not set the shared market data', () => {
+        expect(() => new Portfolio({ ...MARKET, positions: [{ optionType: 'european-call', quantity: 1, spot: 90 }] }))
+            .toThrow('Position 1 sets spot, which all positions share');
+    });
+});
@@ -0,0 +1,67 @@
+import { PricingPool } from '../src/workers/pricingPool.js';
+import { InlineWorker } from '../src/workers/inlineWorker.js';
+import { createOption } from '../src/models/productFactory.js';
+
+const PARAMS = {
+    optionType: 'european-call',
+    spot: 100,
+    strike: 105,
+    volatility: 0.2,
+    riskFreeRate: 0.03,
+    dividendYield: 0,
+    dividends: [],
+    maturity: 0.5,
+    steps: 10,
+    simulations: 4000,
+    useAntithetic: true,
+    useStratified: true,
+    greeksMethod: 'pathwise',
+    riskLevels: [0.95],
+    seed: 99
+};
+
+function inlinePool(size) {
+    return new PricingPool({ size, workerFactory: () => new InlineWorker() });
+}
+
+describe('PricingPool', () => {
+    test('merged chunks match one run over the same streams', async () => {
+        const pool = inlinePool(1);
+        const chunks = pool.planChunks(PARAMS);
+        expect(chunks.length).toBeGreaterThan(1);
+
+        const merged = await pool.price(PARAMS);
+
+        // The same chunks priced directly, pooled into one sample
+        const payoffs = chunks.flatMap(chunk => createOption({
+            ...PARAMS,
+            simulations: chunk.simulations,
+            stream: chunk.index
+        }).calculatePrice().payoffs);
+        const mean = payoffs.reduce((a, b) => a + b, 0) / payoffs.length;
+
+        expect(merged.simulations).toBe(PARAMS.simulations);
+        expect(merged.price).toBeCloseTo(mean, 10);
+        expect(Array.from(merged.payoffs)).toEqual(payoffs);
+    });
+
+    test('merged standard error matches a single run of the same size', async () => {
+        const merged = await inlinePool(1).price(PARAMS);
+        const single = createOption(PARAMS).calculatePrice();
+
+        // Different streams, so equal only up to sampling noise
+        expect(merged.confidence.stderr / single.confidence.stderr).toBeGreaterThan(0.9);
+        expect(merged.confidence.stderr / single.confidence.stderr).toBeLessThan(1.1);
+        expect(Math.abs(merged.price - single.price)).toBeLessThan(
+            3 * Math.hypot(merged.confidence.stderr, single.confidence.stderr));
+    });
+
+    test('the result does not depend on the pool size', async () => {
+        const one = await inlinePool(1).price(PARAMS);
+        const three = await inlinePool(3).price(PARAMS);
+
+        expect(three.price).toBe(one.price);
+        expect(three.confidence).toEqual(one.confidence);
+        expect(three.greeks.delta).toBe(one.greeks.delta);
+    });
+});
@@ -0,0 +1,56 @@
+import { MonteCarloSimulation } from '../src/models/MonteCarloSimulation.js';
+import { AsianOption } from '../src/models/AsianOption.js';
+import { BarrierOption } from '../src/models/BarrierOption.js';
+import { LookbackOption } from '../src/models/LookbackOption.js';
+import { MultiAssetSimulation } from '../src/models/MultiAssetSimulation.js';
+
+const MARKET = {
+    spot: 100,
+    strike: 100,
+    volatility: 0.2,
+    riskFreeRate: 0.05,
+    maturity: 1,
+    steps: 50,
+    simulations: 4000
+};
+
+describe('seeded runs', () => {
+    test.each([
+        ['european call', params => new MonteCarloSimulation(params)],
+        ['asian call', params => new AsianOption(params)],
+        ['up-and-out call', params => new BarrierOption({ ...params, barrierType: 'up-and-out', barrier: 130 })],
+        ['floating lookback call', params => new LookbackOption({ ...params, lookbackType: 'floating' })],
+        ['basket call', params => new MultiAssetSimulation({
+            ...params,
+            spots: [100, 90],
+            volatilities: [0.2, 0.3],
+            correlation: [[1, 0.5], [0.5, 1]]
+        })]
+    ])('%s prices identically for the same seed', (_, create) => {
+        const params = { ...MARKET, type: 'call', seed: 42 };
+        const first = create(params).calculatePrice();
+        const second = create(params).calculatePrice();
+
+        expect(second.price).toBe(first.price);
+        expect(second.confidence).toEqual(first.confidence);
+        expect(second.payoffs).toEqual(first.payoffs);
+    });
+
+    test('different seeds and streams give different prices', () => {
+        const params = { ...MARKET, type: 'call', seed: 42 };
+        const base = new MonteCarloSimulation(params).calculatePrice().price;
+
+        expect(new MonteCarloSimulation({ ...params, seed: 43 }).calculatePrice().price).not.toBe(base);
+        expect(new MonteCarloSimulation({ ...params, stream: 1 }).calculatePrice().price).not.toBe(base);
+    });
+
+    test('greeks are reproducible for the same seed', () => {
+        const params = { ...MARKET, type: 'put', seed: 7 };
+        const greeks = () => {
+            const option = new MonteCarloSimulation(params);
+            return option.calculateGreeks(option.simulatePaths());
+        };
+
+        expect(greeks()).toEqual(greeks());
+    });
+});
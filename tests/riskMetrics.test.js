@@ -0,0 +1,43 @@
+import { analyzePnl, payoffPercentiles, tailRisk } from '../src/utils/riskMetrics.js';
+import { createRandomStream } from '../src/utils/random.js';
+
+// Payoffs 0, 1, ..., 19 bought at 10: P&L runs from -10 to 9
+const PAYOFFS = Array.from({ length: 20 }, (_, i) => i);
+const PNL = PAYOFFS.map(payoff => payoff - 10);
+
+function risk(seed) {
+    const rng = createRandomStream(seed);
+    return analyzePnl(PNL, [0.8, 0.9, 0.95], { random: () => rng.next(), resamples: 200 });
+}
+
+describe('risk metrics', () => {
+    test('VaR and ES of a deterministic payoff vector', () => {
+        const position = risk(1);
+
+        expect(position.mean).toBeCloseTo(-0.5, 12);
+        expect(position.levels.map(({ valueAtRisk, expectedShortfall }) =>
+            [valueAtRisk.value, expectedShortfall.value])).toEqual([[7, 8.5], [9, 9.5], [10, 10]]);
+        expect(position.probabilityOfProfit.value).toBeCloseTo(0.45, 12);
+        payoffPercentiles(PAYOFFS, [5, 50, 95]).forEach(({ value }, i) => {
+            expect(value).toBeCloseTo([0.95, 9.5, 18.05][i], 12);
+        });
+    });
+
+    test('a whole number of tail scenarios is not rounded up', () => {
+        const pnl = Array.from({ length: 100 }, (_, i) => i - 50);
+
+        expect(tailRisk(pnl, 0.99)).toEqual({ valueAtRisk: 50, expectedShortfall: 50 });
+        expect(tailRisk(pnl, 0.95)).toEqual({ valueAtRisk: 46, expectedShortfall: 48 });
+    });
+
+    test('seeded bootstrap bands are reproducible', () => {
+        const first = risk(42);
+
+        expect(risk(42)).toEqual(first);
+        expect(risk(43)).not.toEqual(first);
+        first.levels.forEach(({ valueAtRisk, expectedShortfall }) => {
+            expect(valueAtRisk.lower).toBeLessThanOrEqual(valueAtRisk.upper);
+            expect(expectedShortfall.lower).toBeLessThanOrEqual(expectedShortfall.upper);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+import { ScenarioGrid, gridPoints } from '../src/models/ScenarioGrid.js';
+
+const PARAMS = {
+    optionType: 'european-call',
+    strike: 100,
+    spot: 100,
+    volatility: 0.2,
+    riskFreeRate: 0.05,
+    dividendYield: 0,
+    maturity: 1,
+    steps: 10,
+    simulations: 2000,
+    greeksMethod: 'pathwise',
+    seed: 31
+};
+
+describe('scenario grids', () => {
+    test('axis points run evenly from min to max', () => {
+        expect(gridPoints({ min: 80, max: 120, count: 5 }, 'Spot')).toEqual([80, 90, 100, 110, 120]);
+    });
+
+    test.each([
+        [{ min: 0, max: 120, count: 5 }, 'Spot range needs 0 < min < max'],
+        [{ min: 120, max: 80, count: 5 }, 'Spot range needs 0 < min < max'],
+        [{ min: 80, max: NaN, count: 5 }, 'Spot range needs 0 < min < max'],
+        [{ min: 80, max: 120, count: 1 }, 'Spot axis needs between 2 and 41 points'],
+        [{ min: 80, max: 120, count: 2.5 }, 'Spot axis needs between 2 and 41 points'],
+        [{ min: 80, max: 120, count: 42 }, 'Spot axis needs between 2 and 41 points']
+    ])('%o is rejected', (range, message) => {
+        expect(() => gridPoints(range, 'Spot')).toThrow(message);
+    });
+
+    test('adjacent cells differ smoothly on common random numbers', () => {
+        const grid = new ScenarioGrid({
+            ...PARAMS,
+            grid: { axis: 'volatility', spot: { min: 98, max: 102, count: 9 }, values: { min: 0.19, max: 0.21, count: 3 } }
+        });
+        const h = grid.spots[1] - grid.spots[0];
+        const rows = grid.values.map((_, index) => grid.priceRow(index));
+
+        rows.forEach(row => {
+            expect(row.errors).toEqual([]);
+            for (let i = 1; i < row.price.length - 1; i++) {
+                // Far inside the slope noise of independent cells, about 0.4 here
+                const slope = (row.price[i + 1] - row.price[i - 1]) / (2 * h);
+                expect(Math.abs(slope - row.delta[i])).toBeLessThan(0.02);
+                expect(row.standardErrors.price[i] / h).toBeGreaterThan(0.2);
+            }
+        });
+        // Prices rise with volatility at every spot
+        for (let i = 0; i < grid.spots.length; i++) {
+            expect(rows[0].price[i]).toBeLessThan(rows[1].price[i]);
+            expect(rows[1].price[i]).toBeLessThan(rows[2].price[i]);
+        }
+    });
+
+    test('a grid needs a seed shared by its cells', () => {
+        expect(() => new ScenarioGrid({
+            ...PARAMS,
+            seed: null,
+            grid: { axis: 'maturity', spot: { min: 90, max: 110, count: 3 }, values: { min: 0.5, max: 1, count: 2 } }
+        })).toThrow('A scenario grid needs a seed shared by its cells');
+    });
+});
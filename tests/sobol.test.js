@@ -0,0 +1,114 @@
+import { SobolSequence } from '../src/utils/sobol.js';
+import { BrownianBridge } from '../src/utils/brownianBridge.js';
+import { createRandomStream } from '../src/utils/random.js';
+import { MonteCarloSimulation } from '../src/models/MonteCarloSimulation.js';
+
+// Joe & Kuo (2008), first points after the origin in dimensions 1-3
+const JOE_KUO = [
+    [0.5, 0.5, 0.5],
+    [0.75, 0.25, 0.25],
+    [0.25, 0.75, 0.75],
+    [0.375, 0.375, 0.625],
+    [0.875, 0.875, 0.125],
+    [0.625, 0.125, 0.875],
+    [0.125, 0.625, 0.375],
+    [0.1875, 0.3125, 0.9375]
+];
+
+// Black-Scholes call at S = K = 100, r = 5%, sigma = 20%, T = 1
+const BS_CALL = 10.450583572185565;
+
+/**
+ * Interval of width 2^-m holding each coordinate of the next `count` points
+ */
+function cells(sequence, count, m) {
+    const out = new Float64Array(sequence.dimensions);
+    return Array.from({ length: count }, () => Array.from(sequence.next(out), x => Math.floor(x * 2 ** m)));
+}
+
+describe('Sobol sequence', () => {
+    test('matches the published Joe-Kuo points', () => {
+        const sequence = new SobolSequence(3);
+        const out = new Float64Array(3);
+        JOE_KUO.forEach(point => {
+            sequence.next(out);
+            point.forEach((x, d) => expect(out[d]).toBeCloseTo(x, 9));
+        });
+    });
+
+    test('every dimension puts one of the first 2^m points in each interval', () => {
+        const m = 8;
+        // The origin, skipped by the unrandomized sequence, fills interval 0
+        const points = cells(new SobolSequence(40), 2 ** m - 1, m);
+        for (let d = 0; d < 40; d++) {
+            const seen = new Set(points.map(point => point[d]));
+            expect(seen.size).toBe(2 ** m - 1);
+            expect(seen.has(0)).toBe(false);
+        }
+    });
+
+    test('scrambled and shifted points keep the net property', () => {
+        const m = 8;
+        const sequence = new SobolSequence(40, { rng: createRandomStream(5), scramble: true });
+        const points = cells(sequence, 2 ** m, m);
+        for (let d = 0; d < 40; d++) {
+            expect(new Set(points.map(point => point[d])).size).toBe(2 ** m);
+        }
+    });
+
+    test('each seed randomizes the points differently', () => {
+        const first = n => new SobolSequence(4, { rng: createRandomStream(n), scramble: true }).next(new Float64Array(4));
+
+        expect(first(5)).toEqual(first(5));
+        expect(first(6)).not.toEqual(first(5));
+    });
+});
+
+describe('Brownian bridge', () => {
+    test('fills the terminal point, then midpoints', () => {
+        expect(Array.from(new BrownianBridge(8).bridgeIndex)).toEqual([7, 3, 1, 5, 0, 2, 4, 6]);
+    });
+
+    test('maps independent normals to independent standard increments', () => {
+        // Rows of the linear map, from unit inputs; they must be orthonormal
+        const steps = 12;
+        const bridge = new BrownianBridge(steps);
+        const rows = Array.from({ length: steps }, (_, i) => {
+            const z = new Float64Array(steps);
+            z[i] = 1;
+            return bridge.transform(z);
+        });
+        for (let j = 0; j < steps; j++) {
+            for (let k = 0; k < steps; k++) {
+                const covariance = rows.reduce((sum, row) => sum + row[j] * row[k], 0);
+                expect(covariance).toBeCloseTo(j === k ? 1 : 0, 12);
+            }
+        }
+
+        // The first normal alone gives a straight line to W(T)
+        rows[0].forEach(increment => expect(increment).toBeCloseTo(1 / Math.sqrt(steps), 12));
+    });
+});
+
+describe('randomized quasi-Monte Carlo', () => {
+    test.each([true, false])('European call within its Student-t interval (bridge %s)', useBrownianBridge => {
+        const option = new MonteCarloSimulation({
+            spot: 100,
+            strike: 100,
+            volatility: 0.2,
+            riskFreeRate: 0.05,
+            maturity: 1,
+            steps: 16,
+            simulations: 4096,
+            useQuasiRandom: true,
+            useBrownianBridge,
+            qmcReplications: 16,
+            seed: 21
+        });
+        const { confidence, payoffs } = option.calculatePrice();
+
+        expect(option.getIndependentSamples(payoffs)).toHaveLength(16);
+        expect(confidence.lower).toBeLessThanOrEqual(BS_CALL);
+        expect(confidence.upper).toBeGreaterThanOrEqual(BS_CALL);
+    });
+});
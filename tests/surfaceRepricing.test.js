@@ -0,0 +1,54 @@
+import { createOption } from '../src/models/productFactory.js';
+import { MIN_REPRICING_STEPS } from '../src/models/MonteCarloSimulation.js';
+import { PricingPool } from '../src/workers/pricingPool.js';
+import { InlineWorker } from '../src/workers/inlineWorker.js';
+import { parseVolatilitySurface } from '../src/utils/volatilitySurface.js';
+
+const SURFACE = `maturity,80,90,100,110,120
+0.25,0.2653,0.2307,0.1931,0.1584,0.1474
+0.5,0.2539,0.2225,0.1902,0.1606,0.1447
+1,0.2385,0.2137,0.1898,0.168,0.151`;
+
+const PARAMS = {
+    optionType: 'european-call',
+    spot: 100,
+    strike: 100,
+    volatility: 0.2,
+    riskFreeRate: 0.05,
+    dividendYield: 0,
+    dividends: [],
+    maturity: 1,
+    steps: 100,
+    simulations: 2000,
+    model: 'local-vol',
+    volatilitySurface: parseVolatilitySurface(SURFACE),
+    greeksMethod: 'finite-difference',
+    riskLevels: [0.95],
+    seed: 8
+};
+
+describe('implied surface repricing', () => {
+    test('quotes too few steps out are compared but not checked', () => {
+        const option = createOption(PARAMS);
+        const quotes = option.calculateSurfaceRepricing(option.simulatePaths());
+
+        quotes.forEach(quote => {
+            expect(quote.checked).toBe(quote.step >= MIN_REPRICING_STEPS);
+            expect(Number.isFinite(quote.errorInStdErrs)).toBe(true);
+        });
+        const unchecked = quotes.filter(quote => !quote.checked);
+        expect(unchecked.map(quote => quote.maturity)).toEqual([0.25, 0.25, 0.25, 0.25, 0.25]);
+        unchecked.forEach(quote => expect(quote.passed).toBeNull());
+        quotes.filter(quote => quote.checked).forEach(quote => expect(typeof quote.passed).toBe('boolean'));
+    });
+
+    test('the merged check keeps unchecked quotes unchecked', async () => {
+        const pool = new PricingPool({ size: 1, workerFactory: () => new InlineWorker() });
+        const { surfaceRepricing } = await pool.price(PARAMS);
+
+        surfaceRepricing.forEach(quote => {
+            expect(quote.passed === null).toBe(!quote.checked);
+        });
+        expect(surfaceRepricing.some(quote => quote.checked)).toBe(true);
+    });
+});